@@ -10,6 +10,8 @@ module.exports = {
   hipaaCompliance: {
     enabled: true,
     autoRedactPHI: true,
+    redactionStyle: 'placeholder', // 'mask' (***-**-****), 'placeholder' ([SSN]) or 'token' (reversible)
+    minConfidence: 0.5,            // Ignore PHI detections scored below this (0-1)
     storeComplianceMetadata: true,
     notifyOnPHIDetection: true
   },
@@ -20,7 +22,47 @@ module.exports = {
     inputEnabled: true,
     outputEnabled: true,
     defaultVoiceGender: 'female',
-    maxAudioDuration: 60 // seconds
+    maxAudioDuration: 60, // seconds
+    maxUploadSize: 10 * 1024 * 1024, // bytes; larger uploads are refused before decoding
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg', // Converts recordings (webm/opus, ogg, mp4, mp3...) for the engine
+    // Speech-to-text (services/speechToTextService.js)
+    speechToText: {
+      // 'whisper-cpp' (local whisper.cpp, no network) or 'fake' (fixed transcript, for development)
+      engine: process.env.STT_ENGINE || 'whisper-cpp',
+      timeoutMs: 60000, // Longest a transcription may take
+      whisperCpp: {
+        binary: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+        // Relative to backend/; use a multilingual model (not *.en) to detect the language
+        model: process.env.WHISPER_CPP_MODEL || 'data/models/ggml-base.bin',
+        threads: 2
+      }
+    },
+    // Text-to-speech for spoken replies (services/textToSpeechService.js)
+    textToSpeech: {
+      // 'espeak-ng' (every language, robotic) or 'piper' (natural, needs a voice model per language)
+      engine: process.env.TTS_ENGINE || 'espeak-ng',
+      timeoutMs: 30000,             // Longest synthesizing a reply may take
+      cacheTtl: 30,                 // minutes a spoken reply stays available to play
+      cacheMaxSize: 50 * 1024 * 1024, // bytes of audio kept in memory
+      espeakNg: {
+        binary: process.env.ESPEAK_NG_BIN || 'espeak-ng',
+        speed: 160,                 // words per minute
+        voices: { en: 'en-us', es: 'es', fr: 'fr', zh: 'cmn', ar: 'ar' }, // Per preferredLanguage code
+        variants: { female: 'f3', male: 'm3' }
+      },
+      piper: {
+        binary: process.env.PIPER_BIN || 'piper',
+        // Voice models per language and gender, relative to backend/ (https://github.com/rhasspy/piper/blob/master/VOICES.md);
+        // a language with one gender uses it for both
+        voices: {
+          en: { female: 'data/voices/en_US-amy-medium.onnx', male: 'data/voices/en_US-ryan-medium.onnx' },
+          es: { female: 'data/voices/es_MX-claude-high.onnx', male: 'data/voices/es_ES-davefx-medium.onnx' },
+          fr: { female: 'data/voices/fr_FR-siwis-medium.onnx', male: 'data/voices/fr_FR-tom-medium.onnx' },
+          zh: { female: 'data/voices/zh_CN-huayan-medium.onnx' },
+          ar: { male: 'data/voices/ar_JO-kareem-medium.onnx' }
+        }
+      }
+    }
   },
   
   // EHR Integration
@@ -28,7 +70,27 @@ module.exports = {
     enabled: true,
     requireExplicitConsent: true,
     dataTypes: ['medications', 'allergies', 'conditions'],
-    refreshInterval: 24 // hours
+    refreshInterval: 24, // hours (how long retrieved records are cached, see services/ehrService.js)
+    // FHIR R4 server; the default is the bundled stub with synthetic patients (npm run fhir:stub)
+    fhir: {
+      baseUrl: process.env.FHIR_BASE_URL || 'http://localhost:4010/fhir',
+      auth: process.env.FHIR_AUTH || 'smart-backend', // 'smart-backend' (SMART Backend Services) or 'none'
+      clientId: process.env.FHIR_CLIENT_ID || 'tickethub-dev',
+      privateKeyPath: process.env.FHIR_PRIVATE_KEY_PATH || 'data/fhir-client-key.pem', // Relative to backend/ (npm run fhir:keygen)
+      keyId: process.env.FHIR_KEY_ID || null,       // Defaults to the key's JWK thumbprint
+      tokenUrl: process.env.FHIR_TOKEN_URL || null, // Found in the server's .well-known/smart-configuration when not set
+      timeoutMs: 10000,
+      maxPages: 10                                  // Bundle pages followed per resource type
+    }
+  },
+  
+  // Medication Safety (services/medicationSafetyService.js), checks mentioned medications against the EHR
+  medicationSafety: {
+    enabled: true,
+    // Offline interaction, allergy and contraindication data, reread when the file changes
+    datasetPath: process.env.MEDICATION_SAFETY_PATH || 'config/medicationSafety.json', // Relative to backend/
+    minReplySeverity: 'moderate', // Warnings at least this severe are added to the reply ('minor', 'moderate', 'major', 'contraindicated')
+    minFlagSeverity: 'major'      // ...and at least this severe flag the ticket for the provider
   },
   
   // Medical Triage System
@@ -36,7 +98,9 @@ module.exports = {
     enabled: true,
     autoPrioritize: true,
     escalateEmergencies: true,
-    notifyProvidersOnUrgent: true
+    notifyProvidersOnUrgent: true,
+    // Clinician-editable rules (services/triageService.js), reread when the file changes
+    rulesPath: process.env.TRIAGE_RULES_PATH || 'config/triageRules.json' // Relative to backend/
   },
   
   // Doctor Recommendation
@@ -44,7 +108,71 @@ module.exports = {
     enabled: true,
     includeSpecialties: true,
     includeProviderTypes: true,
-    maxRecommendations: 3
+    maxRecommendations: 3,
+    // Symptom-to-specialty map (services/providerDirectoryService.js), reread when the file changes
+    specialtiesPath: process.env.SPECIALTIES_PATH || 'config/specialties.json', // Relative to backend/
+    maxDistanceKm: 50,           // Providers further away aren't recommended (when a location is given)
+    weights: {                   // How much each counts in a provider's score
+      fit: 0.6,                  // Specialty fit for the symptoms
+      distance: 0.3,             // Closeness (when a location is given)
+      language: 0.1              // Speaks the patient's preferred language
+    }
+  },
+  
+  // Intent Classification (services/intentService.js)
+  intentClassification: {
+    calibrationTemperature: 1.0, // 1 = Bayes posterior; raise it if probabilities look overconfident
+    confidenceThreshold: 0.25,   // The best intent needs at least this probability...
+    minLeadRatio: 2,             // ...and to be this many times as likely as the runner-up
+    topK: 3,                     // Intents listed in /api/enhanced-ai/analyze responses
+    // Trained model, saved so startup doesn't retrain from scratch
+    modelPath: process.env.INTENT_MODEL_PATH || 'data/intent-model.json', // Relative to backend/
+    refreshIntervalMs: 60000     // How often each process checks for training data changed elsewhere
+  },
+  
+  // Conversation Context (services/conversationContextService.js)
+  conversationContext: {
+    store: process.env.CONTEXT_STORE || 'mongo', // 'mongo' (shared by all processes) or 'memory' (this process only)
+    maxTurns: 10,                // Turns remembered per conversation
+    followUpTurns: 3,            // How many recent turns an unclear message can follow up on
+    ttlDays: 30,                 // Forgotten after this long without a new message
+    perPatient: false            // Also remember across a patient's tickets (a new ticket starts with it)
+  },
+  
+  // Reply Feedback (services/feedbackService.js)
+  feedback: {
+    minVotes: 5                  // Intents and templates with fewer votes aren't ranked in the report
+  },
+  
+  // Language Model (used by services/gptService.js)
+  llm: {
+    // 'openai' (OpenAI or any OpenAI-compatible server such as Ollama or llama.cpp),
+    // 'anthropic', or 'fake' (deterministic replies, no network)
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL || null, // e.g. http://localhost:11434/v1 for Ollama
+    // Settings per use case; LLM_MODEL sets the model for all of them. Without a model the provider's
+    // default is used (gpt-3.5-turbo for OpenAI, claude-3-5-haiku-latest for Anthropic); other
+    // OpenAI-compatible servers have no default, so set LLM_MODEL to a model they serve
+    useCases: {
+      generate: {       // Answering a categorised message
+        model: process.env.LLM_MODEL || null,
+        temperature: 0.7,
+        maxTokens: 500,
+        topP: 0.9,
+        frequencyPenalty: 0.5,
+        presencePenalty: 0.5
+      },
+      enhance: {        // Rewriting the rule-based reply
+        model: process.env.LLM_MODEL || null,
+        temperature: 0.7,
+        maxTokens: 500
+      },
+      unknownQuery: {   // Messages the classifier couldn't categorise
+        model: process.env.LLM_MODEL || null,
+        temperature: 0.7,
+        maxTokens: 300
+      }
+    }
   },
   
   // Global Settings
@@ -0,0 +1,114 @@
+/**
+ * Permission Policy for TicketHub
+ *
+ * Every authorization decision goes through the named permissions below
+ * instead of comparing roles in route handlers. To change what a role can
+ * do, edit ROLE_PERMISSIONS; the routes and the frontend (which receives
+ * the list from GET /api/auth/me) follow automatically.
+ *
+ * Ticket permissions come in two scopes:
+ *   .own - only tickets the user created
+ *   .any - every ticket
+ */
+
+const PERMISSIONS = {
+  TICKET_CREATE: 'ticket.create',
+  TICKET_READ_OWN: 'ticket.read.own',
+  TICKET_READ_ANY: 'ticket.read.any',
+  TICKET_UPDATE_OWN: 'ticket.update.own',
+  TICKET_UPDATE_ANY: 'ticket.update.any',
+  TICKET_MESSAGE_OWN: 'ticket.message.own',
+  TICKET_MESSAGE_ANY: 'ticket.message.any',
+  TICKET_ASSIGN: 'ticket.assign',
+  TICKET_DELETE: 'ticket.delete',
+  PHI_REVEAL: 'phi.reveal',               // Still limited to the provider assigned to the ticket
+  PHI_REVEAL_LOG_READ: 'phi.reveal_log.read',
+  USER_MANAGE: 'user.manage',
+  AUDIT_READ: 'audit.read',
+  JOB_MANAGE: 'job.manage',               // Inspect and requeue background jobs
+  TRAINING_MANAGE: 'training.manage',     // Edit the intent classifier's training examples
+  FEEDBACK_READ: 'feedback.read',         // Report on patients' ratings of AI replies
+  SAFETY_ALERT_ACKNOWLEDGE: 'safety_alert.acknowledge' // Mark a ticket's medication safety alert as reviewed
+};
+
+const P = PERMISSIONS;
+
+const PATIENT = [
+  P.TICKET_CREATE,
+  P.TICKET_READ_OWN,
+  P.TICKET_UPDATE_OWN,
+  P.TICKET_MESSAGE_OWN
+];
+
+const HEALTHCARE_PROVIDER = [
+  P.TICKET_CREATE,
+  P.TICKET_READ_ANY,
+  P.TICKET_UPDATE_ANY,
+  P.TICKET_MESSAGE_ANY,
+  P.TICKET_ASSIGN,
+  P.PHI_REVEAL,
+  P.PHI_REVEAL_LOG_READ,
+  P.SAFETY_ALERT_ACKNOWLEDGE
+];
+
+const ROLE_PERMISSIONS = {
+  patient: PATIENT,
+  healthcare_provider: HEALTHCARE_PROVIDER,
+  // Admins manage the system but don't treat patients, so no phi.reveal or clinical review
+  admin: [
+    ...HEALTHCARE_PROVIDER.filter(permission => permission !== P.PHI_REVEAL && permission !== P.SAFETY_ALERT_ACKNOWLEDGE),
+    P.TICKET_DELETE,
+    P.USER_MANAGE,
+    P.AUDIT_READ,
+    P.JOB_MANAGE,
+    P.TRAINING_MANAGE,
+    P.FEEDBACK_READ
+  ]
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+/**
+ * Lists the permissions a user has
+ * @param {Object} user - User (needs role)
+ * @returns {string[]} Permission names
+ */
+const permissionsFor = (user) => (user && ROLE_PERMISSIONS[user.role]) || [];
+
+/**
+ * Checks a single permission
+ * @param {Object} user - User (needs role)
+ * @param {string} permission - Permission name, e.g. 'ticket.assign'
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+/**
+ * Checks whether a user may act on a specific ticket
+ * @param {Object} user - User (needs id and role)
+ * @param {string} action - 'read', 'update' or 'message'
+ * @param {Object} ticket - Ticket (user may be populated or an ObjectId)
+ * @returns {boolean}
+ */
+const canAccessTicket = (user, action, ticket) => {
+  if (hasPermission(user, `ticket.${action}.any`)) return true;
+  return hasPermission(user, `ticket.${action}.own`) && idOf(ticket.user) === user.id;
+};
+
+/**
+ * Checks whether a user may reveal PHI on a ticket (assigned provider only)
+ * @param {Object} user - User (needs id and role)
+ * @param {Object} ticket - Ticket (assignedTo may be populated or an ObjectId)
+ * @returns {boolean}
+ */
+const canRevealPhi = (user, ticket) => hasPermission(user, P.PHI_REVEAL) &&
+  !!ticket.assignedTo && idOf(ticket.assignedTo) === user.id;
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+  canAccessTicket,
+  canRevealPhi
+};
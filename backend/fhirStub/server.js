@@ -0,0 +1,245 @@
+/**
+ * Local FHIR R4 Stub Server
+ *
+ * A small stand-in for a hospital EHR, so the EHR integration can be
+ * developed and tried out without one. It serves the synthetic patients in
+ * fhirStub/patients.json (pat-1001, pat-1002, pat-1003) and supports just
+ * what ehrService uses:
+ * - SMART Backend Services authorization: /.well-known/smart-configuration
+ *   and a token endpoint that accepts private_key_jwt client assertions
+ *   signed with the key from `npm run fhir:keygen`
+ * - reading Patient/<id>
+ * - searching MedicationStatement, AllergyIntolerance and Condition by
+ *   patient, in pages of at most FHIR_STUB_PAGE_SIZE resources
+ *
+ * Usage: npm run fhir:keygen (once), then npm run fhir:stub
+ *
+ * Settings (environment):
+ *   FHIR_STUB_PORT       port to listen on (default 4010)
+ *   FHIR_STUB_CLIENT_ID  the only client allowed a token (default tickethub-dev)
+ *   FHIR_STUB_JWKS       the client's public JWK Set (default data/fhir-client-jwks.json)
+ *   FHIR_STUB_PAGE_SIZE  largest search page (default 2, so paging gets exercised)
+ *   FHIR_STUB_AUTH=none  serve data without access tokens
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const PORT = parseInt(process.env.FHIR_STUB_PORT, 10) || 4010;
+const CLIENT_ID = process.env.FHIR_STUB_CLIENT_ID || 'tickethub-dev';
+const JWKS_PATH = path.resolve(__dirname, '..', process.env.FHIR_STUB_JWKS || 'data/fhir-client-jwks.json');
+const PAGE_SIZE = parseInt(process.env.FHIR_STUB_PAGE_SIZE, 10) || 2;
+const AUTH_REQUIRED = process.env.FHIR_STUB_AUTH !== 'none';
+const TOKEN_LIFETIME_SECONDS = 300;
+
+const BASE_URL = `http://localhost:${PORT}/fhir`;
+const TOKEN_URL = `${BASE_URL}/auth/token`;
+
+const SEARCHABLE_TYPES = ['MedicationStatement', 'AllergyIntolerance', 'Condition'];
+
+const { resources } = JSON.parse(fs.readFileSync(path.join(__dirname, 'patients.json'), 'utf8'));
+
+const patients = new Map(resources
+  .filter(resource => resource.resourceType === 'Patient')
+  .map(resource => [resource.id, resource]));
+
+// Patient ID a resource belongs to
+const patientOf = (resource) => (resource.subject || resource.patient)?.reference?.replace(/^Patient\//, '');
+
+// access token -> { scopes, expiresAt }
+const accessTokens = new Map();
+// Assertion IDs already used, so an assertion can't be replayed: jti -> expiresAt
+const usedAssertions = new Map();
+
+const operationOutcome = (res, status, code, diagnostics) => res.status(status).type('application/fhir+json').json({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'error', code, diagnostics }]
+});
+
+const tokenError = (res, error, description) => res.status(error === 'invalid_client' ? 401 : 400).json({
+  error,
+  error_description: description
+});
+
+// The client's public key for an assertion's key ID (the JWK Set is reread
+// on every request so a regenerated key works without a restart)
+const clientKey = (kid) => {
+  const { keys = [] } = JSON.parse(fs.readFileSync(JWKS_PATH, 'utf8'));
+  const jwk = keys.find(key => key.kid === kid);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/fhir/.well-known/smart-configuration', (req, res) => {
+  res.json({
+    token_endpoint: TOKEN_URL,
+    token_endpoint_auth_methods_supported: ['private_key_jwt'],
+    token_endpoint_auth_signing_alg_values_supported: ['RS384', 'ES384'],
+    grant_types_supported: ['client_credentials'],
+    scopes_supported: SEARCHABLE_TYPES.map(type => `system/${type}.read`).concat('system/Patient.read'),
+    capabilities: ['client-confidential-asymmetric']
+  });
+});
+
+app.post('/fhir/auth/token', (req, res) => {
+  const { grant_type, scope = '', client_assertion_type, client_assertion } = req.body || {};
+
+  if (grant_type !== 'client_credentials') {
+    return tokenError(res, 'unsupported_grant_type', 'Only client_credentials is supported');
+  }
+  if (client_assertion_type !== 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer' || !client_assertion) {
+    return tokenError(res, 'invalid_client', 'A private_key_jwt client assertion is required');
+  }
+
+  let claims;
+  try {
+    const { header } = jwt.decode(client_assertion, { complete: true }) || {};
+    const key = header && clientKey(header.kid);
+    if (!key) {
+      return tokenError(res, 'invalid_client', `Unknown key ID ${header?.kid} (run npm run fhir:keygen)`);
+    }
+    claims = jwt.verify(client_assertion, key, {
+      algorithms: ['RS384', 'ES384'],
+      issuer: CLIENT_ID,
+      subject: CLIENT_ID,
+      audience: TOKEN_URL,
+      maxAge: '5m'
+    });
+  } catch (err) {
+    return tokenError(res, 'invalid_client', err.code === 'ENOENT' ? `No client keys at ${JWKS_PATH}` : err.message);
+  }
+
+  if (!claims.jti || usedAssertions.has(claims.jti)) {
+    return tokenError(res, 'invalid_client', 'Client assertion has no jti or was already used');
+  }
+  usedAssertions.set(claims.jti, claims.exp * 1000);
+
+  const granted = scope.split(' ').filter(requested => /^system\/(\w+|\*)\.(read|\*)$/.test(requested));
+  if (!granted.length) {
+    return tokenError(res, 'invalid_scope', 'Request at least one system/<Resource>.read scope');
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { scopes: granted, expiresAt: Date.now() + TOKEN_LIFETIME_SECONDS * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: TOKEN_LIFETIME_SECONDS,
+    scope: granted.join(' ')
+  });
+});
+
+app.get('/fhir/metadata', (req, res) => {
+  res.type('application/fhir+json').json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: '2026-10-18',
+    kind: 'instance',
+    software: { name: 'TicketHub FHIR stub' },
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: { service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }] }] },
+      resource: [
+        { type: 'Patient', interaction: [{ code: 'read' }] },
+        ...SEARCHABLE_TYPES.map(type => ({
+          type,
+          interaction: [{ code: 'search-type' }],
+          searchParam: [{ name: 'patient', type: 'reference' }]
+        }))
+      ]
+    }]
+  });
+});
+
+// Checks the bearer token and that its scopes cover the resource type
+const authorize = (req, res, next) => {
+  if (!AUTH_REQUIRED) return next();
+
+  const token = (req.header('Authorization') || '').replace(/^Bearer /i, '');
+  const grant = accessTokens.get(token);
+  if (!grant || grant.expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    return operationOutcome(res, 401, 'login', 'Missing, unknown or expired access token');
+  }
+
+  const type = req.params.type;
+  const allowed = grant.scopes.some(scope => {
+    const [, scopeType] = scope.match(/^system\/(\w+|\*)\./);
+    return scopeType === '*' || scopeType === type;
+  });
+  if (!allowed) {
+    return operationOutcome(res, 403, 'forbidden', `The access token has no scope for ${type}`);
+  }
+  next();
+};
+
+// Only the listed resource types can be used with a route
+const supports = (types, interaction) => (req, res, next) => {
+  if (!types.includes(req.params.type)) {
+    return operationOutcome(res, 404, 'not-supported', `${interaction} ${req.params.type} is not supported`);
+  }
+  next();
+};
+
+app.get('/fhir/:type/:id', [supports(['Patient'], 'Reading'), authorize], (req, res) => {
+  const patient = patients.get(req.params.id);
+  if (!patient) {
+    return operationOutcome(res, 404, 'not-found', `Patient/${req.params.id} is not known`);
+  }
+  res.type('application/fhir+json').json(patient);
+});
+
+app.get('/fhir/:type', [supports(SEARCHABLE_TYPES, 'Searching'), authorize], (req, res) => {
+  const { type } = req.params;
+  const patientId = (req.query.patient || '').replace(/^Patient\//, '');
+  if (!patientId) {
+    return operationOutcome(res, 400, 'required', 'The patient search parameter is required');
+  }
+
+  const matches = resources.filter(resource => resource.resourceType === type && patientOf(resource) === patientId);
+  const count = Math.min(parseInt(req.query._count, 10) || PAGE_SIZE, PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query._offset, 10) || 0, 0);
+  const pageUrl = (pageOffset) => `${BASE_URL}/${type}?patient=${encodeURIComponent(patientId)}&_count=${count}&_offset=${pageOffset}`;
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (offset + count < matches.length) {
+    link.push({ relation: 'next', url: pageUrl(offset + count) });
+  }
+
+  res.type('application/fhir+json').json({
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    meta: { lastUpdated: new Date().toISOString() },
+    type: 'searchset',
+    total: matches.length,
+    link,
+    entry: matches.slice(offset, offset + count).map(resource => ({
+      fullUrl: `${BASE_URL}/${type}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  });
+});
+
+// Forget expired tokens and assertion IDs
+setInterval(() => {
+  const now = Date.now();
+  accessTokens.forEach((grant, token) => grant.expiresAt < now && accessTokens.delete(token));
+  usedAssertions.forEach((expiresAt, jti) => expiresAt < now && usedAssertions.delete(jti));
+}, 60 * 1000).unref();
+
+app.listen(PORT, () => {
+  console.log(`FHIR stub serving ${patients.size} synthetic patients at ${BASE_URL}`);
+  console.log(AUTH_REQUIRED ? `SMART backend services client: ${CLIENT_ID} (keys from ${JWKS_PATH})` : 'Authorization disabled (FHIR_STUB_AUTH=none)');
+});
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { recordEvent, requestContext } = require('../services/auditService');
+
+// Middleware to record an audit event once the response has been sent
+//
+// Usage: router.get('/:id', [auth, auditTrail('ticket.read', { fields: ['description', 'messages'] })], ...)
+//
+// Options:
+//   fields   - Array of field names, or a function (req) => array
+//   ticketId - Function (req, res) => ticket ID (defaults to req.params.id or res.locals.auditTicketId)
+//   metadata - Function (req, res) => extra details to store (never raw PHI)
+const auditTrail = (action, options = {}) => (req, res, next) => {
+  res.on('finish', () => {
+    const fields = typeof options.fields === 'function' ? options.fields(req) : options.fields;
+    const ticketId = options.ticketId
+      ? options.ticketId(req, res)
+      : res.locals.auditTicketId || req.params.id;
+
+    recordEvent({
+      ...requestContext(req),
+      action,
+      ticket: mongoose.isValidObjectId(ticketId) ? ticketId : null,
+      fields: fields || [],
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      statusCode: res.statusCode,
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        ...(options.metadata ? options.metadata(req, res) : {}),
+        ...(res.locals.auditMetadata || {})
+      }
+    }).catch(err => {
+      console.error(`Error recording audit event "${action}":`, err.message);
+    });
+  });
+
+  next();
+};
+
+// Helper for update routes: the names of the body fields the client sent
+const bodyFields = (req) => Object.keys(req.body || {});
+
+module.exports = { auditTrail, bodyFields };
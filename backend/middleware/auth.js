@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../config/permissions');
 
 // Middleware to verify JWT token (required auth)
 const auth = async (req, res, next) => {
@@ -15,13 +17,24 @@ const auth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Reject tokens whose session was signed out or revoked
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ msg: 'Session has ended, please sign in again' });
+    }
+    
     // Add user from payload
     req.user = await User.findById(decoded.id).select('-password');
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp * 1000;
     
     if (!req.user) {
       return res.status(401).json({ msg: 'User not found' });
     }
     
+    if (!req.user.active) {
+      return res.status(401).json({ msg: 'Account has been deactivated' });
+    }
+    
     next();
   } catch (err) {
     res.status(401).json({ msg: 'Token is not valid' });
@@ -44,8 +57,19 @@ const optionalAuth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Treat tokens from ended sessions like no token at all
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      req.user = null;
+      return next();
+    }
+    
     // Add user from payload
     req.user = await User.findById(decoded.id).select('-password');
+    req.sessionId = decoded.sid;
+    
+    if (req.user && !req.user.active) {
+      req.user = null;
+    }
     
     next();
   } catch (err) {
@@ -55,22 +79,25 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is a healthcare provider
-const isHealthcareProvider = (req, res, next) => {
-  if (req.user && (req.user.role === 'healthcare_provider' || req.user.role === 'admin')) {
+// Middleware to require a permission (see config/permissions.js)
+// e.g. requirePermission(PERMISSIONS.USER_MANAGE)
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user && hasPermission(req.user, permission)) {
     next();
   } else {
-    res.status(403).json({ msg: 'Access denied. Not authorized as healthcare provider' });
+    res.status(403).json({ msg: 'Access denied. You do not have permission to do this', permission });
   }
 };
 
-// Middleware to check if user is an admin
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ msg: 'Access denied. Not authorized as admin' });
+// Middleware to require a verified email address before patients open tickets
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.role === 'patient' && !req.user.emailVerified) {
+    return res.status(403).json({
+      msg: 'Please verify your email address before opening a ticket',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
   }
+  next();
 };
 
-module.exports = { auth, optionalAuth, isHealthcareProvider, isAdmin };
\ No newline at end of file
+module.exports = { auth, optionalAuth, requirePermission, requireVerifiedEmail };
\ No newline at end of file
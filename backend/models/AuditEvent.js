@@ -0,0 +1,119 @@
+/**
+ * AuditEvent Model
+ *
+ * This model records who accessed or changed protected health information (PHI),
+ * as required for HIPAA accountability.
+ *
+ * The collection is append-only: events can be created but never updated or deleted.
+ * Each event stores the hash of the event before it, forming a hash chain.
+ * If any stored event is edited or removed, the chain no longer verifies
+ * (see services/auditService.js -> verifyChain).
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of an audit event in the database
+const AuditEventSchema = new mongoose.Schema({
+  // Position in the hash chain (0, 1, 2, ...)
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true            // Two events can never share a position
+  },
+
+  // Who did it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null           // Null for anonymous actions such as a failed login
+  },
+  actorRole: {
+    type: String,
+    default: null           // Role at the time of the action
+  },
+
+  // What they did, e.g. 'ticket.read', 'ticket.update', 'ehr.retrieve'
+  action: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  statusCode: {
+    type: Number,
+    default: null           // HTTP status returned to the client
+  },
+
+  // What it was done to
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  fields: {
+    type: [String],
+    default: []             // Fields read or changed, e.g. ['status', 'priority']
+  },
+
+  // Where the request came from
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Any extra details (never raw PHI)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // When it happened
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Hash chain
+  prevHash: {
+    type: String,
+    required: true          // Hash of the previous event (all zeros for the first one)
+  },
+  hash: {
+    type: String,
+    required: true          // SHA-256 of this event's contents plus prevHash
+  }
+});
+
+// Indexes for the admin query endpoint
+AuditEventSchema.index({ actor: 1, timestamp: -1 });
+AuditEventSchema.index({ ticket: 1, timestamp: -1 });
+AuditEventSchema.index({ action: 1, timestamp: -1 });
+
+/**
+ * Append-only protection: block every operation that could change or remove events
+ */
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only and cannot be modified or deleted'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectChange
+);
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
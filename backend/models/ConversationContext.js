@@ -0,0 +1,82 @@
+/**
+ * ConversationContext Model
+ *
+ * What the assistant remembers about a conversation: the intent, entities
+ * and language of its recent turns. There is one context per ticket, and
+ * optionally one per patient spanning their tickets (see
+ * services/conversationContextService.js).
+ *
+ * Entities are words from patient messages (symptoms, medications...), so
+ * they are stored encrypted. Contexts expire after a period without new
+ * messages and are deleted with their ticket.
+ */
+
+const mongoose = require('mongoose');
+const fieldEncryption = require('./plugins/fieldEncryption');
+
+// One message of the conversation, as the assistant understood it
+const TurnSchema = new mongoose.Schema({
+  // Intent the reply was based on; null when the assistant asked to clarify
+  intent: {
+    type: String,
+    default: null
+  },
+  confidence: {
+    type: Number,
+    default: 0
+  },
+  // Whether the intent came from an earlier turn rather than this message
+  followUp: {
+    type: Boolean,
+    default: false
+  },
+  // JSON of analyzeMessage's entities ({ symptoms: [...], medications: [...], ... })
+  entities: {
+    type: String,
+    default: ''
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Define the structure of a conversation context in the database
+const ConversationContextSchema = new mongoose.Schema({
+  // 'ticket:<ticketId>' or 'patient:<userId>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Language of the conversation so far
+  language: {
+    type: String,
+    default: 'en'
+  },
+  turns: [TurnSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+ConversationContextSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ConversationContextSchema.index({ user: 1 });
+
+ConversationContextSchema.plugin(fieldEncryption, { paths: ['turns.entities'] });
+
+module.exports = mongoose.model('ConversationContext', ConversationContextSchema);
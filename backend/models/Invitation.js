@@ -0,0 +1,81 @@
+/**
+ * Invitation Model
+ *
+ * Healthcare providers and admins can't register themselves. An admin
+ * invites them by email; the email contains a single-use signup link that
+ * creates the account with the invited role.
+ *
+ * Only the hash of the invitation token is stored.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of an invitation in the database
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['healthcare_provider', 'admin'],  // Patients register themselves
+    required: true
+  },
+
+  // SHA-256 hash of the secret part of the invitation token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set once the invitation is used or withdrawn
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+InvitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+/**
+ * Checks whether the invitation can still be accepted
+ * @returns {boolean} True if not used, withdrawn or expired
+ */
+InvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Never send the token hash to clients
+InvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
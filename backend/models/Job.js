@@ -0,0 +1,101 @@
+/**
+ * Job Model
+ *
+ * A unit of background work (for now, writing the AI reply to a ticket
+ * message). Jobs live in MongoDB so they survive restarts and crashes; a
+ * worker claims them one at a time (see services/jobQueueService.js).
+ *
+ * Lifecycle: queued -> running -> completed, or back to queued with a later
+ * runAt after a failure. After maxAttempts failures the job is dead-lettered
+ * (status 'dead') and waits for an admin to requeue it.
+ *
+ * Payloads hold IDs only, never message text, so no PHI is copied here.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of a job in the database
+const JobSchema = new mongoose.Schema({
+  // What to do, e.g. 'ai_reply'
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Enqueuing the same key twice creates one job (e.g. 'ai_reply:<messageId>')
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now       // Not picked up before this time (used for backoff)
+  },
+
+  // Retry bookkeeping
+  attempts: {
+    type: Number,
+    default: 0              // Incremented when a worker claims the job
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [
+    {
+      attempt: Number,
+      message: String,
+      workerId: String,
+      failedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+
+  // Set while a worker is running the job; a stale lock means the worker died
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null           // Worker ID (host:pid)
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Claiming the next due job
+JobSchema.index({ status: 1, runAt: 1 });
+
+// MongoDB removes completed jobs after a week (dead jobs stay until requeued)
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,112 @@
+/**
+ * Provider Model
+ *
+ * One entry in the provider directory the assistant recommends care from:
+ * a clinician or care site, what they treat, who they can see and where.
+ * Entries are imported from a JSON file (scripts/importProviders.js) and
+ * matched to symptoms by specialty (see services/providerDirectoryService.js).
+ *
+ * This is a directory listing, not a login: providers who use TicketHub
+ * have a User account as well.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of a directory entry in the database
+const ProviderSchema = new mongoose.Schema({
+  // National Provider Identifier, used to update an entry on re-import
+  npi: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  providerType: {
+    type: String,
+    enum: [
+      'physician',
+      'nurse_practitioner',
+      'physician_assistant',
+      'therapist',
+      'urgent_care',
+      'emergency_department'
+    ],
+    required: true
+  },
+  // Specialty IDs from config/specialties.json, e.g. 'cardiology'
+  specialties: {
+    type: [String],
+    default: []
+  },
+  // Languages spoken, as User.preferredLanguage codes ('en', 'es', ...)
+  languages: {
+    type: [String],
+    default: ['en']
+  },
+  // Insurance plans accepted, lowercase IDs such as 'medicare' or 'aetna'
+  insuranceAccepted: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+
+  // Where the provider sees patients
+  clinic: {
+    name: String,
+    address: String,
+    phone: String,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number],                        // [longitude, latitude] (GeoJSON order)
+        required: true
+      }
+    }
+  },
+
+  availability: {
+    acceptingNewPatients: {
+      type: Boolean,
+      default: true
+    },
+    telehealth: {
+      type: Boolean,
+      default: false
+    },
+    nextAvailable: {
+      type: Date,                              // Earliest open appointment, when known
+      default: null
+    },
+    // Opening hours, e.g. { day: 1, open: '08:00', close: '17:00' } (day 0 = Sunday)
+    hours: [
+      {
+        _id: false,
+        day: { type: Number, min: 0, max: 6 },
+        open: String,
+        close: String
+      }
+    ]
+  },
+
+  // Inactive entries are kept but never recommended
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Needed for $geoNear distance searches
+ProviderSchema.index({ 'clinic.location': '2dsphere' });
+ProviderSchema.index({ specialties: 1, active: 1 });
+
+module.exports = mongoose.model('Provider', ProviderSchema);
@@ -0,0 +1,33 @@
+/**
+ * RealtimeEvent Model
+ *
+ * Carries live updates (ticket changes, AI reply progress) from a worker
+ * running in its own process to the API server, which owns the Socket.IO
+ * and reply-stream connections (see services/eventBus.js).
+ *
+ * The collection is capped: the server follows it with a tailable cursor
+ * and old events fall off the end, so it never needs cleaning up.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of a relayed event in the database
+const RealtimeEventSchema = new mongoose.Schema({
+  // Event bus topic, e.g. 'ticket:updated' or 'reply'
+  topic: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 50000 }
+});
+
+module.exports = mongoose.model('RealtimeEvent', RealtimeEventSchema);
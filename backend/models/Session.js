@@ -0,0 +1,80 @@
+/**
+ * Session Model
+ *
+ * One session per signed-in device. A session holds the hash of its current
+ * refresh token (never the token itself) and is rotated on every refresh.
+ *
+ * Access tokens carry the session ID (sid), so revoking a session also
+ * invalidates its access tokens straight away (see middleware/auth.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of a session in the database
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 hashes of the current and the previous refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    default: null           // Presenting this again means the token was stolen and replayed
+  },
+
+  // Device details shown in the session list
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now       // Updated on every refresh
+  },
+  expiresAt: {
+    type: Date,
+    required: true          // When the refresh token stops working
+  },
+
+  // Set when the user signs out, revokes the device, or token reuse is detected
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'token_reuse', null],
+    default: null
+  }
+});
+
+// Listing a user's active sessions
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// MongoDB removes sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Checks whether the session can still be used
+ * @returns {boolean} True if not revoked and not expired
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -7,6 +7,10 @@
  */
 
 const mongoose = require('mongoose');
+const phiRedaction = require('./plugins/phiRedaction');
+const fieldEncryption = require('./plugins/fieldEncryption');
+const featureConfig = require('../config/enhancedFeatures');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
 // Define the structure of a ticket in the database
 const TicketSchema = new mongoose.Schema({
@@ -82,6 +86,10 @@ const TicketSchema = new mongoose.Schema({
     type: String,
     default: ''              // Optional written feedback
   },
+  feedbackAt: {
+    type: Date,
+    default: null            // When the rating was last given
+  },
   // Conversation thread (all messages in this ticket)
   messages: [
     {
@@ -97,12 +105,100 @@ const TicketSchema = new mongoose.Schema({
         type: String,
         required: true                         // Every message must have content
       },
+      replyTo: {
+        type: mongoose.Schema.Types.ObjectId,  // For AI replies: the message being answered
+        default: null
+      },
+      intent: {
+        type: String,                          // For AI replies: the intent it was based on
+        default: null
+      },
+      template: {
+        type: String,                          // For AI replies: response template used (e.g. 'billing.1')
+        default: null
+      },
+      feedback: {
+        helpful: {
+          type: Boolean,                       // Patient's thumbs up (true) or down (false) on an AI reply
+          default: null
+        },
+        givenAt: {
+          type: Date,
+          default: null
+        }
+      },
       timestamp: {
         type: Date,
         default: Date.now                      // When this message was sent
       }
     }
   ],
+  // Medication safety concerns for the provider to review (services/medicationSafetyService.js)
+  safetyAlerts: [
+    {
+      type: {
+        type: String,
+        enum: ['interaction', 'allergy', 'contraindication']
+      },
+      severity: {
+        type: String,
+        enum: ['minor', 'moderate', 'major', 'contraindicated']
+      },
+      rule: {
+        type: String,                          // Dataset entry that matched, e.g. 'DDI-ANTICOAG-NSAID'
+        required: true
+      },
+      medication: {
+        type: String,                          // As the patient named it
+        required: true
+      },
+      conflictsWith: {
+        type: String,                          // Medication, allergy or condition in their record
+        required: true
+      },
+      description: String,
+      datasetVersion: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,  // Provider who reviewed it
+        ref: 'User',
+        default: null
+      },
+      acknowledgedAt: {
+        type: Date,
+        default: null
+      }
+    }
+  ],
+  // Record of every time a provider revealed redacted PHI on this ticket
+  phiRevealLog: [
+    {
+      revealedBy: {
+        type: mongoose.Schema.Types.ObjectId,  // Provider who viewed the original text
+        ref: 'User'
+      },
+      field: {
+        type: String,
+        enum: ['description', 'message']       // What was revealed
+      },
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,  // Which message (when field is 'message')
+        default: null
+      },
+      reason: {
+        type: String,
+        required: true                         // Clinical justification for the access
+      },
+      ipAddress: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   // Timestamps for tracking ticket lifecycle
   createdAt: {
     type: Date,
@@ -123,4 +219,64 @@ TicketSchema.pre('save', function(next) {
   next();                       // Continue with the save operation
 });
 
+/**
+ * PHI redaction: description and message text are stored redacted for display,
+ * with the original kept encrypted alongside (see plugins/phiRedaction.js)
+ */
+TicketSchema.plugin(phiRedaction, {
+  paths: ['description', 'messages.content'],
+  enabled: () => featureConfig.hipaaCompliance.enabled && featureConfig.hipaaCompliance.autoRedactPHI,
+  style: () => featureConfig.hipaaCompliance.redactionStyle,
+  minConfidence: () => featureConfig.hipaaCompliance.minConfidence
+});
+
+/**
+ * Field encryption: free-text fields are stored as AES-GCM ciphertext
+ * Registered after phiRedaction so redaction sees the plaintext first
+ * (status, priority, dates and IDs stay unencrypted so they can be queried and sorted)
+ */
+TicketSchema.plugin(fieldEncryption, {
+  paths: [
+    'description', 'aiResponse', 'feedbackComments', 'messages.content', 'descriptionEncrypted', 'messages.contentEncrypted',
+    'safetyAlerts.medication', 'safetyAlerts.conflictsWith'
+  ]
+});
+
+/**
+ * Builds the version of this ticket a particular user is allowed to see
+ * Patients see their own original text; everything else stays redacted
+ *
+ * @param {Object} viewer - The user requesting the ticket
+ * @returns {Object} Plain ticket object ready to send as JSON
+ */
+TicketSchema.methods.toViewFor = function(viewer) {
+  const view = this.toJSON();
+  const viewerId = viewer?.id?.toString();
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+  if (viewerId && idOf(this.user) === viewerId) {
+    view.description = this.getOriginal('description');
+  }
+
+  view.messages = this.messages.map((msg, index) => {
+    const messageView = view.messages[index];
+    if (viewerId && !msg.isAI && idOf(msg.sender) === viewerId) {
+      messageView.content = this.getOriginal('messages.content', msg._id);
+    }
+    return messageView;
+  });
+
+  // Only providers and admins need to see who revealed PHI
+  if (!hasPermission(viewer, PERMISSIONS.PHI_REVEAL_LOG_READ)) {
+    delete view.phiRevealLog;
+  }
+
+  // Patients get the warnings in the assistant's reply; the alerts are for their care team
+  if (!hasPermission(viewer, PERMISSIONS.TICKET_READ_ANY)) {
+    delete view.safetyAlerts;
+  }
+
+  return view;
+};
+
 module.exports = mongoose.model('Ticket', TicketSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * TrainingExample Model
+ *
+ * One utterance the intent classifier learns from, e.g. "I need to book a
+ * doctor visit" -> appointment. The collection is seeded from
+ * services/trainingData.js the first time the server starts; admins add,
+ * edit and remove examples from there (see routes/training.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Define the structure of a training example in the database
+const TrainingExampleSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Intent label, e.g. 'appointment' or 'billing'
+  intent: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // 'seed' examples come from services/trainingData.js, 'admin' ones from the UI
+  source: {
+    type: String,
+    enum: ['seed', 'admin'],
+    default: 'admin'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+TrainingExampleSchema.index({ intent: 1, text: 1 }, { unique: true });
+TrainingExampleSchema.index({ updatedAt: -1 });
+
+module.exports = mongoose.model('TrainingExample', TrainingExampleSchema);
@@ -8,6 +8,7 @@
 
 const mongoose = require('mongoose');  // MongoDB object modeling tool
 const bcrypt = require('bcryptjs');    // Password hashing library
+const fieldEncryption = require('./plugins/fieldEncryption');  // Transparent field encryption
 
 // Define the structure of a user in the database
 const UserSchema = new mongoose.Schema({
@@ -25,6 +26,30 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true                // Every user must have a password (will be hashed)
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null                 // When the password was last changed (null if never)
+  },
+  
+  // Email verification (patients must verify before opening tickets)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Login lockout: repeated wrong passwords lock the account for a growing period
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
   
   // User role determines permissions and access levels
   role: {
@@ -33,6 +58,85 @@ const UserSchema = new mongoose.Schema({
     default: 'patient'            // New users are patients by default
   },
   
+  // Deactivated users can't sign in; their tickets and audit history are kept
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Contact details (encrypted at rest)
+  phone: {
+    type: String,
+    default: null
+  },
+  address: {
+    type: String,
+    default: null
+  },
+  
+  // Communication preferences used by the AI assistant
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'es', 'fr', 'zh', 'ar', 'auto'],  // Supported languages ('auto' = detect from each message)
+    default: 'auto'
+  },
+  voicePreference: {
+    type: String,
+    enum: ['male', 'female'],     // Voice used for spoken responses
+    default: 'female'
+  },
+  
+  // Consent to let the AI assistant read the patient's electronic health record
+  ehrConsent: {
+    type: Boolean,
+    default: false
+  },
+  ehrConsentUpdatedAt: {
+    type: Date,
+    default: null                 // When consent was last granted or withdrawn
+  },
+  
+  // Patient identifier in the external EHR system (encrypted at rest); only staff link it,
+  // through PATCH /api/users/:id/ehr-patient-id
+  ehrPatientId: {
+    type: String,
+    default: null
+  },
+  
+  // Two-factor authentication (TOTP), required for healthcare providers and admins
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null                 // Base32 TOTP secret (encrypted at rest)
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null                 // Secret being enrolled, until the first code is confirmed
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    default: []                   // SHA-256 hashes of unused backup codes
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null                 // Time step of the last accepted code, so a code can't be replayed
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    default: null
+  },
+  
   // Timestamp for when the user account was created
   createdAt: {
     type: Date,
@@ -40,6 +144,26 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Never send two-factor secrets or backup codes to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorBackupCodes;
+    delete ret.twoFactorLastUsedStep;
+    delete ret.twoFactorFailedAttempts;
+    delete ret.twoFactorLockedUntil;
+    delete ret.failedLoginAttempts;
+    delete ret.lockedUntil;
+    return ret;
+  }
+});
+
+/**
+ * Field encryption: contact details, the EHR patient identifier and TOTP secrets are stored as AES-GCM ciphertext
+ */
+UserSchema.plugin(fieldEncryption, { paths: ['phone', 'address', 'ehrPatientId', 'twoFactorSecret', 'twoFactorPendingSecret'] });
+
 /**
  * Pre-save hook: Automatically hash the password before saving
  * This ensures passwords are never stored in plain text in the database
@@ -58,6 +182,10 @@ UserSchema.pre('save', async function(next) {
     // Hash the password with the salt
     this.password = await bcrypt.hash(this.password, salt);
     
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    
     // Continue with the save operation
     next();
   } catch (error) {
@@ -66,6 +194,16 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+/**
+ * Pre-save hook: Record when EHR consent was granted or withdrawn
+ */
+UserSchema.pre('save', function(next) {
+  if (this.isModified('ehrConsent')) {
+    this.ehrConsentUpdatedAt = new Date();
+  }
+  next();
+});
+
 /**
  * Method to verify a password during login
  * Compares the provided password with the stored hash
@@ -0,0 +1,150 @@
+/**
+ * Field Encryption Plugin for Mongoose
+ *
+ * Transparently encrypts selected string fields with AES-256-GCM
+ * (see services/encryptionService.js):
+ * - Setting a field encrypts it straight away, so MongoDB only ever stores ciphertext
+ * - Reading a field (ticket.description) returns the decrypted value
+ * - toJSON() output is decrypted, so API responses are unchanged
+ *
+ * Each document also stores the ID of the key its fields were encrypted with
+ * (encryptionKeyId). On save, fields still encrypted with an older key are
+ * re-encrypted with the active key, so a document never mixes keys.
+ * scripts/rotateEncryptionKey.js does the same for documents nobody is saving.
+ *
+ * Encrypted fields cannot be searched or sorted on in MongoDB, so only
+ * encrypt free-text fields, never ones used in queries (status, updatedAt, ...).
+ *
+ * Usage:
+ *   TicketSchema.plugin(fieldEncryption, { paths: ['description', 'messages.content'] });
+ *
+ * Register this plugin after any plugin whose pre-save hook reads these fields
+ * as plaintext changes (such as phiRedaction), so that hook runs first.
+ */
+
+const encryptionService = require('../../services/encryptionService');
+
+/**
+ * Setter: encrypt plaintext, leave already-encrypted values alone
+ * (user input shaped like ciphertext is still encrypted: it doesn't authenticate)
+ */
+const encryptValue = (value) => {
+  if (typeof value !== 'string' || value === '' || encryptionService.isAuthentic(value)) {
+    return value;
+  }
+  return encryptionService.encrypt(value);
+};
+
+/**
+ * Getter: decrypt stored values
+ */
+const decryptValue = (value) => {
+  if (!encryptionService.isEncrypted(value)) {
+    return value;
+  }
+  try {
+    return encryptionService.decrypt(value);
+  } catch (error) {
+    console.error('Error decrypting field:', error.message);
+    return value;
+  }
+};
+
+/**
+ * Splits 'messages.content' into { arrayPath: 'messages', field: 'content' }
+ */
+const parsePath = (path) => {
+  const parts = path.split('.');
+  return parts.length === 1
+    ? { arrayPath: null, field: parts[0] }
+    : { arrayPath: parts.slice(0, -1).join('.'), field: parts[parts.length - 1] };
+};
+
+module.exports = function fieldEncryption(schema, pluginOptions = {}) {
+  const parsedPaths = (pluginOptions.paths || []).map(parsePath);
+
+  // Key ID of the key this document's fields are encrypted with
+  schema.add({
+    encryptionKeyId: {
+      type: String,
+      default: null
+    }
+  });
+
+  // Attach the getter and setter to every encrypted path
+  parsedPaths.forEach(({ arrayPath, field }) => {
+    const owner = arrayPath ? schema.path(arrayPath).schema : schema;
+    const schemaType = owner.path(field);
+    if (!schemaType) {
+      throw new Error(`fieldEncryption: path "${arrayPath ? `${arrayPath}.` : ''}${field}" is not defined in the schema`);
+    }
+    schemaType.set(encryptValue);
+    schemaType.get(decryptValue);
+  });
+
+  /**
+   * Lists every stored (raw) encrypted value in this document
+   * @returns {Array<Object>} Entries like { path: 'messages.2.content', owner, field, raw }
+   */
+  schema.methods.listEncryptedValues = function() {
+    const entries = [];
+    parsedPaths.forEach(({ arrayPath, field }) => {
+      const owners = arrayPath ? (this.get(arrayPath) || []) : [this];
+      owners.forEach((owner, index) => {
+        entries.push({
+          path: arrayPath ? `${arrayPath}.${index}.${field}` : field,
+          owner,
+          field,
+          raw: owner.get(field, null, { getters: false })
+        });
+      });
+    });
+    return entries;
+  };
+
+  /**
+   * Re-encrypts every field not yet on the active key
+   * @returns {Object} Raw values to $set in MongoDB (empty if nothing changed)
+   */
+  schema.methods.reencryptFields = function() {
+    const activeKeyId = encryptionService.getActiveKeyId();
+    const updates = {};
+
+    this.listEncryptedValues().forEach(({ path, owner, field, raw }) => {
+      if (typeof raw !== 'string' || raw === '') return;
+
+      const keyId = encryptionService.getKeyId(raw);
+      if (keyId !== activeKeyId) {
+        const reencrypted = encryptionService.encrypt(encryptionService.decrypt(raw), activeKeyId);
+        owner.set(field, reencrypted);
+        updates[path] = reencrypted;
+      }
+    });
+
+    if (this.encryptionKeyId !== activeKeyId) {
+      this.encryptionKeyId = activeKeyId;
+      updates.encryptionKeyId = activeKeyId;
+    }
+
+    return updates;
+  };
+
+  /**
+   * Pre-save hook: make sure every field uses the active key and record its ID
+   */
+  schema.pre('save', function(next) {
+    try {
+      this.reencryptFields();
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Return decrypted values from toJSON() (path getters only, no virtuals)
+  schema.set('toJSON', {
+    ...schema.get('toJSON'),
+    getters: true,
+    virtuals: false
+  });
+};
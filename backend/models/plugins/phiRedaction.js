@@ -0,0 +1,139 @@
+/**
+ * PHI Redaction Plugin for Mongoose
+ *
+ * Redacts Protected Health Information (PHI) from text fields every time a
+ * document is saved. The redacted text replaces the field value so it is safe
+ * to display, and the original is kept next to it, encrypted.
+ *
+ * For each configured path the plugin adds two fields:
+ *   <field>Encrypted - the original text, encrypted (null when no PHI was found)
+ *   <field>PhiTypes  - the PHI types that were detected
+ *
+ * Usage:
+ *   TicketSchema.plugin(phiRedaction, {
+ *     paths: ['description', 'messages.content'],
+ *     enabled: () => true,
+ *     style: () => 'placeholder'
+ *   });
+ */
+
+const phiService = require('../../services/phiService');
+const encryptionService = require('../../services/encryptionService');
+
+/**
+ * Redacts a single field on a document or subdocument
+ * @param {Object} doc - Document or subdocument that owns the field
+ * @param {string} field - Field name
+ * @param {Object} options - Plugin options
+ */
+const redactField = (doc, field, options) => {
+  const value = doc.get(field);
+  if (typeof value !== 'string' || !value) return;
+
+  const { text, spans } = phiService.redact(value, {
+    style: options.style(),
+    minConfidence: options.minConfidence()
+  });
+
+  if (spans.length > 0) {
+    doc.set(field, text);
+    doc.set(`${field}Encrypted`, encryptionService.encrypt(value));
+    doc.set(`${field}PhiTypes`, [...new Set(spans.map(span => span.type))]);
+  } else {
+    doc.set(`${field}Encrypted`, null);
+    doc.set(`${field}PhiTypes`, []);
+  }
+};
+
+/**
+ * Splits 'messages.content' into { arrayPath: 'messages', field: 'content' }
+ */
+const parsePath = (path) => {
+  const parts = path.split('.');
+  return parts.length === 1
+    ? { arrayPath: null, field: parts[0] }
+    : { arrayPath: parts.slice(0, -1).join('.'), field: parts[parts.length - 1] };
+};
+
+module.exports = function phiRedaction(schema, pluginOptions = {}) {
+  const options = {
+    paths: [],
+    enabled: () => true,
+    style: () => 'placeholder',
+    minConfidence: () => 0.5,
+    ...pluginOptions
+  };
+
+  const parsedPaths = options.paths.map(parsePath);
+
+  // Add the companion fields next to each redacted field
+  parsedPaths.forEach(({ arrayPath, field }) => {
+    const target = arrayPath ? schema.path(arrayPath).schema : schema;
+    target.add({
+      [`${field}Encrypted`]: { type: String, default: null },
+      [`${field}PhiTypes`]: { type: [String], default: [] }
+    });
+  });
+
+  /**
+   * Pre-save hook: redact any field that is new or has changed since it was loaded
+   */
+  schema.pre('save', function(next) {
+    if (!options.enabled()) {
+      return next();
+    }
+
+    try {
+      parsedPaths.forEach(({ arrayPath, field }) => {
+        if (!arrayPath) {
+          if (this.isNew || this.isModified(field)) {
+            redactField(this, field, options);
+          }
+          return;
+        }
+
+        (this.get(arrayPath) || []).forEach(subdoc => {
+          if (subdoc.isNew || subdoc.isModified(field)) {
+            redactField(subdoc, field, options);
+          }
+        });
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Returns the original (unredacted) text of a field
+   * @param {string} path - A configured path, e.g. 'description' or 'messages.content'
+   * @param {string} subdocId - For array paths, the _id of the subdocument
+   * @returns {string|null} The original text, or null if the subdocument was not found
+   */
+  schema.methods.getOriginal = function(path, subdocId = null) {
+    const { arrayPath, field } = parsePath(path);
+    const owner = arrayPath ? this.get(arrayPath).id(subdocId) : this;
+
+    if (!owner) return null;
+
+    const encrypted = owner.get(`${field}Encrypted`);
+    return encrypted ? encryptionService.decrypt(encrypted) : owner.get(field);
+  };
+
+  // Never send encrypted originals to clients
+  const existingTransform = schema.get('toJSON')?.transform;
+  schema.set('toJSON', {
+    ...schema.get('toJSON'),
+    transform(doc, ret, transformOptions) {
+      Object.keys(ret).forEach(key => {
+        if (key.endsWith('Encrypted')) delete ret[key];
+      });
+      parsedPaths.forEach(({ arrayPath, field }) => {
+        if (arrayPath && Array.isArray(ret[arrayPath])) {
+          ret[arrayPath].forEach(item => { delete item[`${field}Encrypted`]; });
+        }
+      });
+      return existingTransform ? existingTransform(doc, ret, transformOptions) : ret;
+    }
+  });
+};
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditTrail } = require('../middleware/audit');
+const AuditEvent = require('../models/AuditEvent');
+const { verifyChain } = require('../services/auditService');
+
+// Build a MongoDB filter from the query string shared by the query and export routes
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.actor) {
+    if (!mongoose.isValidObjectId(query.actor)) {
+      throw new Error('Invalid actor ID');
+    }
+    filter.actor = query.actor;
+  }
+  if (query.ticketId) {
+    if (!mongoose.isValidObjectId(query.ticketId)) {
+      throw new Error('Invalid ticket ID');
+    }
+    filter.ticket = query.ticketId;
+  }
+  if (query.action) filter.action = query.action;
+  if (query.role) filter.actorRole = query.role;
+  if (query.outcome) filter.outcome = query.outcome;
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) filter.timestamp.$gte = new Date(query.from);
+    if (query.to) filter.timestamp.$lte = new Date(query.to);
+    if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+      throw new Error('Invalid date range');
+    }
+  }
+
+  return filter;
+};
+
+// Escape a value for a CSV cell
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['sequence', 'timestamp', 'actor', 'actorRole', 'action', 'outcome', 'statusCode', 'ticket', 'fields', 'ipAddress', 'userAgent', 'metadata', 'prevHash', 'hash'];
+
+// @route   GET /api/audit
+// @desc    Query audit events (filters: actor, ticketId, action, role, outcome, from, to)
+// @access  Private (Admin only)
+router.get('/', [auth, requirePermission(PERMISSIONS.AUDIT_READ), auditTrail('audit.query')], async (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = buildFilter(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ msg: validationError.message });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', ['name', 'email'])
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({ events, total, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/audit/export
+// @desc    Export audit events as CSV or JSON (same filters as GET /api/audit)
+// @access  Private (Admin only)
+router.get('/export', [auth, requirePermission(PERMISSIONS.AUDIT_READ), auditTrail('audit.export')], async (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = buildFilter(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ msg: validationError.message });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+    // Stream events in chain order so large exports don't load into memory
+    const cursor = AuditEvent.find(filter).sort({ sequence: 1 }).lean().cursor();
+
+    if (format === 'csv') {
+      res.write(CSV_COLUMNS.join(',') + '\n');
+      for await (const event of cursor) {
+        const row = CSV_COLUMNS.map(column => {
+          if (column === 'timestamp') return csvCell(event.timestamp.toISOString());
+          if (column === 'fields') return csvCell(event.fields.join(';'));
+          return csvCell(event[column]);
+        });
+        res.write(row.join(',') + '\n');
+      }
+    } else {
+      let first = true;
+      res.write('[');
+      for await (const event of cursor) {
+        res.write((first ? '' : ',') + JSON.stringify(event));
+        first = false;
+      }
+      res.write(']');
+    }
+
+    res.end();
+  } catch (err) {
+    console.error(err.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/audit/verify
+// @desc    Verify the audit hash chain and report the first broken link
+// @access  Private (Admin only)
+router.get('/verify', [auth, requirePermission(PERMISSIONS.AUDIT_READ), auditTrail('audit.verify')], async (req, res) => {
+  try {
+    const result = await verifyChain();
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
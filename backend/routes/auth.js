@@ -1,8 +1,78 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { auth } = require('../middleware/auth');
+const { auditTrail, bodyFields } = require('../middleware/audit');
+const { recordEvent, requestContext } = require('../services/auditService');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const invitationService = require('../services/invitationService');
+const twoFactorService = require('../services/twoFactorService');
+const accountSecurity = require('../services/accountSecurityService');
+const { updateEHRConsent } = require('../services/ehrService');
+const { permissionsFor } = require('../config/permissions');
+
+// Profile fields a user may change, with their validation rules
+const PROFILE_FIELDS = {
+  name: (value) => (typeof value === 'string' && value.trim().length > 0 && value.length <= 100
+    ? null : 'Name must be between 1 and 100 characters'),
+  phone: (value) => (value === null || (typeof value === 'string' && /^\+?[0-9\s().-]{7,20}$/.test(value))
+    ? null : 'Phone number is not valid'),
+  address: (value) => (value === null || (typeof value === 'string' && value.length <= 300)
+    ? null : 'Address must be at most 300 characters'),
+  preferredLanguage: (value) => (User.schema.path('preferredLanguage').enumValues.includes(value)
+    ? null : `Preferred language must be one of: ${User.schema.path('preferredLanguage').enumValues.join(', ')}`),
+  voicePreference: (value) => (User.schema.path('voicePreference').enumValues.includes(value)
+    ? null : `Voice preference must be one of: ${User.schema.path('voicePreference').enumValues.join(', ')}`),
+  ehrConsent: (value) => (typeof value === 'boolean' ? null : 'EHR consent must be true or false')
+};
+
+// Record a login attempt in the audit log (the request has no req.user yet)
+const logLoginAttempt = (req, user, outcome, reason = null, metadata = {}) => {
+  recordEvent({
+    ...requestContext(req),
+    actor: user ? user.id : null,
+    actorRole: user ? user.role : null,
+    action: 'auth.login',
+    outcome,
+    statusCode: outcome === 'success' ? 200 : 400,
+    metadata: reason ? { reason, ...metadata } : metadata
+  }).catch(err => console.error('Error recording login audit event:', err.message));
+};
+
+const CHALLENGE_EXPIRED_MSG = 'Your sign-in attempt has expired, please sign in again';
+
+// Respond to a rejected TOTP or backup code
+const rejectCode = (res, result) => (result.reason === 'locked'
+  ? res.status(429).json({ msg: 'Too many incorrect codes. Please try again in 15 minutes.' })
+  : res.status(400).json({ msg: 'Invalid authentication code' }));
+
+// Message for a login refused because of repeated wrong passwords
+const lockedMessage = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return `Too many failed sign-in attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`;
+};
+
+// Resolve the user for 2FA enrollment: either a signed-in user, or a user
+// who must enroll before their first login completes (setup challenge token)
+const enrollmentUser = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const userId = twoFactorService.verifyChallenge(req.body.challengeToken, '2fa_setup');
+    req.user = userId ? await User.findById(userId).select('-password') : null;
+    if (!req.user || !req.user.active) {
+      return res.status(401).json({ msg: CHALLENGE_EXPIRED_MSG });
+    }
+    req.enrollingAtLogin = true;
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
 
 // @route   POST /api/auth/register
 // @desc    Register a user
@@ -16,6 +86,11 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ msg: 'Please enter all required fields' });
     }
 
+    // Staff accounts are created by invitation only
+    if (role && role !== 'patient') {
+      return res.status(403).json({ msg: 'Only patient accounts can be registered. Staff join through an invitation from an administrator.' });
+    }
+
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
@@ -27,30 +102,20 @@ router.post('/register', async (req, res) => {
       name,
       email,
       password,
-      role: role || 'patient' // Default to patient if no role provided
+      role: 'patient'
     });
 
     // Save user to database
     await user.save();
 
-    // Create JWT payload
-    const payload = {
-      id: user.id
-    };
-
-    // Sign token
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) {
-          console.error('JWT Sign Error:', err);
-          return res.status(500).json({ msg: 'Error generating authentication token' });
-        }
-        res.json({ token });
-      }
-    );
+    // Patients must verify their email before opening tickets; a mail
+    // failure shouldn't fail the registration (they can ask for a new link)
+    accountSecurity.sendVerificationEmail(user)
+      .catch(err => console.error('Error sending verification email:', err.message));
+
+    // Sign the new user in on this device
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+    res.json({ token, refreshToken });
   } catch (err) {
     console.error('Registration error:', err.message);
     // Send more specific error message
@@ -74,30 +139,495 @@ router.post('/login', async (req, res) => {
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      logLoginAttempt(req, null, 'failure', 'unknown_email');
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
+    // Refuse to check the password at all while the account is locked
+    const lockedFor = accountSecurity.lockoutRemaining(user);
+    if (lockedFor > 0) {
+      logLoginAttempt(req, user, 'failure', 'locked');
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({ msg: lockedMessage(lockedFor), retryAfter: lockedFor });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const nowLockedFor = await accountSecurity.recordFailedLogin(user);
+      logLoginAttempt(req, user, 'failure', 'wrong_password');
+      if (nowLockedFor > 0) {
+        res.set('Retry-After', String(nowLockedFor));
+        return res.status(429).json({ msg: lockedMessage(nowLockedFor), retryAfter: nowLockedFor });
+      }
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
+    await accountSecurity.clearFailedLogins(user);
+
+    if (!user.active) {
+      logLoginAttempt(req, user, 'failure', 'deactivated');
+      return res.status(403).json({ msg: 'This account has been deactivated. Please contact an administrator.' });
+    }
+
+    // Providers and admins (and anyone who opted in) need a second factor
+    if (user.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: twoFactorService.signChallenge(user, '2fa_login') });
+    }
+    if (twoFactorService.isRequired(user)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: twoFactorService.signChallenge(user, '2fa_setup') });
+    }
+
+    logLoginAttempt(req, user, 'success');
+
+    // Start a session for this device
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+    res.json({ token, refreshToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange the challenge token and a TOTP or backup code for a session
+// @access  Public (requires a challenge token from /api/auth/login)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const userId = twoFactorService.verifyChallenge(challengeToken, '2fa_login');
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || !user.active || !user.twoFactorEnabled) {
+      return res.status(401).json({ msg: CHALLENGE_EXPIRED_MSG });
+    }
+    if (!code && !backupCode) {
+      return res.status(400).json({ msg: 'Please enter your authentication code' });
+    }
+
+    const result = await twoFactorService.verify(user, { code, backupCode });
+    if (!result.ok) {
+      logLoginAttempt(req, user, 'failure', result.reason === 'locked' ? '2fa_locked' : 'wrong_2fa_code');
+      return rejectCode(res, result);
+    }
+
+    logLoginAttempt(req, user, 'success', null, { secondFactor: result.method });
+
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+    res.json({
+      token,
+      refreshToken,
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: twoFactorService.isRequired(user),
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and get the QR code to scan
+// @access  Private (or a setup challenge token from /api/auth/login)
+router.post('/2fa/setup', [enrollmentUser, auditTrail('auth.2fa_setup')], async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await twoFactorService.startSetup(req.user);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app and get backup codes
+// @access  Private (or a setup challenge token from /api/auth/login)
+router.post('/2fa/enable', [enrollmentUser, auditTrail('auth.2fa_enable')], async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ msg: 'Start two-factor setup first' });
+    }
+
+    const backupCodes = await twoFactorService.enable(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    // Enrolling was the last step of this login, so sign the user in
+    if (req.enrollingAtLogin) {
+      logLoginAttempt(req, user, 'success', null, { secondFactor: 'totp_enrollment' });
+      const { token, refreshToken } = await sessionService.createSession(user, req);
+      return res.json({ backupCodes, token, refreshToken });
+    }
+
+    res.json({ backupCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/backup-codes', [auth, auditTrail('auth.2fa_backup_codes')], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await twoFactorService.verify(user, { code: req.body.code });
+    if (!result.ok) {
+      return rejectCode(res, result);
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+    res.json({ backupCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (patients only; requires password and a code)
+// @access  Private
+router.post('/2fa/disable', [auth, auditTrail('auth.2fa_disable')], async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (twoFactorService.isRequired(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is required for your role' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ msg: 'Incorrect password' });
+    }
+
+    const result = await twoFactorService.verify(user, { code });
+    if (!result.ok) {
+      return rejectCode(res, result);
+    }
+
+    await twoFactorService.disable(user);
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/invitation
+// @desc    Look up a staff invitation from its signup link (?token=...)
+// @access  Public (requires a valid invitation token)
+router.get('/invitation', async (req, res) => {
+  try {
+    const invitation = await invitationService.findPendingInvitation(req.query.token);
+    if (!invitation) {
+      return res.status(404).json({ msg: 'This invitation is invalid or has expired' });
+    }
+
+    res.json({ email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Create a staff account from an invitation
+// @access  Public (requires a valid invitation token)
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !name || !password) {
+      return res.status(400).json({ msg: 'Please enter all required fields' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ msg: 'Password must be at least 6 characters' });
+    }
+
+    const invitation = await invitationService.findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(404).json({ msg: 'This invitation is invalid or has expired' });
+    }
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(400).json({ msg: 'An account with this email already exists' });
+    }
+
+    const user = await invitationService.acceptInvitation(token, { name, password });
+    if (!user) {
+      return res.status(404).json({ msg: 'This invitation is invalid or has expired' });
+    }
+
+    recordEvent({
+      ...requestContext(req),
+      actor: user.id,
+      actorRole: user.role,
+      action: 'user.invite_accept',
+      outcome: 'success',
+      statusCode: 200,
+      metadata: { invitationId: invitation.id }
+    }).catch(err => console.error('Error recording invitation audit event:', err.message));
+
+    // Staff accounts must enroll in two-factor authentication before their first sign-in
+    res.json({ twoFactorSetupRequired: true, challengeToken: twoFactorService.signChallenge(user, '2fa_setup') });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'MongoServerError' && err.code === 11000) {
+      return res.status(400).json({ msg: 'An account with this email already exists' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ msg: 'Please enter your email address' });
+    }
+
+    // Same response whether or not the account exists, so this can't be used
+    // to find out which addresses are registered
+    const user = await User.findOne({ email: email.trim() });
+    if (user && user.active) {
+      await accountSecurity.sendPasswordResetEmail(user);
+      recordEvent({
+        ...requestContext(req),
+        actor: user.id,
+        actorRole: user.role,
+        action: 'auth.password_reset_request',
+        outcome: 'success',
+        statusCode: 200
+      }).catch(err => console.error('Error recording password reset audit event:', err.message));
+    }
+
+    res.json({ msg: 'If an account exists for that email, a password reset link is on its way.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password from a reset link
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ msg: 'Please enter all required fields' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ msg: 'Password must be at least 6 characters' });
+    }
+
+    const user = await accountSecurity.verifyPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ msg: 'This reset link is invalid, has expired or has already been used' });
+    }
+
+    // Changing the hash also invalidates the reset token
+    user.password = password;
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    // The reset link reached the inbox, which proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await sessionService.revokeUserSessions(user.id);
+
+    recordEvent({
+      ...requestContext(req),
+      actor: user.id,
+      actorRole: user.role,
+      action: 'auth.password_reset',
+      outcome: 'success',
+      statusCode: 200
+    }).catch(err => console.error('Error recording password reset audit event:', err.message));
+
+    res.json({ msg: 'Your password has been changed. Please sign in.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address from a verification link
+// @access  Public (requires a valid verification token)
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await accountSecurity.verifyEmailToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ msg: 'This verification link is invalid or has expired' });
+    }
 
-    // Create JWT payload
-    const payload = {
-      id: user.id
-    };
+    recordEvent({
+      ...requestContext(req),
+      actor: user.id,
+      actorRole: user.role,
+      action: 'auth.email_verify',
+      outcome: 'success',
+      statusCode: 200
+    }).catch(err => console.error('Error recording email verification audit event:', err.message));
 
-    // Sign token
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
+    res.json({ msg: 'Your email address has been verified', emailVerified: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ msg: 'Your email address is already verified' });
+    }
+
+    await accountSecurity.sendVerificationEmail(req.user);
+    res.json({ msg: `A new verification link has been sent to ${req.user.email}` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ msg: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.refreshSession(refreshToken, req);
+
+    if (result.reason) {
+      if (result.reason === 'reused') {
+        // A replaced token came back: assume it was stolen and record it
+        recordEvent({
+          ...requestContext(req),
+          actor: result.session.user,
+          action: 'auth.refresh',
+          outcome: 'failure',
+          statusCode: 401,
+          metadata: { reason: 'token_reuse', sessionId: result.session.id }
+        }).catch(err => console.error('Error recording refresh audit event:', err.message));
       }
-    );
+      return res.status(401).json({ msg: 'Session has ended, please sign in again', reason: result.reason });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out of the current session
+// @access  Private
+router.post('/logout', [auth, auditTrail('auth.logout')], async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.sessionId, 'logout', req.user.id);
+    res.json({ msg: 'Signed out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.sessionId
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a device
+// @access  Private
+router.delete('/sessions/:id', [auth, auditTrail('session.revoke', {
+  ticketId: () => null,
+  metadata: (req) => ({ sessionId: req.params.id })
+})], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    const revoked = await sessionService.revokeSession(req.params.id, 'revoked', req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except the current one
+// @access  Private
+router.delete('/sessions', [auth, auditTrail('session.revoke_all')], async (req, res) => {
+  try {
+    const count = await sessionService.revokeUserSessions(req.user.id, req.sessionId);
+    res.locals.auditMetadata = { revokedCount: count };
+    res.json({ msg: `Signed out of ${count} other session${count === 1 ? '' : 's'}`, count });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -107,10 +637,23 @@ router.post('/login', async (req, res) => {
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', [auth, auditTrail('user.read', { fields: ['profile'] })], async (req, res) => {
   try {
-    // Get user data without password
+    // Get user data without password, plus what they're allowed to do
     const user = await User.findById(req.user.id).select('-password');
+    res.json({ ...user.toJSON(), permissions: permissionsFor(user) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/profile
+// @desc    Get the current user's profile
+// @access  Private
+router.get('/profile', [auth, auditTrail('profile.read', { fields: ['profile'] })], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password -encryptionKeyId');
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -118,4 +661,60 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/profile
+// @desc    Update the current user's contact details and preferences
+// @access  Private
+router.patch('/profile', [auth, auditTrail('profile.update', { fields: bodyFields })], async (req, res) => {
+  try {
+    const updates = req.body || {};
+
+    // Reject fields that can't be changed here (email, role, password, ...)
+    const unknownFields = Object.keys(updates).filter(field => !PROFILE_FIELDS[field]);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ msg: `These fields cannot be updated: ${unknownFields.join(', ')}` });
+    }
+
+    // Empty strings clear optional fields
+    for (const field of ['phone', 'address']) {
+      if (typeof updates[field] === 'string' && updates[field].trim() === '') {
+        updates[field] = null;
+      }
+    }
+
+    const errors = Object.keys(updates)
+      .map(field => PROFILE_FIELDS[field](updates[field]))
+      .filter(Boolean);
+    if (errors.length > 0) {
+      return res.status(400).json({ msg: errors.join('. ') });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const { ehrConsent, ...fields } = updates;
+    Object.entries(fields).forEach(([field, value]) => {
+      user[field] = typeof value === 'string' ? value.trim() : value;
+    });
+    // Consent goes through the EHR service, which forgets the cached record when it is withdrawn
+    if (ehrConsent !== undefined) {
+      await updateEHRConsent(user, ehrConsent);
+    } else {
+      await user.save();
+    }
+
+    const profile = user.toJSON();
+    delete profile.password;
+    delete profile.encryptionKeyId;
+    res.json(profile);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -12,38 +12,157 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { canAccessTicket } = require('../config/permissions');
+const { publishTicket } = require('../services/realtimeService');
+const { recordEvent, requestContext } = require('../services/auditService');
+const { wantsEventStream, openEventStream } = require('../services/sseService');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
 const multer = require('multer'); // For handling multipart/form-data (audio files)
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Import enhanced AI services
 const {
   hipaaComplianceCheck,
   redactPHI,
+  tokenizePHI,
   processVoiceInput,
-  generateVoiceResponse,
+  getVoiceAudio,
   retrieveEHRData,
+  updateEHRConsent,
   enhanceResponseWithEHRContext,
   performSymptomTriage,
   recommendProviders,
   generateEnhancedAIResponse
 } = require('../services/enhancedAIService');
 
+const { REDACTION_STYLES } = require('../services/phiService');
+const { isAtLeast } = require('../services/medicationSafetyService');
+
 // Import feature configuration
 const featureConfig = require('../config/enhancedFeatures');
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: featureConfig.voiceInterface.maxUploadSize, files: 1 }
+});
+
+// Read the 'audio' file of a voice message, answering 413 when it is over maxUploadSize
+const uploadAudio = (req, res, next) => {
+  upload.single('audio')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return err.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ msg: 'The recording is too large' })
+        : res.status(400).json({ msg: err.message });
+    }
+    next(err);
+  });
+};
+
+// Ticket ID for audit events on routes that take it in the body
+const bodyTicketId = (req) => req.body.ticketId;
+
+// Ticket priority each triage level calls for
+const TRIAGE_PRIORITIES = {
+  emergency: 'urgent',
+  urgent: 'high',
+  prompt: 'medium'
+};
+const PRIORITIES = Ticket.schema.path('priority').enumValues; // Lowest first
+
+// Raise a ticket's priority to match a triage result (never lower what staff set)
+// and alert providers about emergencies and urgent cases
+const prioritizeByTriage = (ticket, triageResult) => {
+  const { urgencyLevel, firedRules = [] } = triageResult || {};
+  const rules = firedRules.map(rule => rule.id).join(', ');
+  
+  if (urgencyLevel === 'emergency' && featureConfig.triageSystem.escalateEmergencies) {
+    // In a real implementation, this would send notifications to providers
+    console.log(`EMERGENCY ESCALATION for ticket ${ticket.id} (${rules})`);
+  } else if (urgencyLevel === 'urgent' && featureConfig.triageSystem.notifyProvidersOnUrgent) {
+    // In a real implementation, this would send notifications to providers
+    console.log(`URGENT NOTIFICATION for ticket ${ticket.id} (${rules})`);
+  }
+  
+  const priority = TRIAGE_PRIORITIES[urgencyLevel];
+  if (priority && PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(ticket.priority)) {
+    ticket.priority = priority;
+  }
+};
+
+// Flag a ticket for its provider with the medication safety warnings at least
+// medicationSafety.minFlagSeverity (a warning already awaiting review isn't repeated)
+const flagMedicationSafety = (ticket, medicationSafety) => {
+  const flagged = (medicationSafety?.warnings || []).filter(warning =>
+    isAtLeast(warning, featureConfig.medicationSafety.minFlagSeverity));
+  
+  const added = flagged.filter(warning => !ticket.safetyAlerts.some(alert => !alert.acknowledgedAt &&
+    alert.rule === warning.id && alert.medication === warning.mentionedAs && alert.conflictsWith === warning.conflictsWith));
+  added.forEach(warning => ticket.safetyAlerts.push({
+    type: warning.type,
+    severity: warning.severity,
+    rule: warning.id,
+    medication: warning.mentionedAs,
+    conflictsWith: warning.conflictsWith,
+    description: warning.description,
+    datasetVersion: medicationSafety.datasetVersion
+  }));
+  
+  if (added.length > 0) {
+    // In a real implementation, this would send notifications to providers
+    console.log(`MEDICATION SAFETY ALERT for ticket ${ticket.id} (${added.map(warning => warning.id).join(', ')})`);
+  }
+  return added.length;
+};
+
+// Retrieve EHR data for a consented user and record the access in the audit log.
+// Returns null when the EHR can't be reached, so the reply goes ahead without it.
+const retrieveAuditedEHRData = async (req, user, patientId) => {
+  let ehrData = null;
+  let error = null;
+  let errorStatus = 502;
+  try {
+    ehrData = await retrieveEHRData(patientId, featureConfig.ehrIntegration.dataTypes);
+  } catch (err) {
+    console.error('Error retrieving EHR data:', err.message);
+    error = err.message;
+    if (err.status === 404) errorStatus = 404;
+  }
+  
+  recordEvent({
+    ...requestContext(req),
+    action: 'ehr.retrieve',
+    ticket: req.body.ticketId || null,
+    fields: featureConfig.ehrIntegration.dataTypes,
+    statusCode: error ? errorStatus : 200,
+    metadata: error
+      ? { patientUserId: user.id, error }
+      : { patientUserId: user.id, fromCache: ehrData.fromCache }
+  }).catch(err => console.error('Error recording EHR audit event:', err.message));
+  
+  return ehrData;
+};
+
 // @route   POST /api/enhanced-ai/analyze
 // @desc    Analyze a message with all enhanced features
+//          (send Accept: text/event-stream to receive the reply as it is written,
+//          and voiceOutput: true to have it spoken)
 // @access  Private
-router.post('/analyze', auth, async (req, res) => {
+router.post('/analyze', [auth, auditTrail('ai.analyze', { ticketId: bodyTicketId, fields: ['priority', 'messages', 'safetyAlerts'] })], async (req, res) => {
+  let stream = null;
   try {
-    const { message, category, ticketId } = req.body;
+    const { message, category, ticketId, voiceOutput } = req.body;
     
     if (!message) {
       return res.status(400).json({ msg: 'Message is required' });
     }
     
+    // Check ticket access before doing any work for it
+    const ticket = ticketId ? await Ticket.findById(ticketId) : null;
+    if (ticket && !canAccessTicket(req.user, 'update', ticket)) {
+      return res.status(401).json({ msg: 'Not authorized to update this ticket' });
+    }
+    
     // Get user preferences
     const user = await User.findById(req.user.id);
     const preferredLanguage = user.preferredLanguage || 'en';
@@ -51,15 +170,26 @@ router.post('/analyze', auth, async (req, res) => {
     // Options for enhanced response
     const options = {
       preferredLanguage,
-      voiceOutput: featureConfig.voiceInterface.enabled && featureConfig.voiceInterface.outputEnabled,
+      ticketId: ticket ? ticket.id : null,
+      voiceOutput: featureConfig.voiceInterface.enabled && !!voiceOutput,
       voiceGender: user.voicePreference || featureConfig.voiceInterface.defaultVoiceGender
     };
     
-    // Add EHR data if integration is enabled and user has consented
-    if (featureConfig.ehrIntegration.enabled && user.ehrConsent) {
-      // In a real implementation, this would retrieve the actual patient ID
-      const patientId = user.ehrPatientId || user.id;
-      options.ehrData = await retrieveEHRData(patientId, featureConfig.ehrIntegration.dataTypes);
+    // Stream the reply: 'typing', then 'partial' { text } as it grows,
+    // then 'done' with the same body a JSON request would get
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('typing', {});
+      let text = '';
+      options.onToken = (chunk) => {
+        text += chunk;
+        stream.send('partial', { text });
+      };
+    }
+    
+    // Add EHR data if integration is enabled, user has consented and staff linked their record
+    if (featureConfig.ehrIntegration.enabled && user.ehrConsent && user.ehrPatientId) {
+      options.ehrData = await retrieveAuditedEHRData(req, user, user.ehrPatientId);
     }
     
     // Generate enhanced response
@@ -70,35 +200,46 @@ router.post('/analyze', auth, async (req, res) => {
       options
     );
     
-    // If this is associated with a ticket, update the ticket with triage info
-    if (ticketId && featureConfig.triageSystem.enabled && featureConfig.triageSystem.autoPrioritize) {
-      const ticket = await Ticket.findById(ticketId);
-      
-      if (ticket) {
+    // If this is associated with a ticket, update the ticket with triage and medication safety info
+    if (ticket) {
+      const autoPrioritize = featureConfig.triageSystem.enabled && featureConfig.triageSystem.autoPrioritize;
+      if (autoPrioritize) {
         // Update ticket priority based on triage urgency
-        if (enhancedResponse.triageResult.urgencyLevel === 'emergency') {
-          ticket.priority = 'urgent';
-        } else if (enhancedResponse.triageResult.urgencyLevel === 'urgent') {
-          ticket.priority = 'high';
-        }
-        
+        prioritizeByTriage(ticket, enhancedResponse.triageResult);
+      }
+      const alerts = flagMedicationSafety(ticket, enhancedResponse.medicationSafety);
+      
+      if (autoPrioritize || alerts > 0) {
         // Flag for human review if needed
         if (enhancedResponse.requiresHumanReview) {
           // Add a note to the ticket
           ticket.messages.push({
             isAI: true,
-            content: '[SYSTEM] This message has been flagged for human review due to detected urgency or PHI.',
+            content: '[SYSTEM] This message has been flagged for human review due to detected urgency, PHI or a medication safety concern.',
             timestamp: Date.now()
           });
         }
         
         await ticket.save();
+        publishTicket(ticket, 'update');
       }
     }
     
+    if (enhancedResponse.medicationSafety?.warnings.length) {
+      res.locals.auditMetadata = { medicationSafety: enhancedResponse.medicationSafety.warnings.map(warning => warning.id) };
+    }
+    
+    if (stream) {
+      stream.send('done', enhancedResponse);
+      return stream.close();
+    }
     res.json(enhancedResponse);
   } catch (err) {
     console.error('Error in enhanced AI analysis:', err);
+    if (stream) {
+      stream.send('error', { msg: 'Server error' });
+      return stream.close();
+    }
     res.status(500).send('Server error');
   }
 });
@@ -106,7 +247,7 @@ router.post('/analyze', auth, async (req, res) => {
 // @route   POST /api/enhanced-ai/voice
 // @desc    Process voice input and return AI response
 // @access  Private
-router.post('/voice', [auth, upload.single('audio')], async (req, res) => {
+router.post('/voice', [auth, uploadAudio, auditTrail('ai.voice', { ticketId: bodyTicketId, fields: ['priority', 'messages', 'safetyAlerts'] })], async (req, res) => {
   // Check if voice interface is enabled
   if (!featureConfig.voiceInterface.enabled || !featureConfig.voiceInterface.inputEnabled) {
     return res.status(403).json({ msg: 'Voice interface is not enabled' });
@@ -117,27 +258,41 @@ router.post('/voice', [auth, upload.single('audio')], async (req, res) => {
       return res.status(400).json({ msg: 'Audio file is required' });
     }
     
-    // Process voice input
-    const transcriptionResult = await processVoiceInput(req.file.buffer);
-    
     // Get category from request body
     const { category, ticketId } = req.body;
     
-    // Get user preferences
+    // Check ticket access before transcribing anything for it
+    const ticket = ticketId ? await Ticket.findById(ticketId) : null;
+    if (ticket && !canAccessTicket(req.user, 'message', ticket)) {
+      return res.status(401).json({ msg: 'Not authorized to add message to this ticket' });
+    }
+    
+    // Transcribe the recording; problems with the recording itself are the patient's to fix
+    let transcriptionResult;
+    try {
+      transcriptionResult = await processVoiceInput(req.file.buffer, { declaredType: req.file.mimetype });
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ msg: err.message });
+    }
+    
+    // Get user preferences; without a preferred language, answer in the one spoken
     const user = await User.findById(req.user.id);
-    const preferredLanguage = user.preferredLanguage || transcriptionResult.languageDetected || 'en';
+    const preferredLanguage = user.preferredLanguage && user.preferredLanguage !== 'auto'
+      ? user.preferredLanguage
+      : transcriptionResult.languageDetected || 'auto';
     
     // Options for enhanced response
     const options = {
       preferredLanguage,
+      ticketId: ticket ? ticket.id : null,
       voiceOutput: true, // Always enable voice output for voice input
       voiceGender: user.voicePreference || featureConfig.voiceInterface.defaultVoiceGender
     };
     
-    // Add EHR data if integration is enabled and user has consented
-    if (featureConfig.ehrIntegration.enabled && user.ehrConsent) {
-      const patientId = user.ehrPatientId || user.id;
-      options.ehrData = await retrieveEHRData(patientId, featureConfig.ehrIntegration.dataTypes);
+    // Add EHR data if integration is enabled, user has consented and staff linked their record
+    if (featureConfig.ehrIntegration.enabled && user.ehrConsent && user.ehrPatientId) {
+      options.ehrData = await retrieveAuditedEHRData(req, user, user.ehrPatientId);
     }
     
     // Generate enhanced response
@@ -149,36 +304,36 @@ router.post('/voice', [auth, upload.single('audio')], async (req, res) => {
     );
     
     // If this is associated with a ticket, add the transcribed message and AI response
-    if (ticketId) {
-      const ticket = await Ticket.findById(ticketId);
+    if (ticket) {
+      // Add user's transcribed message
+      ticket.messages.push({
+        sender: req.user.id,
+        content: transcriptionResult.transcribedText,
+        isAI: false,
+        timestamp: Date.now()
+      });
       
-      if (ticket) {
-        // Add user's transcribed message
-        ticket.messages.push({
-          sender: req.user.id,
-          content: transcriptionResult.transcribedText,
-          isAI: false,
-          timestamp: Date.now()
-        });
-        
-        // Add AI response
-        ticket.messages.push({
-          isAI: true,
-          content: enhancedResponse.textResponse,
-          timestamp: Date.now()
-        });
-        
-        // Update ticket priority if triage system is enabled
-        if (featureConfig.triageSystem.enabled && featureConfig.triageSystem.autoPrioritize) {
-          if (enhancedResponse.triageResult.urgencyLevel === 'emergency') {
-            ticket.priority = 'urgent';
-          } else if (enhancedResponse.triageResult.urgencyLevel === 'urgent') {
-            ticket.priority = 'high';
-          }
-        }
-        
-        await ticket.save();
+      // Add AI response
+      ticket.messages.push({
+        isAI: true,
+        content: enhancedResponse.textResponse,
+        timestamp: Date.now()
+      });
+      
+      // Update ticket priority if triage system is enabled
+      if (featureConfig.triageSystem.enabled && featureConfig.triageSystem.autoPrioritize) {
+        prioritizeByTriage(ticket, enhancedResponse.triageResult);
       }
+      flagMedicationSafety(ticket, enhancedResponse.medicationSafety);
+      
+      await ticket.save();
+      publishTicket(ticket, 'message');
+    }
+    
+    const { engine, audioFormat, durationSeconds, confidence } = transcriptionResult;
+    res.locals.auditMetadata = { transcription: { engine, audioFormat, durationSeconds, confidence } };
+    if (enhancedResponse.medicationSafety?.warnings.length) {
+      res.locals.auditMetadata.medicationSafety = enhancedResponse.medicationSafety.warnings.map(warning => warning.id);
     }
     
     res.json({
@@ -191,6 +346,22 @@ router.post('/voice', [auth, upload.single('audio')], async (req, res) => {
   }
 });
 
+// @route   GET /api/enhanced-ai/audio/:id
+// @desc    Play a spoken reply (the voiceResponse.url of /analyze and /voice)
+// @access  Private (the patients it was spoken to)
+router.get('/audio/:id', auth, (req, res) => {
+  const clip = getVoiceAudio(req.params.id, req.user.id);
+  if (!clip) {
+    return res.status(404).json({ msg: 'Audio not found or expired' });
+  }
+  
+  res.set({
+    'Content-Type': clip.contentType,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(clip.audio);
+});
+
 // @route   POST /api/enhanced-ai/hipaa-check
 // @desc    Check a message for HIPAA compliance
 // @access  Private
@@ -201,24 +372,37 @@ router.post('/hipaa-check', auth, async (req, res) => {
   }
   
   try {
-    const { message } = req.body;
+    const { message, redactionStyle } = req.body;
     
     if (!message) {
       return res.status(400).json({ msg: 'Message is required' });
     }
     
+    if (redactionStyle && !REDACTION_STYLES.includes(redactionStyle)) {
+      return res.status(400).json({ msg: `Redaction style must be one of: ${REDACTION_STYLES.join(', ')}` });
+    }
+    
     // Check message for PHI
     const complianceCheck = hipaaComplianceCheck(message);
     
     // If auto-redaction is enabled, include redacted version
     let redactedMessage = null;
+    let tokens;
     if (featureConfig.hipaaCompliance.autoRedactPHI && complianceCheck.containsPHI) {
-      redactedMessage = redactPHI(message);
+      const style = redactionStyle || featureConfig.hipaaCompliance.redactionStyle;
+      
+      if (style === 'token') {
+        // Reversible tokens are only useful together with the token map
+        ({ text: redactedMessage, tokens } = tokenizePHI(message));
+      } else {
+        redactedMessage = redactPHI(message, { style, spans: complianceCheck.spans });
+      }
     }
     
     res.json({
       ...complianceCheck,
-      redactedMessage
+      redactedMessage,
+      tokens
     });
   } catch (err) {
     console.error('Error checking HIPAA compliance:', err);
@@ -227,51 +411,48 @@ router.post('/hipaa-check', auth, async (req, res) => {
 });
 
 // @route   POST /api/enhanced-ai/triage
-// @desc    Perform medical triage on a message
+// @desc    Perform medical triage on a message ({ message, ticketId, age, durationDays });
+//          the result explains which rules fired
 // @access  Private
-router.post('/triage', auth, async (req, res) => {
+router.post('/triage', [auth, auditTrail('ai.triage', { ticketId: bodyTicketId, fields: ['priority'] })], async (req, res) => {
   // Check if triage system is enabled
   if (!featureConfig.triageSystem.enabled) {
     return res.status(403).json({ msg: 'Medical triage system is not enabled' });
   }
   
   try {
-    const { message, ticketId } = req.body;
+    const { message, ticketId, age, durationDays } = req.body;
     
     if (!message) {
       return res.status(400).json({ msg: 'Message is required' });
     }
+    if ((age !== undefined && !(typeof age === 'number' && age >= 0 && age < 130)) ||
+        (durationDays !== undefined && !(typeof durationDays === 'number' && durationDays >= 0))) {
+      return res.status(400).json({ msg: 'Age and durationDays must be non-negative numbers' });
+    }
     
     // Perform triage
-    const triageResult = performSymptomTriage(message);
+    const triageResult = performSymptomTriage(message, { age, durationDays });
+    res.locals.auditMetadata = {
+      urgencyLevel: triageResult.urgencyLevel,
+      rules: triageResult.firedRules.map(rule => rule.id),
+      rulesVersion: triageResult.rulesVersion
+    };
     
     // If this is associated with a ticket and auto-prioritize is enabled, update the ticket
     if (ticketId && featureConfig.triageSystem.autoPrioritize) {
       const ticket = await Ticket.findById(ticketId);
       
+      if (ticket && !canAccessTicket(req.user, 'update', ticket)) {
+        return res.status(401).json({ msg: 'Not authorized to update this ticket' });
+      }
+      
       if (ticket) {
         // Update ticket priority based on triage urgency
-        if (triageResult.urgencyLevel === 'emergency') {
-          ticket.priority = 'urgent';
-          
-          // If escalation is enabled, notify providers
-          if (featureConfig.triageSystem.escalateEmergencies) {
-            // In a real implementation, this would send notifications to providers
-            console.log(`EMERGENCY ESCALATION for ticket ${ticketId}: ${message}`);
-          }
-        } else if (triageResult.urgencyLevel === 'urgent') {
-          ticket.priority = 'high';
-          
-          // If provider notification is enabled for urgent cases
-          if (featureConfig.triageSystem.notifyProvidersOnUrgent) {
-            // In a real implementation, this would send notifications to providers
-            console.log(`URGENT NOTIFICATION for ticket ${ticketId}: ${message}`);
-          }
-        } else if (triageResult.urgencyLevel === 'prompt') {
-          ticket.priority = 'medium';
-        }
+        prioritizeByTriage(ticket, triageResult);
         
         await ticket.save();
+        publishTicket(ticket, 'update');
       }
     }
     
@@ -284,6 +465,7 @@ router.post('/triage', auth, async (req, res) => {
 
 // @route   POST /api/enhanced-ai/recommend-providers
 // @desc    Get provider recommendations based on symptoms
+//          ({ message, symptoms, location: { latitude, longitude }, insurance, language })
 // @access  Private
 router.post('/recommend-providers', auth, async (req, res) => {
   // Check if doctor recommendation feature is enabled
@@ -292,17 +474,31 @@ router.post('/recommend-providers', auth, async (req, res) => {
   }
   
   try {
-    const { message, symptoms, location } = req.body;
+    const { message, symptoms, location, insurance, language } = req.body;
     
     if (!message && (!symptoms || !symptoms.length)) {
       return res.status(400).json({ msg: 'Either message or symptoms array is required' });
     }
     
+    if (symptoms && !Array.isArray(symptoms)) {
+      return res.status(400).json({ msg: 'Symptoms must be an array' });
+    }
+    
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (location && !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+      return res.status(400).json({ msg: 'Location needs a latitude (-90 to 90) and longitude (-180 to 180)' });
+    }
+    
+    // Default to the language the patient prefers
+    const user = await User.findById(req.user.id).select('preferredLanguage');
+    
     // Get recommendations
-    const recommendations = recommendProviders(
+    const recommendations = await recommendProviders(
       message || '',
       symptoms || [],
-      location || null
+      location ? { latitude, longitude } : null,
+      { insurance, language: language || user?.preferredLanguage }
     );
     
     // Limit number of recommendations if configured
@@ -333,31 +529,33 @@ router.post('/recommend-providers', auth, async (req, res) => {
 // @route   POST /api/enhanced-ai/ehr-consent
 // @desc    Update user's consent for EHR data access
 // @access  Private
-router.post('/ehr-consent', auth, async (req, res) => {
-  // Check if EHR integration is enabled
-  if (!featureConfig.ehrIntegration.enabled) {
-    return res.status(403).json({ msg: 'EHR integration is not enabled' });
-  }
-  
+router.post('/ehr-consent', [auth, auditTrail('ehr.consent', { fields: ['ehrConsent'] })], async (req, res) => {
   try {
-    const { consent, patientId } = req.body;
+    const { consent } = req.body;
+    
+    if (typeof consent !== 'boolean') {
+      return res.status(400).json({ msg: 'Consent must be true or false' });
+    }
     
-    // Update user's EHR consent and patient ID
+    // Patients only consent; staff link the record (PATCH /api/users/:id/ehr-patient-id)
+    if (req.body.patientId !== undefined) {
+      return res.status(400).json({ msg: 'The EHR patient ID can only be set by staff' });
+    }
+    
+    // Update user's EHR consent
     const user = await User.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({ msg: 'User not found' });
     }
     
-    user.ehrConsent = consent;
-    if (patientId) {
-      user.ehrPatientId = patientId;
-    }
-    
-    await user.save();
+    await updateEHRConsent(user, consent);
     
     res.json({ msg: 'EHR consent updated successfully', ehrConsent: user.ehrConsent });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Error updating EHR consent:', err);
     res.status(500).send('Server error');
   }
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditTrail } = require('../middleware/audit');
+const { getFeedbackReport } = require('../services/feedbackService');
+
+// Parse an optional date query parameter; undefined when absent, null when invalid
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// @route   GET /api/feedback/report
+// @desc    Patients' feedback on AI replies, worst intents and templates first (filters: from, to)
+// @access  Private (Admin only)
+router.get('/report', [auth, requirePermission(PERMISSIONS.FEEDBACK_READ), auditTrail('feedback.report', {
+  ticketId: () => null,
+  fields: ['feedbackComments']
+})], async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ msg: 'from and to must be dates' });
+    }
+
+    res.json(await getFeedbackReport({ from, to }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
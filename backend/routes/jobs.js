@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditTrail } = require('../middleware/audit');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueueService');
+
+const STATUSES = Job.schema.path('status').enumValues;
+
+// Job routes don't concern a ticket (req.params.id is a job ID)
+const jobAudit = (action) => auditTrail(action, {
+  ticketId: () => null,
+  metadata: (req) => (req.params.id ? { jobId: req.params.id } : {})
+});
+
+// @route   GET /api/jobs
+// @desc    List background jobs, most recent first (filters: status, type, page, limit)
+//          and count jobs by status
+// @access  Private (Admin only)
+router.get('/', [auth, requirePermission(PERMISSIONS.JOB_MANAGE), jobAudit('job.list')], async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ msg: 'Invalid status' });
+      }
+      filter.status = status;
+    }
+    if (type) filter.type = type;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      Job.find(filter)
+        .select('-failures')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(STATUSES.map(name => [name, 0]));
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({ jobs, total, page, limit, counts });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/jobs/:id
+// @desc    Get a job with its failure history
+// @access  Private (Admin only)
+router.get('/:id', [auth, requirePermission(PERMISSIONS.JOB_MANAGE), jobAudit('job.read')], async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) ? await Job.findById(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({ msg: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/jobs/:id/requeue
+// @desc    Requeue a dead-lettered job with a fresh set of attempts
+// @access  Private (Admin only)
+router.post('/:id/requeue', [auth, requirePermission(PERMISSIONS.JOB_MANAGE), jobAudit('job.requeue')], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Job not found' });
+    }
+
+    const job = await jobQueue.requeue(req.params.id);
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ msg: 'Only dead-lettered jobs can be requeued' })
+        : res.status(404).json({ msg: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const { auth, isHealthcareProvider } = require('../middleware/auth');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission, canAccessTicket, canRevealPhi } = require('../config/permissions');
+const { auditTrail, bodyFields } = require('../middleware/audit');
 const Ticket = require('../models/Ticket');
-const User = require('../models/User');
-const { generateAIResponse } = require('../services/aiService');
-const { isGptAvailable, enhanceResponseWithGpt, handleUnknownQuery } = require('../services/gptService');
-const { generateEnhancedAIResponse } = require('../services/enhancedAIService');
+const { publishTicket, publishTicketDeleted } = require('../services/realtimeService');
+const { queueReply } = require('../services/ticketReplyService');
+const replyStream = require('../services/replyStreamService');
+const { clearTicketContexts } = require('../services/conversationContextService');
+const { openEventStream } = require('../services/sseService');
+
+const MAX_FEEDBACK_COMMENTS = 1000;
+
+// Queues the AI reply to a saved message. The message stays saved if this fails:
+// the response says replyQueued: false and staff answer it themselves
+const tryQueueReply = async (req, res, ticket, message) => {
+  try {
+    await queueReply(ticket, message, req.user.id);
+    return true;
+  } catch (err) {
+    console.error(`Could not queue the AI reply to message ${message.id} on ticket ${ticket.id}:`, err.message);
+    res.locals.auditMetadata = { replyQueued: false };
+    return false;
+  }
+};
 
 // @route   POST /api/tickets
 // @desc    Create a new ticket
 // @access  Private
-router.post('/', auth, async (req, res) => {
+router.post('/', [auth, requirePermission(PERMISSIONS.TICKET_CREATE), requireVerifiedEmail, auditTrail('ticket.create', { fields: bodyFields })], async (req, res) => {
   try {
     const { title, description, category, priority } = req.body;
 
@@ -32,64 +50,13 @@ router.post('/', auth, async (req, res) => {
 
     // Save ticket
     const ticket = await newTicket.save();
+    res.locals.auditTicketId = ticket.id;
 
-    // Generate AI response using the AI service with NLP capabilities
-    setTimeout(async () => {
-      try {
-        // Get user preferences
-        const user = await User.findById(req.user.id);
-        const preferredLanguage = user?.preferredLanguage || 'en';
-        
-        let aiResponse;
-        
-        // Try to use enhanced AI with GPT if available
-        try {
-          if (isGptAvailable()) {
-            console.log('Using GPT-enhanced response generation');
-            
-            // Use the enhanced AI service which incorporates GPT
-            const options = {
-              preferredLanguage,
-              conversationHistory: ticket.messages.map(msg => ({
-                content: msg.content,
-                isAI: msg.isAI
-              }))
-            };
-            
-            // Generate enhanced response with GPT
-            const enhancedResponse = await generateEnhancedAIResponse(
-              description,
-              category,
-              req.user.id,
-              options
-            );
-            
-            aiResponse = enhancedResponse.textResponse;
-          } else {
-            // Fall back to basic AI response
-            aiResponse = await generateAIResponse(description, category, req.user.id, preferredLanguage);
-          }
-        } catch (gptError) {
-          console.error('Error using GPT service:', gptError.message);
-          // Fall back to basic AI response
-          aiResponse = await generateAIResponse(description, category, req.user.id, preferredLanguage);
-        }
-        
-        ticket.aiResponded = true;
-        ticket.aiResponse = aiResponse;
-        ticket.messages.push({
-          isAI: true,
-          content: aiResponse,
-          timestamp: Date.now()
-        });
-        
-        await ticket.save();
-      } catch (err) {
-        console.error('Error generating AI response:', err);
-      }
-    }, 1000);
+    // The AI replies in the background; open ticket pages watch it via /reply-stream
+    const replyQueued = await tryQueueReply(req, res, ticket, ticket.messages[0]);
 
-    res.json(ticket);
+    publishTicket(ticket, 'created');
+    res.status(201).json({ ...ticket.toViewFor(req.user), replyQueued });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -99,7 +66,7 @@ router.post('/', auth, async (req, res) => {
 // @route   GET /api/tickets
 // @desc    Get all tickets for current user or all tickets for healthcare providers
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, auditTrail('ticket.list', { fields: ['title', 'description', 'status', 'priority'] })], async (req, res) => {
   try {
     // Check if user is authenticated
     if (!req.user) {
@@ -108,8 +75,8 @@ router.get('/', auth, async (req, res) => {
     
     let tickets;
     
-    // If user is a healthcare provider or admin, they can see all tickets
-    if (req.user.role === 'healthcare_provider' || req.user.role === 'admin') {
+    // Providers and admins see every ticket
+    if (hasPermission(req.user, PERMISSIONS.TICKET_READ_ANY)) {
       tickets = await Ticket.find()
         .populate('user', ['name', 'email'])
         .populate('assignedTo', ['name', 'email'])
@@ -121,7 +88,8 @@ router.get('/', auth, async (req, res) => {
         .sort({ updatedAt: -1 });
     }
     
-    res.json(tickets);
+    res.locals.auditMetadata = { ticketCount: tickets.length };
+    res.json(tickets.map(ticket => ticket.toViewFor(req.user)));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -131,7 +99,7 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/tickets/:id
 // @desc    Get ticket by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, auditTrail('ticket.read', { fields: ['description', 'messages'] })], async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
       .populate('user', ['name', 'email'])
@@ -143,16 +111,11 @@ router.get('/:id', auth, async (req, res) => {
     }
     
     // Check if user is authorized to view this ticket
-    if (
-      ticket.user._id.toString() !== req.user.id && 
-      req.user.role !== 'healthcare_provider' && 
-      req.user.role !== 'admin' &&
-      (!ticket.assignedTo || ticket.assignedTo._id.toString() !== req.user.id)
-    ) {
+    if (!canAccessTicket(req.user, 'read', ticket)) {
       return res.status(401).json({ msg: 'Not authorized to view this ticket' });
     }
     
-    res.json(ticket);
+    res.json(ticket.toViewFor(req.user));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -165,7 +128,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/tickets/:id
 // @desc    Update ticket
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [auth, auditTrail('ticket.update', { fields: bodyFields })], async (req, res) => {
   try {
     let ticket = await Ticket.findById(req.params.id);
     
@@ -174,12 +137,7 @@ router.put('/:id', auth, async (req, res) => {
     }
     
     // Check if user is authorized to update this ticket
-    if (
-      ticket.user.toString() !== req.user.id && 
-      req.user.role !== 'healthcare_provider' && 
-      req.user.role !== 'admin' &&
-      (!ticket.assignedTo || ticket.assignedTo.toString() !== req.user.id)
-    ) {
+    if (!canAccessTicket(req.user, 'update', ticket)) {
       return res.status(401).json({ msg: 'Not authorized to update this ticket' });
     }
     
@@ -188,13 +146,14 @@ router.put('/:id', auth, async (req, res) => {
     // Update fields if provided
     if (status) ticket.status = status;
     if (priority) ticket.priority = priority;
-    if (assignedTo && (req.user.role === 'healthcare_provider' || req.user.role === 'admin')) {
+    if (assignedTo && hasPermission(req.user, PERMISSIONS.TICKET_ASSIGN)) {
       ticket.assignedTo = assignedTo;
     }
     
     await ticket.save();
+    publishTicket(ticket, 'update');
     
-    res.json(ticket);
+    res.json(ticket.toViewFor(req.user));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -207,7 +166,7 @@ router.put('/:id', auth, async (req, res) => {
 // @route   POST /api/tickets/:id/message
 // @desc    Add a message to a ticket with GPT-enhanced responses
 // @access  Private
-router.post('/:id/message', auth, async (req, res) => {
+router.post('/:id/message', [auth, auditTrail('ticket.message', { fields: ['messages'] })], async (req, res) => {
   try {
     const { content } = req.body;
     
@@ -222,9 +181,7 @@ router.post('/:id/message', auth, async (req, res) => {
     }
     
     // Check if user is authorized to add message
-    if (ticket.user.toString() !== req.user.id && 
-        (!ticket.assignedTo || ticket.assignedTo.toString() !== req.user.id) && 
-        req.user.role !== 'admin') {
+    if (!canAccessTicket(req.user, 'message', ticket)) {
       return res.status(401).json({ msg: 'Not authorized to add message to this ticket' });
     }
     
@@ -243,63 +200,219 @@ router.post('/:id/message', auth, async (req, res) => {
     
     ticket.updatedAt = Date.now();
     await ticket.save();
+    publishTicket(ticket, 'message');
+    
+    // The AI replies in the background; open ticket pages watch it via /reply-stream
+    const replyQueued = await tryQueueReply(req, res, ticket, ticket.messages[ticket.messages.length - 1]);
+    
+    res.status(201).json({ ...ticket.toViewFor(req.user), replyQueued });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/tickets/:id/feedback
+// @desc    Rate an AI reply ({ messageId, helpful: true, false or null to clear })
+//          or the whole ticket ({ rating: 1-5, comments })
+// @access  Private (the patient who opened the ticket)
+router.post('/:id/feedback', [auth, auditTrail('ticket.feedback', {
+  fields: bodyFields,
+  metadata: (req) => (req.body.messageId ? { messageId: req.body.messageId } : {})
+})], async (req, res) => {
+  try {
+    const { messageId, helpful, rating, comments } = req.body;
+
+    if (!messageId && rating === undefined) {
+      return res.status(400).json({ msg: 'Provide a messageId and helpful, or a rating' });
+    }
+    if (messageId && helpful !== true && helpful !== false && helpful !== null) {
+      return res.status(400).json({ msg: 'helpful must be true, false or null' });
+    }
+    if (rating !== undefined && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).json({ msg: 'Rating must be a whole number from 1 to 5' });
+    }
+    if (comments !== undefined && (typeof comments !== 'string' || comments.length > MAX_FEEDBACK_COMMENTS)) {
+      return res.status(400).json({ msg: `Comments must be text of at most ${MAX_FEEDBACK_COMMENTS} characters` });
+    }
+
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+
+    // Feedback is the patient's view of the assistant, so staff can't give it for them
+    if (ticket.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Only the patient who opened this ticket can give feedback' });
+    }
+
+    if (messageId) {
+      const message = ticket.messages.id(messageId);
+      if (!message || !message.isAI) {
+        return res.status(404).json({ msg: 'AI reply not found' });
+      }
+      message.feedback = { helpful, givenAt: helpful === null ? null : Date.now() };
+    }
+
+    if (rating !== undefined) {
+      ticket.feedbackProvided = true;
+      ticket.feedbackRating = rating;
+      ticket.feedbackComments = comments !== undefined ? comments.trim() : ticket.feedbackComments;
+      ticket.feedbackAt = Date.now();
+    }
+
+    await ticket.save();
+    publishTicket(ticket, 'update');
+
+    res.json(ticket.toViewFor(req.user));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/tickets/:id/reply-stream
+// @desc    Stream AI replies to a ticket as they are written (Server-Sent Events)
+// @access  Private
+router.get('/:id/reply-stream', auth, async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id).select('user');
+    
+    if (!ticket) {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+    
+    if (!canAccessTicket(req.user, 'read', ticket)) {
+      return res.status(401).json({ msg: 'Not authorized to view this ticket' });
+    }
     
-    // Generate AI response
-    setTimeout(async () => {
-      try {
-        // Get user preferences
-        const user = await User.findById(req.user.id);
-        const preferredLanguage = user?.preferredLanguage || 'en';
-        
-        let aiResponse;
-        
-        // Try to use enhanced AI with GPT if available
-        try {
-          if (isGptAvailable()) {
-            console.log('Using GPT-enhanced response generation for ticket message');
-            
-            // Format conversation history for context
-            const conversationHistory = ticket.messages.map(msg => ({
-              content: msg.content,
-              isAI: msg.isAI
-            }));
-            
-            // Use GPT to generate or enhance response
-            if (ticket.category) {
-              // Get basic response first
-              const basicResponse = await generateAIResponse(content, ticket.category, req.user.id, preferredLanguage);
-              // Enhance it with GPT
-              aiResponse = await enhanceResponseWithGpt(basicResponse, content, ticket.category);
-            } else {
-              // For unknown categories, let GPT handle it directly
-              aiResponse = await handleUnknownQuery(content);
-            }
-          } else {
-            // Fall back to basic AI response
-            aiResponse = await generateAIResponse(content, ticket.category, req.user.id, preferredLanguage);
+    // Close with the access token; the client reconnects with a fresh one
+    let unsubscribe = () => {};
+    const stream = openEventStream(res, {
+      maxAgeMs: Math.max(0, req.tokenExpiresAt - Date.now()),
+      onClose: () => unsubscribe()
+    });
+    unsubscribe = replyStream.subscribe(ticket.id, stream.send);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/tickets/:id/reveal
+// @desc    Reveal the original (unredacted) text of the ticket description or a message
+// @access  Private (assigned healthcare provider only, every access is logged)
+router.post('/:id/reveal', [auth, requirePermission(PERMISSIONS.PHI_REVEAL), auditTrail('phi.reveal', {
+  fields: (req) => [req.body.messageId ? 'messages.content' : 'description'],
+  metadata: (req) => ({ messageId: req.body.messageId || null, reason: req.body.reason || null })
+})], async (req, res) => {
+  try {
+    const { messageId, reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ msg: 'A clinical reason is required to reveal protected health information' });
+    }
+    
+    const ticket = await Ticket.findById(req.params.id);
+    
+    if (!ticket) {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+    
+    // Only the healthcare provider assigned to this ticket may see the original text
+    if (!canRevealPhi(req.user, ticket)) {
+      return res.status(401).json({ msg: 'Only the assigned healthcare provider can reveal protected health information' });
+    }
+    
+    let original;
+    let phiTypes;
+    if (messageId) {
+      const message = ticket.messages.id(messageId);
+      if (!message) {
+        return res.status(404).json({ msg: 'Message not found' });
+      }
+      original = ticket.getOriginal('messages.content', messageId);
+      phiTypes = message.contentPhiTypes;
+    } else {
+      original = ticket.getOriginal('description');
+      phiTypes = ticket.descriptionPhiTypes;
+    }
+    
+    // Record the access without touching updatedAt
+    await Ticket.updateOne(
+      { _id: ticket._id },
+      {
+        $push: {
+          phiRevealLog: {
+            revealedBy: req.user.id,
+            field: messageId ? 'message' : 'description',
+            messageId: messageId || null,
+            reason: reason.trim(),
+            ipAddress: req.ip,
+            timestamp: Date.now()
           }
-        } catch (gptError) {
-          console.error('Error using GPT service:', gptError.message);
-          // Fall back to basic AI response
-          aiResponse = await generateAIResponse(content, ticket.category, req.user.id, preferredLanguage);
         }
-        
-        ticket.messages.push({
-          isAI: true,
-          content: aiResponse,
-          timestamp: Date.now()
-        });
-        
-        ticket.updatedAt = Date.now();
-        await ticket.save();
-      } catch (err) {
-        console.error('Error generating AI response:', err);
       }
-    }, 1000);
+    );
     
-    res.json(ticket);
+    res.json({
+      ticketId: ticket.id,
+      messageId: messageId || null,
+      original,
+      phiTypes
+    });
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/tickets/:id/safety-alerts/:alertId/acknowledge
+// @desc    Mark a medication safety alert as reviewed
+// @access  Private (healthcare providers)
+router.post('/:id/safety-alerts/:alertId/acknowledge', [auth, requirePermission(PERMISSIONS.SAFETY_ALERT_ACKNOWLEDGE), auditTrail('ticket.safety_alert', {
+  fields: ['safetyAlerts'],
+  metadata: (req) => ({ alertId: req.params.alertId })
+})], async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+
+    if (!canAccessTicket(req.user, 'update', ticket)) {
+      return res.status(401).json({ msg: 'Not authorized to update this ticket' });
+    }
+
+    const alert = ticket.safetyAlerts.id(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ msg: 'Safety alert not found' });
+    }
+
+    if (!alert.acknowledgedAt) {
+      alert.acknowledgedBy = req.user.id;
+      alert.acknowledgedAt = Date.now();
+      await ticket.save();
+      publishTicket(ticket, 'update');
+    }
+
+    res.json(ticket.toViewFor(req.user));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -307,7 +420,7 @@ router.post('/:id/message', auth, async (req, res) => {
 // @route   DELETE /api/tickets/:id
 // @desc    Delete a ticket
 // @access  Private (Admin only)
-router.delete('/:id', [auth, isHealthcareProvider], async (req, res) => {
+router.delete('/:id', [auth, requirePermission(PERMISSIONS.TICKET_DELETE), auditTrail('ticket.delete')], async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id);
     
@@ -315,12 +428,9 @@ router.delete('/:id', [auth, isHealthcareProvider], async (req, res) => {
       return res.status(404).json({ msg: 'Ticket not found' });
     }
     
-    // Only admins can delete tickets
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized to delete tickets' });
-    }
-    
-    await ticket.remove();
+    await ticket.deleteOne();
+    await clearTicketContexts([ticket.id]);
+    publishTicketDeleted(ticket);
     
     res.json({ msg: 'Ticket removed' });
   } catch (err) {
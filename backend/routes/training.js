@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditTrail } = require('../middleware/audit');
+const TrainingExample = require('../models/TrainingExample');
+const intentService = require('../services/intentService');
+
+// Intent labels: lowercase words joined by underscores, e.g. 'mental_health'
+const INTENT_PATTERN = /^[a-z]+(_[a-z]+)*$/;
+const MAX_TEXT_LENGTH = 500;
+
+// Escape user input for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Training routes don't concern a ticket (req.params.id is a training example ID)
+const trainingAudit = (action) => auditTrail(action, {
+  ticketId: () => null,
+  metadata: (req) => (req.params.id ? { exampleId: req.params.id } : {})
+});
+
+// Check and normalize { text, intent } from the request body
+const validateExample = (body) => {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  const intent = typeof body.intent === 'string' ? body.intent.trim().toLowerCase() : '';
+
+  if (!text) return { error: 'Text is required' };
+  if (text.length > MAX_TEXT_LENGTH) return { error: `Text must be at most ${MAX_TEXT_LENGTH} characters` };
+  if (!INTENT_PATTERN.test(intent)) {
+    return { error: 'Intent must be lowercase letters and underscores, e.g. mental_health' };
+  }
+  return { text, intent };
+};
+
+// @route   GET /api/training/intents
+// @desc    List intents with their number of examples, and describe the model in use
+// @access  Private (Admin only)
+router.get('/intents', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE)], async (req, res) => {
+  try {
+    const intents = await TrainingExample.aggregate([
+      { $group: { _id: '$intent', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      intents: intents.map(({ _id, count }) => ({ intent: _id, count })),
+      model: intentService.getModelInfo()
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/training/examples
+// @desc    List training examples, most recently changed first (filters: intent, search, page, limit)
+// @access  Private (Admin only)
+router.get('/examples', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE)], async (req, res) => {
+  try {
+    const { intent, search } = req.query;
+    const filter = {};
+
+    if (intent) filter.intent = intent;
+    if (search) filter.text = new RegExp(escapeRegExp(search.trim()), 'i');
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+    const [examples, total] = await Promise.all([
+      TrainingExample.find(filter)
+        .populate('createdBy', 'name')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TrainingExample.countDocuments(filter)
+    ]);
+
+    res.json({ examples, total, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/training/examples
+// @desc    Add a training example and retrain the intent model
+// @access  Private (Admin only)
+router.post('/examples', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE), trainingAudit('training.create')], async (req, res) => {
+  try {
+    const { text, intent, error } = validateExample(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const example = await TrainingExample.create({ text, intent, source: 'admin', createdBy: req.user.id });
+    const model = await intentService.retrainIntentModel();
+
+    res.json({ example, model });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'This example already exists for that intent' });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/training/examples/:id
+// @desc    Change the text or intent of a training example and retrain the intent model
+// @access  Private (Admin only)
+router.put('/examples/:id', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE), trainingAudit('training.update')], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Training example not found' });
+    }
+
+    const { text, intent, error } = validateExample(req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const example = await TrainingExample.findByIdAndUpdate(
+      req.params.id,
+      { $set: { text, intent } },
+      { new: true }
+    );
+    if (!example) {
+      return res.status(404).json({ msg: 'Training example not found' });
+    }
+
+    const model = await intentService.retrainIntentModel();
+    res.json({ example, model });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'This example already exists for that intent' });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/training/examples/:id
+// @desc    Delete a training example and retrain the intent model
+// @access  Private (Admin only)
+router.delete('/examples/:id', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE), trainingAudit('training.delete')], async (req, res) => {
+  try {
+    const example = mongoose.isValidObjectId(req.params.id)
+      ? await TrainingExample.findByIdAndDelete(req.params.id)
+      : null;
+    if (!example) {
+      return res.status(404).json({ msg: 'Training example not found' });
+    }
+
+    const model = await intentService.retrainIntentModel();
+    res.json({ msg: 'Training example deleted', model });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/training/retrain
+// @desc    Retrain the intent model from the stored examples, even if they look unchanged
+// @access  Private (Admin only)
+router.post('/retrain', [auth, requirePermission(PERMISSIONS.TRAINING_MANAGE), trainingAudit('training.retrain')], async (req, res) => {
+  try {
+    const model = await intentService.retrainIntentModel({ force: true });
+    res.json({ model });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
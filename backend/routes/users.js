@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditTrail } = require('../middleware/audit');
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const Invitation = require('../models/Invitation');
+const invitationService = require('../services/invitationService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { clearUserContexts } = require('../services/conversationContextService');
+const { clearEHRCache } = require('../services/ehrService');
+
+const ROLES = User.schema.path('role').enumValues;
+const STAFF_ROLES = Invitation.schema.path('role').enumValues;
+const EHR_PATIENT_ID_PATTERN = /^[A-Za-z0-9.-]{1,64}$/;
+
+// Escape user input for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the target user for /:id routes
+const loadUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    req.targetUser = await User.findById(req.params.id).select('-password');
+    if (!req.targetUser) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Admins can't demote, deactivate or delete themselves (avoids locking everyone out)
+const notSelf = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ msg: 'You cannot change your own account here' });
+  }
+  next();
+};
+
+// @route   GET /api/users
+// @desc    List and search users (filters: search, role, status, page, limit)
+// @access  Private (Admin only)
+router.get('/', [auth, requirePermission(PERMISSIONS.USER_MANAGE), auditTrail('user.list')], async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ msg: 'Invalid role' });
+      }
+      filter.role = role;
+    }
+    if (status === 'active') filter.active = { $ne: false };
+    if (status === 'deactivated') filter.active = false;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name email role active deactivatedAt twoFactorEnabled ehrPatientId createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, total, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/users/invitations
+// @desc    List pending staff invitations
+// @access  Private (Admin only)
+router.get('/invitations', [auth, requirePermission(PERMISSIONS.USER_MANAGE)], async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .populate('invitedBy', ['name', 'email'])
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/users/invitations
+// @desc    Invite a healthcare provider or admin by email
+// @access  Private (Admin only)
+router.post('/invitations', [auth, requirePermission(PERMISSIONS.USER_MANAGE), auditTrail('user.invite', { metadata: (req) => ({ role: req.body.role }) })], async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ msg: 'A valid email address is required' });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ msg: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+
+    const existingUser = await User.exists({ email: new RegExp(`^${escapeRegExp(email.trim())}$`, 'i') });
+    if (existingUser) {
+      return res.status(400).json({ msg: 'A user with this email already exists. Change their role instead.' });
+    }
+
+    const invitation = await invitationService.createInvitation(email, role, req.user);
+    res.locals.auditMetadata = { invitationId: invitation.id };
+    res.json(invitation);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/users/invitations/:id
+// @desc    Withdraw a pending invitation
+// @access  Private (Admin only)
+router.delete('/invitations/:id', [auth, requirePermission(PERMISSIONS.USER_MANAGE), auditTrail('user.invite_revoke', { ticketId: () => null })], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    const result = await Invitation.updateOne(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    res.json({ msg: 'Invitation withdrawn' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user's account details
+// @access  Private (Admin only)
+router.get('/:id', [auth, requirePermission(PERMISSIONS.USER_MANAGE), loadUser, auditTrail('user.read', { ticketId: () => null })], async (req, res) => {
+  res.json(req.targetUser);
+});
+
+// @route   PATCH /api/users/:id/role
+// @desc    Promote or demote a user
+// @access  Private (Admin only)
+router.patch('/:id/role', [auth, requirePermission(PERMISSIONS.USER_MANAGE), notSelf, loadUser, auditTrail('user.role_change', {
+  ticketId: () => null,
+  metadata: (req) => ({ userId: req.params.id, role: req.body.role })
+})], async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ msg: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = req.targetUser;
+    res.locals.auditMetadata = { previousRole: user.role };
+    user.role = role;
+    await user.save();
+
+    // Unassign tickets from users who are no longer providers
+    if (role === 'patient') {
+      await Ticket.updateMany({ assignedTo: user._id }, { $set: { assignedTo: null } });
+    }
+
+    // Staff roles need two-factor authentication, so sign the user in again to enroll
+    if (twoFactorService.isRequired(user) && !user.twoFactorEnabled) {
+      await sessionService.revokeUserSessions(user.id);
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PATCH /api/users/:id/status
+// @desc    Deactivate or reactivate a user
+// @access  Private (Admin only)
+router.patch('/:id/status', [auth, requirePermission(PERMISSIONS.USER_MANAGE), notSelf, loadUser, auditTrail('user.status_change', {
+  ticketId: () => null,
+  metadata: (req) => ({ userId: req.params.id, active: req.body.active })
+})], async (req, res) => {
+  try {
+    const { active } = req.body;
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ msg: 'Active must be true or false' });
+    }
+
+    const user = req.targetUser;
+    user.active = active;
+    user.deactivatedAt = active ? null : new Date();
+    await user.save();
+
+    // Sign a deactivated user out everywhere
+    if (!active) {
+      await sessionService.revokeUserSessions(user.id);
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PATCH /api/users/:id/ehr-patient-id
+// @desc    Link a patient to their record in the EHR, or unlink them (null); patients can't set this themselves
+// @access  Private (Admin only)
+router.patch('/:id/ehr-patient-id', [auth, requirePermission(PERMISSIONS.USER_MANAGE), loadUser, auditTrail('user.ehr_link', {
+  ticketId: () => null,
+  metadata: (req) => ({ userId: req.params.id })
+})], async (req, res) => {
+  try {
+    const ehrPatientId = typeof req.body.ehrPatientId === 'string' && req.body.ehrPatientId.trim() === ''
+      ? null
+      : req.body.ehrPatientId;
+    if (ehrPatientId !== null && !(typeof ehrPatientId === 'string' && EHR_PATIENT_ID_PATTERN.test(ehrPatientId.trim()))) {
+      return res.status(400).json({ msg: 'EHR patient ID may only contain letters, digits, dots and dashes' });
+    }
+
+    const user = req.targetUser;
+    if (user.role !== 'patient') {
+      return res.status(400).json({ msg: 'Only patients can be linked to an EHR record' });
+    }
+
+    const previousPatientId = user.ehrPatientId;
+    res.locals.auditMetadata = { linked: ehrPatientId !== null, previouslyLinked: !!previousPatientId };
+    user.ehrPatientId = ehrPatientId === null ? null : ehrPatientId.trim();
+    await user.save();
+
+    // Don't keep serving the previously linked record
+    if (previousPatientId && previousPatientId !== user.ehrPatientId) {
+      clearEHRCache(previousPatientId);
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/users/:id/2fa
+// @desc    Reset a user's two-factor authentication (e.g. lost phone); staff must enroll again at next sign-in
+// @access  Private (Admin only)
+router.delete('/:id/2fa', [auth, requirePermission(PERMISSIONS.USER_MANAGE), notSelf, loadUser, auditTrail('user.2fa_reset', {
+  ticketId: () => null,
+  metadata: (req) => ({ userId: req.params.id })
+})], async (req, res) => {
+  try {
+    const user = await User.findById(req.targetUser.id);
+    await twoFactorService.disable(user);
+    await sessionService.revokeUserSessions(user.id);
+
+    res.json({ msg: 'Two-factor authentication reset' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Delete a user (their tickets are kept and unassigned)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, requirePermission(PERMISSIONS.USER_MANAGE), notSelf, loadUser, auditTrail('user.delete', {
+  ticketId: () => null,
+  metadata: (req) => ({ userId: req.params.id })
+})], async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    await sessionService.revokeUserSessions(user.id);
+    await Ticket.updateMany({ assignedTo: user._id }, { $set: { assignedTo: null } });
+    await clearUserContexts(user.id);
+    await user.deleteOne();
+
+    res.json({ msg: 'User removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * NLP Evaluation Script
+ *
+ * Runs the labeled corpus in evaluation/corpus.json through the intent
+ * classifier, entity extraction and symptom triage, and writes the metrics
+ * to evaluation/report.json. The report is committed: rerun this after
+ * changing training data or entity patterns and review the diff.
+ *
+ * The classifier is trained on services/trainingData.js. Pass --db to use
+ * the training examples stored in MongoDB instead.
+ *
+ * Usage: npm run eval:nlp [-- --corpus <file>] [--out <file>] [--db]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { evaluate } = require('../services/nlpEvaluationService');
+const { initIntentModel } = require('../services/intentService');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+
+// Value following a flag, e.g. --out report.json
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const corpusPath = path.resolve(option('--corpus', path.join(__dirname, '..', 'evaluation', 'corpus.json')));
+const outPath = path.resolve(option('--out', path.join(__dirname, '..', 'evaluation', 'report.json')));
+const useDatabase = process.argv.includes('--db');
+
+const run = async () => {
+  if (useDatabase) {
+    await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+    const model = await initIntentModel();
+    console.log(`Using the intent model trained on ${model.exampleCount} stored examples`);
+  }
+
+  const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+  const report = evaluate(corpus);
+  fs.writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+
+  const { intents, entities, triage } = report;
+  console.log(`Evaluated ${report.cases} cases from ${path.relative(process.cwd(), corpusPath)}`);
+  console.log(`  Intents:  accuracy ${intents.accuracy}, macro F1 ${intents.macroF1}, clarification rate ${intents.clarificationRate}`);
+  console.log(`  Entities: exact match rate ${entities.exactMatchRate}`);
+  console.log(triage.skipped
+    ? `  Triage:   skipped (${triage.skipped})`
+    : `  Triage:   accuracy ${triage.accuracy}, under-triage rate ${triage.underTriageRate}`);
+  console.log(`Report written to ${path.relative(process.cwd(), outPath)}`);
+
+  if (useDatabase) {
+    await mongoose.disconnect();
+  }
+  process.exit(0);
+};
+
+run().catch(err => {
+  console.error('NLP evaluation failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * FHIR Client Key Script
+ *
+ * Creates the key pair TicketHub signs its SMART Backend Services token
+ * requests with:
+ * - the private key, at ehrIntegration.fhir.privateKeyPath
+ *   (data/fhir-client-key.pem by default; keep it secret)
+ * - the public key as a JWK Set next to it (fhir-client-jwks.json), to
+ *   register with the EHR together with the client ID
+ *
+ * The local FHIR stub (npm run fhir:stub) trusts the JWK Set in data/.
+ *
+ * Usage: npm run fhir:keygen [-- --ec] [--force]
+ *   --ec     P-384 key for ES384 (default: 3072-bit RSA key for RS384)
+ *   --force  replace an existing key
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const featureConfig = require('../config/enhancedFeatures');
+
+const keyPath = path.resolve(__dirname, '..', featureConfig.ehrIntegration.fhir.privateKeyPath);
+const jwksPath = path.join(path.dirname(keyPath), 'fhir-client-jwks.json');
+
+const run = () => {
+  if (fs.existsSync(keyPath) && !process.argv.includes('--force')) {
+    console.error(`❌ ${keyPath} already exists. Pass --force to replace it (the EHR will need the new public key).`);
+    process.exit(1);
+  }
+
+  const useEC = process.argv.includes('--ec');
+  const { privateKey, publicKey } = useEC
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+
+  const jwk = publicKey.export({ format: 'jwk' });
+  // RFC 7638 thumbprint, the key ID ehrService uses when FHIR_KEY_ID isn't set
+  const members = useEC ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y } : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  const kid = crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+  const alg = useEC ? 'ES384' : 'RS384';
+
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(jwksPath, `${JSON.stringify({ keys: [{ ...jwk, kid, alg, use: 'sig', key_ops: ['verify'] }] }, null, 2)}\n`);
+
+  console.log(`✅ ${alg} private key written to ${keyPath}`);
+  console.log(`   Public JWK Set (kid ${kid}) written to ${jwksPath}`);
+};
+
+try {
+  run();
+} catch (err) {
+  console.error('Key generation failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,77 @@
+/**
+ * Provider Directory Import Script
+ *
+ * Loads provider directory entries (models/Provider.js) from a JSON file,
+ * such as an export from the credentialing system. Entries are matched on
+ * their NPI: existing ones are updated, new ones added. Entries missing from
+ * the file are left alone; set "active": false in the file to stop
+ * recommending a provider.
+ *
+ * scripts/sampleProviders.json is a synthetic directory around Boston for
+ * development (NPIs starting 99 are not real).
+ *
+ * Usage: npm run providers:import [-- <file>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Provider = require('../models/Provider');
+const featureConfig = require('../config/enhancedFeatures');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+const file = path.resolve(process.argv.slice(2).find(arg => !arg.startsWith('--')) || path.join(__dirname, 'sampleProviders.json'));
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  const { providers } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(providers)) {
+    throw new Error(`${file} needs a "providers" array`);
+  }
+
+  // Check every entry before touching the database
+  const specialties = JSON.parse(fs.readFileSync(
+    path.resolve(__dirname, '..', featureConfig.doctorRecommendation.specialtiesPath), 'utf8')).specialties;
+  const entries = providers.map((entry, index) => {
+    const doc = new Provider(entry);
+    const error = doc.validateSync();
+    if (error) {
+      throw new Error(`Entry ${index} (${entry.npi || entry.name}): ${error.message}`);
+    }
+    const unknown = doc.specialties.filter(specialty => !specialties[specialty]);
+    if (unknown.length) {
+      throw new Error(`Entry ${index} (${entry.npi}): unknown specialties ${unknown.join(', ')}`);
+    }
+    const [longitude, latitude] = doc.clinic.location.coordinates;
+    if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+      throw new Error(`Entry ${index} (${entry.npi}): coordinates must be [longitude, latitude]`);
+    }
+    const { _id, ...fields } = doc.toObject();
+    return fields;
+  });
+
+  if (dryRun) {
+    console.log(`✅ ${entries.length} entries in ${file} are valid (dry run, nothing imported)`);
+    process.exit(0);
+  }
+
+  await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  await Provider.syncIndexes();
+
+  const result = await Provider.bulkWrite(entries.map(fields => ({
+    updateOne: { filter: { npi: fields.npi }, update: { $set: fields }, upsert: true }
+  })));
+
+  console.log(`✅ Imported ${entries.length} providers from ${file}: ${result.upsertedCount} added, ${result.modifiedCount} updated`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(err => {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+});
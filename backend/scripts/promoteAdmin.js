@@ -0,0 +1,50 @@
+/**
+ * Admin Bootstrap Script
+ *
+ * Registration only creates patient accounts, and only admins can promote
+ * users, so the first admin has to be made from the command line:
+ * 1. Register normally in the app
+ * 2. Run: npm run users:promote-admin -- you@example.com
+ *
+ * Further admins and providers can then be invited from the Users screen.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+const email = process.argv[2];
+
+const run = async () => {
+  if (!email) {
+    console.error('Usage: npm run users:promote-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    console.error(`❌ No user with email ${email}. Register the account first.`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  user.role = 'admin';
+  user.active = true;
+  user.deactivatedAt = null;
+  await user.save();
+
+  console.log(`✅ ${user.name} (${user.email}) is now an admin`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(err => {
+  console.error('Promotion failed:', err.message);
+  process.exit(1);
+});
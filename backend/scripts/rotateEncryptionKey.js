@@ -0,0 +1,78 @@
+/**
+ * Encryption Key Rotation Script
+ *
+ * Re-encrypts every encrypted field with the active key
+ * (see models/plugins/fieldEncryption.js). Also encrypts any values that
+ * were stored in plaintext before field encryption was turned on.
+ *
+ * To rotate keys:
+ * 1. Add the new key to ENCRYPTION_KEYS, keeping the old one: ENCRYPTION_KEYS=2024a:<old>,2025a:<new>
+ * 2. Set ENCRYPTION_ACTIVE_KEY_ID=2025a and restart the server
+ * 3. Run: npm run keys:rotate
+ * 4. Once it reports no remaining documents, the old key can be removed
+ *
+ * Values are written straight to the collection, so save hooks don't run
+ * (updatedAt and the PHI redaction state stay exactly as they were).
+ *
+ * Usage: npm run keys:rotate [-- --dry-run]
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const ConversationContext = require('../models/ConversationContext');
+const { getActiveKeyId } = require('../services/encryptionService');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Re-encrypts every document of a model that is not on the active key
+ * @param {Object} Model - Mongoose model using the fieldEncryption plugin
+ * @returns {Promise<Object>} { scanned, updated }
+ */
+const rotateModel = async (Model) => {
+  const activeKeyId = getActiveKeyId();
+  let scanned = 0;
+  let updated = 0;
+
+  // Documents written before the plugin existed have no encryptionKeyId at all
+  const cursor = Model.find({ encryptionKeyId: { $ne: activeKeyId } }).cursor();
+
+  for await (const doc of cursor) {
+    scanned++;
+    const updates = doc.reencryptFields();
+
+    if (Object.keys(updates).length > 0) {
+      if (!dryRun) {
+        await Model.collection.updateOne({ _id: doc._id }, { $set: updates });
+      }
+      updated++;
+    }
+  }
+
+  return { scanned, updated };
+};
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log(`Rotating encrypted fields to key "${getActiveKeyId()}"${dryRun ? ' (dry run)' : ''}...`);
+
+  for (const Model of [Ticket, User, ConversationContext]) {
+    const { scanned, updated } = await rotateModel(Model);
+    console.log(`  ${Model.modelName}: ${scanned} documents on an older key, ${updated} ${dryRun ? 'would be re-encrypted' : 're-encrypted'}`);
+  }
+
+  console.log('✅ Key rotation complete');
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(err => {
+  console.error('Key rotation failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Audit Chain Verification Script
+ *
+ * Walks the audit log from the first event to the last and checks every
+ * hash link. Exits with code 1 if the chain is broken, so it can run in cron or CI.
+ *
+ * Usage: npm run audit:verify
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { verifyChain } = require('../services/auditService');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('Verifying audit chain...');
+
+  const result = await verifyChain({
+    onProgress: (checked) => console.log(`  ${checked} events checked`)
+  });
+
+  if (result.valid) {
+    console.log(`✅ Audit chain is intact (${result.checked} events)`);
+  } else {
+    console.error(`❌ Audit chain is broken at sequence ${result.brokenAt}: ${result.reason}`);
+    console.error(`   ${result.checked} events verified before the break`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(result.valid ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('Audit verification failed:', err.message);
+  process.exit(1);
+});
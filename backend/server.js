@@ -6,6 +6,7 @@
  */
 
 // Import required packages
+const http = require('http');         // HTTP server shared by Express and Socket.IO
 const express = require('express');  // Web framework for Node.js
 const mongoose = require('mongoose'); // MongoDB object modeling tool
 const cors = require('cors');        // Cross-Origin Resource Sharing middleware
@@ -60,17 +61,36 @@ const connectDB = async () => {
 // Initialize database connection
 connectDB();
 
+// Load the intent classifier trained on the stored examples (queries wait for the connection)
+require('./services/intentService').initIntentModel()
+  .catch(err => console.error('Error loading intent model:', err.message));
+
 
 // Register API Routes
 // Authentication routes (login, register, user management)
 app.use('/api/auth', require('./routes/auth'));
 
+// User management routes (admin: list, invite, promote, deactivate, delete)
+app.use('/api/users', require('./routes/users'));
+
 // Ticket management routes (create, update, list tickets)
 app.use('/api/tickets', require('./routes/tickets'));
 
 // Enhanced AI features (advanced chatbot capabilities)
 app.use('/api/enhanced-ai', require('./routes/enhancedAI'));
 
+// Audit log (admin query, export and chain verification)
+app.use('/api/audit', require('./routes/audit'));
+
+// Background jobs (admin: inspect and requeue failed AI replies)
+app.use('/api/jobs', require('./routes/jobs'));
+
+// Intent training examples (admin: add utterances per intent, retrain the classifier)
+app.use('/api/training', require('./routes/training'));
+
+// Patients' feedback on AI replies (admin: worst intents and templates)
+app.use('/api/feedback', require('./routes/feedback'));
+
 // Base route - API health check endpoint
 app.get('/', (req, res) => {
   res.send('TicketHub API is running');
@@ -78,7 +98,23 @@ app.get('/', (req, res) => {
 
 // Start the server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+
+// Live ticket updates (Socket.IO on the same port as the API)
+require('./services/realtimeService').init(server);
+
+// Background jobs (AI replies) run here unless a separate worker process
+// handles them (JOB_WORKER=external, start it with `npm run worker`)
+if (process.env.JOB_WORKER === 'external') {
+  require('./services/eventBus').listenForRelayedEvents()
+    .catch(err => console.error('Error listening for worker events:', err.message));
+} else {
+  const { startWorker } = require('./services/jobQueueService');
+  const { jobHandlers } = require('./services/ticketReplyService');
+  startWorker(jobHandlers);
+}
+
+server.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
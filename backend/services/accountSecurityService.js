@@ -0,0 +1,171 @@
+/**
+ * Account Security Service for TicketHub
+ *
+ * - Password reset: signed tokens that stop working once used
+ * - Email verification: signed tokens sent to the address being verified
+ * - Login lockout: progressive lock after repeated wrong passwords
+ *
+ * Reset tokens are signed with JWT_SECRET plus the user's current password
+ * hash, so a token becomes invalid the moment the password changes. That
+ * makes every reset link single-use without storing anything.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendMail, frontendUrl } = require('./mailService');
+
+const PASSWORD_RESET_TTL = '1h';
+const EMAIL_VERIFICATION_TTL = '48h';
+
+// Lockout: after LOCKOUT_THRESHOLD wrong passwords the account locks for
+// 1 minute, then 2, 4, 8, ... minutes for each further failure, up to 1 hour
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+const resetSecret = (user) => `${process.env.JWT_SECRET}:${user.password}`;
+
+/**
+ * Emails a password reset link
+ * @param {Object} user - User document (must include the password hash)
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = jwt.sign({ id: user.id, purpose: 'password_reset' }, resetSecret(user), { expiresIn: PASSWORD_RESET_TTL });
+  const link = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your TicketHub password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Someone asked to reset the password for your TicketHub account. To choose a new password, open this link: ${link}`,
+      '',
+      'The link works once and expires in 1 hour. If you didn\'t ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Finds the user a password reset token belongs to
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>} The user, or null if the token is invalid, expired or already used
+ */
+const verifyPasswordResetToken = async (token) => {
+  const decoded = typeof token === 'string' ? jwt.decode(token) : null;
+  if (!decoded || decoded.purpose !== 'password_reset') return null;
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.active) return null;
+
+  try {
+    jwt.verify(token, resetSecret(user));
+    return user;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Emails a link that verifies the user's email address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { id: user.id, email: user.email, purpose: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+  const link = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TicketHub email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm your email address so you can open support tickets: ${link}`,
+      '',
+      'The link expires in 48 hours.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Marks a user's email as verified from a verification token
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object|null>} The user, or null if the token is invalid or expired
+ */
+const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== 'email_verification') return null;
+
+  // The token is only good for the address it was sent to
+  const user = await User.findById(decoded.id);
+  if (!user || user.email !== decoded.email) return null;
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+};
+
+/**
+ * Checks whether login is currently locked for a user
+ * @param {Object} user - User document
+ * @returns {number} Seconds until the lock ends (0 if not locked)
+ */
+const lockoutRemaining = (user) => {
+  if (!user.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Records a wrong password and locks the account once the threshold is reached
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Seconds the account is now locked for (0 if not locked)
+ */
+const recordFailedLogin = async (user) => {
+  const failures = user.failedLoginAttempts + 1;
+  const lockMs = failures >= LOCKOUT_THRESHOLD
+    ? Math.min(LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS)
+    : 0;
+
+  // $inc so concurrent attempts can't overwrite each other's count
+  const update = { $inc: { failedLoginAttempts: 1 } };
+  if (lockMs) {
+    update.$set = { lockedUntil: new Date(Date.now() + lockMs) };
+  }
+
+  await User.updateOne({ _id: user._id }, update);
+  return Math.ceil(lockMs / 1000);
+};
+
+/**
+ * Clears the failure count after a successful login or password reset
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  verifyPasswordResetToken,
+  sendVerificationEmail,
+  verifyEmailToken,
+  lockoutRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
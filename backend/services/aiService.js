@@ -12,7 +12,8 @@
  * - Detects if patients are upset or urgent cases (sentiment analysis)
  * - Remembers previous conversations (conversation context)
  * - Supports multiple languages (language support)
- * - Improves over time based on feedback (learning system)
+ * - Tags each response with its template, so patient feedback shows which
+ *   ones work (see services/feedbackService.js)
  * 
  * HOW TO USE THIS SERVICE:
  * 1. Import the generateAIResponse function
@@ -28,8 +29,11 @@ const natural = require('natural');
 // Import our custom language translation service
 const languageService = require('./languageService');
 
-// Import our pre-defined training examples and responses
-const trainingData = require('./trainingData');
+// Import the intent classifier (trained on our pre-defined examples)
+const { classifyIntent } = require('./intentService');
+
+// Import the conversation memory (what was said earlier on the ticket)
+const conversationContext = require('./conversationContextService');
 
 /**
  * STEP 1: SET UP THE AI TOOLS
@@ -42,30 +46,10 @@ const tokenizer = new natural.WordTokenizer();
 // Tool to reduce words to their base form (e.g., "running" → "run")
 const stemmer = natural.PorterStemmer;
 
-// Tool to categorize messages (e.g., "appointment request", "medication question")
-const classifier = new natural.BayesClassifier();
-
 // Tool to detect patient emotions (positive, negative, neutral)
 const Analyzer = natural.SentimentAnalyzer;
 const sentimentAnalyzer = new Analyzer("English", stemmer, "afinn");
 
-/**
- * STEP 2: TRAIN THE AI WITH EXAMPLES
- * We teach the AI to recognize different types of patient questions
- */
-trainingData.forEach(item => {
-  classifier.addDocument(item.text, item.category);
-});
-
-// Finalize the training process
-classifier.train();
-
-/**
- * STEP 3: REMEMBER CONVERSATIONS WITH PATIENTS
- * This helps the AI provide more personalized and contextual responses
- */
-const conversationContexts = new Map();
-
 /**
  * Analyzes a patient's message to understand what they need
  * 
@@ -88,7 +72,8 @@ const analyzeMessage = (message) => {
   
   // STEP 3: Determine what type of question/request this is
   // Examples: appointment request, medication question, symptom inquiry
-  const classification = classifier.classify(message);
+  // (with how sure we are, so unclear messages can be clarified instead of guessed)
+  const classification = classifyIntent(message);
   
   // STEP 4: Analyze how the patient is feeling
   const sentimentScore = sentimentAnalyzer.getSentiment(tokens);
@@ -136,7 +121,11 @@ const analyzeMessage = (message) => {
   
   // Return the complete analysis
   return {
-    intent: classification,         // What the patient wants
+    intent: classification.intent,  // What the patient most likely wants
+    intentConfidence: classification.confidence,   // Probability of that intent (0-1)
+    isIntentConfident: classification.isConfident, // Whether the intent is clear enough to act on
+    topIntents: classification.topIntents,         // The most likely intents with probabilities
+    knownWords: classification.knownWords,         // Whether any word was seen in training
     entities,                       // Medical information mentioned
     tokens,                         // Individual words in the message
     stemmedTokens,                  // Simplified word forms
@@ -148,48 +137,65 @@ const analyzeMessage = (message) => {
   };
 };
 
+// How each intent is described when asking the patient to clarify
+const INTENT_DESCRIPTIONS = {
+  appointment: 'scheduling an appointment',
+  prescription: 'prescriptions and medication',
+  billing: 'billing and insurance',
+  technical: 'a technical problem with the portal',
+  symptoms: 'symptoms you are experiencing',
+  general: 'general health information',
+  preventive: 'preventive care and screenings',
+  emergency: 'an urgent medical situation',
+  mental_health: 'mental health support'
+};
+
+// Ticket categories specific enough to answer from when the message itself is unclear
+const SPECIFIC_CATEGORIES = ['appointment', 'prescription', 'billing', 'technical'];
+
 /**
- * Updates or creates a conversation memory for a patient
- * 
- * This helps the AI remember previous interactions with this patient,
- * allowing for more personalized and contextual responses over time.
- * 
- * @param {string} userId - The patient's unique identifier
- * @param {Object} context - New information to remember about this conversation
+ * Builds a question asking the patient what they need when the intent is unclear
+ * @param {Object} analysis - Result of analyzeMessage
+ * @returns {string} The clarifying question
  */
-const updateConversationContext = (userId, context) => {
-  // If this is our first conversation with this patient, create a new memory
-  if (!conversationContexts.has(userId)) {
-    conversationContexts.set(userId, { history: [] });
-  }
-  
-  const userContext = conversationContexts.get(userId);
-  userContext.history.push(context);
-  
-  // Limit history size to prevent memory issues
-  if (userContext.history.length > 10) {
-    userContext.history.shift();
+const clarifyingQuestion = (analysis) => {
+  const [first, second] = analysis.topIntents
+    .map(({ intent }) => INTENT_DESCRIPTIONS[intent] || intent.replace(/_/g, ' '))
+    .filter(Boolean);
+
+  // Nothing in the message matched what we know: ask openly
+  if (!first || !analysis.knownWords) {
+    return "I want to make sure I help with the right thing. Could you tell me a little more about what you need, for example an appointment, a prescription, a billing question or symptoms you're having? A healthcare team member will also review your message.";
   }
-  
-  // Update last interaction time
-  userContext.lastInteraction = Date.now();
+  return `I want to make sure I help with the right thing. Is your question about ${first}${second ? ` or ${second}` : ''}? A few more details will help me point you in the right direction, and a healthcare team member will also review your message.`;
 };
 
 /**
- * Generates a response based on the analysis of the user's message
+ * Generates a response based on the analysis of the user's message, and says how it was chosen
  * @param {string} message - The user's message
  * @param {string} category - The ticket category
  * @param {string} userId - The user's ID for context tracking
  * @param {string} preferredLanguage - The user's preferred language (optional)
- * @returns {string} The AI response
+ * @param {string} ticketId - The ticket the message belongs to, whose conversation is remembered (optional)
+ * @returns {Object} {
+ *   text,      // The AI response
+ *   intent,    // Intent the response was based on (null for a clarifying question)
+ *   template   // Response template used, e.g. 'billing.1' or 'clarify' (feedback is reported per template)
+ * }
  */
-const generateAIResponse = async (message, category, userId = null, preferredLanguage = null) => {
+const generateAIReply = async (message, category, userId = null, preferredLanguage = null, ticketId = null) => {
   // Simulate AI processing delay
   await new Promise(resolve => setTimeout(resolve, 500));
   
-  // Detect message language if preferred language not specified
+  // Recall what was said earlier in this conversation
+  const conversation = { ticketId, userId };
+  const context = await conversationContext.getContext(conversation);
+  
+  // Detect message language if preferred language not specified; short replies
+  // like "yes, tomorrow" rarely show their language, so keep the conversation's
   const detectedLanguage = languageService.detectLanguage(message);
-  const userLanguage = preferredLanguage || detectedLanguage;
+  const conversationLanguage = detectedLanguage === 'en' && context.language ? context.language : detectedLanguage;
+  const userLanguage = preferredLanguage && preferredLanguage !== 'auto' ? preferredLanguage : conversationLanguage;
   
   // Store the detected language for future interactions
   const isEnglish = userLanguage === 'en';
@@ -205,23 +211,44 @@ const generateAIResponse = async (message, category, userId = null, preferredLan
   // Analyze the message
   const analysis = analyzeMessage(processMessage);
   
-  // Update conversation context if userId is provided
-  if (userId) {
-    updateConversationContext(userId, {
-      message,
-      analysis,
-      language: userLanguage,
-      timestamp: Date.now()
-    });
-  }
+  // An unclear message right after a clear one is most likely a follow-up
+  // ("what about tomorrow?"): answer it in the same topic, with the same details
+  const followUpIntent = analysis.isIntentConfident ? null : conversationContext.followUpIntent(context);
+  const entities = followUpIntent ? conversationContext.withContextEntities(analysis.entities, context) : analysis.entities;
   
-  // Use the detected intent if available, otherwise fall back to the ticket category
-  const responseCategory = analysis.intent || category;
+  // Use the detected intent when the classifier is sure of it, otherwise the
+  // topic being followed up on, otherwise the ticket category
+  const categoryIsSpecific = SPECIFIC_CATEGORIES.includes(category);
+  const responseCategory = analysis.isIntentConfident
+    ? analysis.intent
+    : followUpIntent || (categoryIsSpecific ? category : analysis.intent);
   
   // Check if this is an urgent message based on sentiment analysis
   const isUrgent = analysis.sentiment.isUrgent;
   const sentimentLabel = analysis.sentiment.label;
   
+  // Unclear message with nothing else to go on: ask instead of guessing
+  const hasMedicalDetails = analysis.entities.symptoms.length > 0 || analysis.entities.medicalConditions.length > 0;
+  const needsClarification = !analysis.isIntentConfident && !followUpIntent && !categoryIsSpecific && !isUrgent && !hasMedicalDetails;
+  
+  // Remember this turn for the next message
+  await conversationContext.recordTurn(conversation, {
+    intent: needsClarification ? null : responseCategory,
+    confidence: analysis.intentConfidence,
+    followUp: !!followUpIntent,
+    entities: analysis.entities,
+    language: userLanguage
+  });
+  
+  if (needsClarification) {
+    const question = clarifyingQuestion(analysis);
+    return {
+      text: userLanguage !== 'en' ? languageService.localizeResponse(question, userLanguage) : question,
+      intent: null,
+      template: 'clarify'
+    };
+  }
+  
   // Prefix for urgent messages
   let urgentPrefix = "";
   if (isUrgent) {
@@ -235,12 +262,12 @@ const generateAIResponse = async (message, category, userId = null, preferredLan
       `I've noted your question about general healthcare matters. While I can provide basic information, a human healthcare provider will follow up with more specific guidance about ${analysis.tokens.slice(0, 3).join(' ')}...`
     ],
     appointment: [
-      `I see you have a question about appointments${analysis.entities.dates.length > 0 ? ` on ${analysis.entities.dates.join(', ')}` : ''}. I can help with basic scheduling information, but a staff member will need to confirm any changes to your appointments.`,
-      `Thank you for your appointment-related query. I've logged this in our system, and a healthcare provider will assist you with scheduling${analysis.entities.dates.length > 0 ? ` for ${analysis.entities.dates.join(', ')}` : ''}.`
+      `I see you have a question about appointments${entities.dates.length > 0 ? ` on ${entities.dates.join(', ')}` : ''}. I can help with basic scheduling information, but a staff member will need to confirm any changes to your appointments.`,
+      `Thank you for your appointment-related query. I've logged this in our system, and a healthcare provider will assist you with scheduling${entities.dates.length > 0 ? ` for ${entities.dates.join(', ')}` : ''}.`
     ],
     prescription: [
-      `I understand you have a question about your ${analysis.entities.medications.length > 0 ? analysis.entities.medications.join(', ') : 'prescription'}. For patient safety, a healthcare provider will need to review your medication request.`,
-      `Thank you for your prescription inquiry. While I cannot provide medical advice, I've prioritized your request about ${analysis.entities.medications.length > 0 ? analysis.entities.medications.join(', ') : 'your medication'} for review by a qualified healthcare provider.`
+      `I understand you have a question about your ${entities.medications.length > 0 ? entities.medications.join(', ') : 'prescription'}. For patient safety, a healthcare provider will need to review your medication request.`,
+      `Thank you for your prescription inquiry. While I cannot provide medical advice, I've prioritized your request about ${entities.medications.length > 0 ? entities.medications.join(', ') : 'your medication'} for review by a qualified healthcare provider.`
     ],
     billing: [
       `I see your question is about billing. I've recorded your concern, and a billing specialist will review your account and respond shortly.`,
@@ -251,8 +278,8 @@ const generateAIResponse = async (message, category, userId = null, preferredLan
       `Thank you for reporting this technical issue. Our IT team will review your case about ${analysis.tokens.slice(0, 3).join(' ')}... and provide assistance shortly.`
     ],
     symptoms: [
-      `I notice you mentioned ${analysis.entities.symptoms.join(', ')}. While I can't provide medical advice, a healthcare professional will review your symptoms and respond soon.`,
-      `Thank you for sharing information about your ${analysis.entities.symptoms.join(', ')}. A qualified healthcare provider will assess this information and follow up with you shortly.`
+      `I notice you mentioned ${entities.symptoms.join(', ')}. While I can't provide medical advice, a healthcare professional will review your symptoms and respond soon.`,
+      `Thank you for sharing information about your ${entities.symptoms.join(', ')}. A qualified healthcare provider will assess this information and follow up with you shortly.`
     ],
     preventive: [
       `Thank you for your interest in preventive care. I've noted your question about ${analysis.tokens.slice(0, 3).join(' ')}... A healthcare provider will provide you with detailed preventive care information soon.`,
@@ -285,24 +312,26 @@ const generateAIResponse = async (message, category, userId = null, preferredLan
   }
   
   // Check for medical conditions and add to response if present
-  if (analysis.entities.medicalConditions.length > 0) {
+  if (entities.medicalConditions.length > 0) {
     responses.medicalConditions = [
-      `I see you've mentioned ${analysis.entities.medicalConditions.join(', ')}. A healthcare provider with expertise in this area will review your message and respond soon.`,
-      `Thank you for providing information about ${analysis.entities.medicalConditions.join(', ')}. This helps us direct your inquiry to the appropriate healthcare specialist.`
+      `I see you've mentioned ${entities.medicalConditions.join(', ')}. A healthcare provider with expertise in this area will review your message and respond soon.`,
+      `Thank you for providing information about ${entities.medicalConditions.join(', ')}. This helps us direct your inquiry to the appropriate healthcare specialist.`
     ];
   }
   
   // Select a response based on priority: emergency > symptoms > medical conditions > detected category
-  let categoryResponses;
+  // (only details of this message change the topic; earlier ones just fill in the templates)
+  let templateGroup;
   if (responseCategory === "emergency" || isUrgent) {
-    categoryResponses = responses.emergency || responses.other;
+    templateGroup = "emergency";
   } else if (analysis.entities.symptoms.length > 0) {
-    categoryResponses = responses.symptoms;
+    templateGroup = "symptoms";
   } else if (analysis.entities.medicalConditions.length > 0) {
-    categoryResponses = responses.medicalConditions;
+    templateGroup = "medicalConditions";
   } else {
-    categoryResponses = responses[responseCategory] || responses.other;
+    templateGroup = responses[responseCategory] ? responseCategory : "other";
   }
+  const categoryResponses = responses[templateGroup];
   
   // Select a random response from the appropriate category
   const randomIndex = Math.floor(Math.random() * categoryResponses.length);
@@ -310,86 +339,23 @@ const generateAIResponse = async (message, category, userId = null, preferredLan
   // Combine urgent prefix (if any) with the selected response
   const response = urgentPrefix + categoryResponses[randomIndex];
   
-  // Translate response to user's language if not English
-  if (userLanguage !== 'en') {
-    return languageService.localizeResponse(response, userLanguage);
-  }
-  
-  return response;
-};
-
-// Feedback collection and learning system
-const feedbackStore = new Map();
-
-/**
- * Records user feedback on AI responses to improve future responses
- * @param {string} userId - The user's ID
- * @param {string} messageId - The message ID that received feedback
- * @param {boolean} helpful - Whether the response was helpful
- * @param {string} feedbackText - Optional feedback text from user
- * @returns {boolean} Success status
- */
-const recordFeedback = (userId, messageId, helpful, feedbackText = '') => {
-  try {
-    const feedbackKey = `${userId}:${messageId}`;
-    feedbackStore.set(feedbackKey, {
-      userId,
-      messageId,
-      helpful,
-      feedbackText,
-      timestamp: Date.now()
-    });
-    
-    // In a production system, this would be stored in a database
-    // and periodically analyzed to improve the model
-    return true;
-  } catch (error) {
-    console.error('Error recording feedback:', error);
-    return false;
-  }
-};
-
-/**
- * Analyzes collected feedback to improve response quality
- * This would typically be run as a scheduled job in a production system
- */
-const analyzeFeedback = () => {
-  // This is a placeholder for a more sophisticated feedback analysis system
-  // In a real implementation, this would use the feedback to retrain the model
-  const feedbackCount = feedbackStore.size;
-  const helpfulCount = Array.from(feedbackStore.values()).filter(f => f.helpful).length;
-  const helpfulPercentage = feedbackCount > 0 ? (helpfulCount / feedbackCount) * 100 : 0;
-  
-  console.log(`Feedback analysis: ${helpfulCount}/${feedbackCount} helpful responses (${helpfulPercentage.toFixed(1)}%)`);
-  
-  // In a real system, this would trigger model retraining or parameter adjustments
   return {
-    feedbackCount,
-    helpfulCount,
-    helpfulPercentage
+    // Translate response to user's language if not English
+    text: userLanguage !== 'en' ? languageService.localizeResponse(response, userLanguage) : response,
+    intent: responseCategory,
+    template: `${templateGroup}.${randomIndex}`
   };
 };
 
-// Clean up old conversation contexts periodically
-setInterval(() => {
-  const now = Date.now();
-  const expirationTime = 30 * 60 * 1000; // 30 minutes
-  
-  conversationContexts.forEach((context, userId) => {
-    if (now - context.lastInteraction > expirationTime) {
-      conversationContexts.delete(userId);
-    }
-  });
-}, 15 * 60 * 1000); // Run every 15 minutes
-
-// Analyze feedback periodically (once a day in a real system)
-setInterval(() => {
-  analyzeFeedback();
-}, 24 * 60 * 60 * 1000); // Run every 24 hours
+/**
+ * Generates a response based on the analysis of the user's message
+ * (same parameters as generateAIReply)
+ * @returns {string} The AI response
+ */
+const generateAIResponse = async (...args) => (await generateAIReply(...args)).text;
 
 module.exports = {
   generateAIResponse,
-  analyzeMessage,
-  recordFeedback,
-  analyzeFeedback
+  generateAIReply,
+  analyzeMessage
 };
\ No newline at end of file
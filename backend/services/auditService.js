@@ -0,0 +1,187 @@
+/**
+ * Audit Service for TicketHub
+ *
+ * Writes and verifies the tamper-evident audit log (see models/AuditEvent.js).
+ *
+ * Every event is hashed together with the hash of the event before it:
+ *   hash = SHA-256(prevHash + canonical event contents)
+ * so changing, removing or reordering any stored event breaks the chain
+ * from that point on, which verifyChain() reports.
+ */
+
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+
+// prevHash of the very first event
+const GENESIS_HASH = '0'.repeat(64);
+
+// Retries when two servers try to append at the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Builds the exact string that gets hashed for an event
+ * Field order is fixed so the same event always produces the same hash
+ * @param {Object} event - Event fields
+ * @returns {string} Canonical representation
+ */
+const canonicalize = (event) => {
+  const idString = (value) => (value ? value.toString() : null);
+  return JSON.stringify([
+    event.sequence,
+    new Date(event.timestamp).toISOString(),
+    idString(event.actor),
+    event.actorRole || null,
+    event.action,
+    event.outcome,
+    event.statusCode ?? null,
+    idString(event.ticket),
+    [...(event.fields || [])],
+    event.ipAddress || null,
+    event.userAgent || null,
+    event.metadata || {},
+    event.prevHash
+  ]);
+};
+
+/**
+ * Computes the chain hash for an event
+ * @param {Object} event - Event fields including prevHash
+ * @returns {string} Hex SHA-256 hash
+ */
+const computeHash = (event) => {
+  return crypto.createHash('sha256').update(canonicalize(event)).digest('hex');
+};
+
+// Appends are queued so events from this process never race each other
+let appendQueue = Promise.resolve();
+
+/**
+ * Appends one event to the end of the chain
+ */
+const appendEvent = async (details) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    const event = {
+      actor: details.actor || null,
+      actorRole: details.actorRole || null,
+      action: details.action,
+      outcome: details.outcome || 'success',
+      statusCode: details.statusCode ?? null,
+      ticket: details.ticket || null,
+      fields: details.fields || [],
+      ipAddress: details.ipAddress || null,
+      userAgent: details.userAgent || null,
+      metadata: details.metadata || {},
+      timestamp: new Date(),
+      sequence: last ? last.sequence + 1 : 0,
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    event.hash = computeHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      // Another server appended first; read the new end of the chain and try again
+      const isDuplicate = error.code === 11000;
+      if (!isDuplicate || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Records an audit event
+ * @param {Object} details - What happened
+ * @param {string} details.action - e.g. 'ticket.read', 'ticket.update', 'ehr.retrieve'
+ * @param {string} details.actor - User ID of whoever performed the action
+ * @param {string} details.actorRole - Their role
+ * @param {string} details.ticket - Ticket ID, if the action concerned a ticket
+ * @param {Array<string>} details.fields - Fields read or changed
+ * @param {string} details.outcome - 'success' or 'failure'
+ * @param {number} details.statusCode - HTTP status returned
+ * @param {string} details.ipAddress - Client IP address
+ * @param {string} details.userAgent - Client user agent
+ * @param {Object} details.metadata - Extra details (must not contain raw PHI)
+ * @returns {Promise<Object>} The stored event
+ */
+const recordEvent = (details) => {
+  const result = appendQueue.then(() => appendEvent(details));
+  // Keep the queue going even if this append fails
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Builds the request-related part of an audit event
+ * @param {Object} req - Express request
+ * @returns {Object} { actor, actorRole, ipAddress, userAgent }
+ */
+const requestContext = (req) => ({
+  actor: req.user ? req.user.id : null,
+  actorRole: req.user ? req.user.role : null,
+  ipAddress: req.ip || null,
+  userAgent: req.get ? req.get('user-agent') || null : null
+});
+
+/**
+ * Walks the whole chain and checks every link
+ * @param {Object} options - { onProgress(checkedCount) } for long chains
+ * @returns {Promise<Object>} { valid, checked, brokenAt, reason }
+ */
+const verifyChain = async (options = {}) => {
+  let expectedSequence = 0;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+
+  for await (const event of cursor) {
+    if (event.sequence !== expectedSequence) {
+      return {
+        valid: false,
+        checked,
+        brokenAt: expectedSequence,
+        reason: `Missing event: expected sequence ${expectedSequence} but found ${event.sequence}`
+      };
+    }
+
+    if (event.prevHash !== prevHash) {
+      return {
+        valid: false,
+        checked,
+        brokenAt: event.sequence,
+        reason: `Event ${event.sequence} does not link to the previous event`
+      };
+    }
+
+    if (computeHash(event) !== event.hash) {
+      return {
+        valid: false,
+        checked,
+        brokenAt: event.sequence,
+        reason: `Event ${event.sequence} has been modified (hash mismatch)`
+      };
+    }
+
+    prevHash = event.hash;
+    expectedSequence++;
+    checked++;
+
+    if (options.onProgress && checked % 1000 === 0) {
+      options.onProgress(checked);
+    }
+  }
+
+  return { valid: true, checked, brokenAt: null, reason: null };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeHash,
+  recordEvent,
+  requestContext,
+  verifyChain
+};
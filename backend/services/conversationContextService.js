@@ -0,0 +1,237 @@
+/**
+ * Conversation Context Service for TicketHub
+ *
+ * Remembers each conversation so the assistant can answer follow-ups such
+ * as "what about tomorrow?" or "it's getting worse": the intent, entities
+ * and language of recent turns are kept per ticket, and optionally per
+ * patient so a new ticket starts with what was said before.
+ *
+ * Contexts live in a store chosen with conversationContext.store in
+ * config/enhancedFeatures.js:
+ *   mongo  - models/ConversationContext.js, shared by every server instance and the job worker
+ *   memory - this process only, forgotten on restart (development, scripts)
+ * Another store (a cache such as Redis) only needs load(key) and
+ * save(key, { user, language, turn }).
+ */
+
+const featureConfig = require('../config/enhancedFeatures');
+const ConversationContext = require('../models/ConversationContext');
+
+const ENTITY_TYPES = ['dates', 'medications', 'symptoms', 'medicalConditions', 'bodyParts'];
+
+// Entities that still apply to a follow-up message (dates usually don't)
+const CARRIED_ENTITY_TYPES = ['medications', 'symptoms', 'medicalConditions', 'bodyParts'];
+
+const settings = () => featureConfig.conversationContext;
+const expiresAt = () => new Date(Date.now() + settings().ttlDays * 24 * 60 * 60 * 1000);
+
+// Stored turns carry entities as JSON (so they can be encrypted)
+const toStoredTurn = (turn) => ({ ...turn, entities: JSON.stringify(turn.entities || {}) });
+const fromStoredTurn = (turn) => {
+  let entities = {};
+  try {
+    entities = turn.entities ? JSON.parse(turn.entities) : {};
+  } catch (err) {
+    console.error('Error reading conversation context entities:', err.message);
+  }
+  return {
+    intent: turn.intent,
+    confidence: turn.confidence,
+    followUp: turn.followUp,
+    entities,
+    language: turn.language,
+    createdAt: turn.createdAt
+  };
+};
+
+const mongoStore = {
+  load: async (key) => {
+    const context = await ConversationContext.findOne({ key });
+    return context && { language: context.language, turns: context.turns.map(fromStoredTurn) };
+  },
+
+  save: async (key, { user, language, turn }, retried = false) => {
+    try {
+      const context = await ConversationContext.findOne({ key }) || new ConversationContext({ key, user });
+      context.language = language;
+      context.turns.push(toStoredTurn(turn));
+      if (context.turns.length > settings().maxTurns) {
+        context.turns.splice(0, context.turns.length - settings().maxTurns);
+      }
+      context.updatedAt = Date.now();
+      context.expiresAt = expiresAt();
+      await context.save();
+    } catch (err) {
+      // Two replies created the same context at once: add to the one that won
+      if (err.code === 11000 && !retried) {
+        return mongoStore.save(key, { user, language, turn }, true);
+      }
+      throw err;
+    }
+  },
+
+  remove: async (keys) => {
+    await ConversationContext.deleteMany({ key: { $in: keys } });
+  },
+
+  removeUser: async (userId) => {
+    await ConversationContext.deleteMany({ user: userId });
+  }
+};
+
+const memoryContexts = new Map();
+
+const memoryStore = {
+  load: async (key) => {
+    const context = memoryContexts.get(key);
+    if (!context || context.expiresAt < new Date()) {
+      memoryContexts.delete(key);
+      return null;
+    }
+    return { language: context.language, turns: [...context.turns] };
+  },
+
+  save: async (key, { user, language, turn }) => {
+    const context = memoryContexts.get(key) || { user: user ? user.toString() : null, turns: [] };
+    context.language = language;
+    context.turns = [...context.turns, turn].slice(-settings().maxTurns);
+    context.expiresAt = expiresAt();
+    memoryContexts.set(key, context);
+  },
+
+  remove: async (keys) => {
+    keys.forEach(key => memoryContexts.delete(key));
+  },
+
+  removeUser: async (userId) => {
+    memoryContexts.forEach((context, key) => {
+      if (context.user === userId.toString()) memoryContexts.delete(key);
+    });
+  }
+};
+
+const STORES = {
+  mongo: mongoStore,
+  memory: memoryStore
+};
+
+const getStore = () => {
+  const store = STORES[settings().store];
+  if (!store) {
+    throw new Error(`Unknown conversation context store "${settings().store}" (expected ${Object.keys(STORES).join(', ')})`);
+  }
+  return store;
+};
+
+// The stores to write a turn to: the ticket, and the patient when enabled or when there is no ticket
+const contextKeys = ({ ticketId, userId }) => {
+  const keys = [];
+  if (ticketId) keys.push(`ticket:${ticketId}`);
+  if (userId && (!ticketId || settings().perPatient)) keys.push(`patient:${userId}`);
+  return keys;
+};
+
+/**
+ * Loads the context of a conversation
+ * @param {Object} conversation - { ticketId, userId }; without a ticket, the patient's context is used
+ * @returns {Promise<Object>} { language, turns }, oldest turn first (empty if nothing is remembered)
+ */
+const getContext = async ({ ticketId = null, userId = null } = {}) => {
+  const empty = { language: null, turns: [] };
+  try {
+    const store = getStore();
+    const [ticketKey, patientKey] = [ticketId && `ticket:${ticketId}`, userId && `patient:${userId}`];
+
+    const ticketContext = ticketKey ? await store.load(ticketKey) : null;
+    if (ticketContext?.turns.length) {
+      return ticketContext;
+    }
+    // A new ticket starts from what the patient said before, when that is enabled
+    if (patientKey && (!ticketId || settings().perPatient)) {
+      return await store.load(patientKey) || empty;
+    }
+    return empty;
+  } catch (err) {
+    console.error('Error loading conversation context:', err.message);
+    return empty;
+  }
+};
+
+/**
+ * Remembers one turn of a conversation
+ * @param {Object} conversation - { ticketId, userId }
+ * @param {Object} turn - { intent, confidence, followUp, entities, language }
+ * @returns {Promise<void>}
+ */
+const recordTurn = async ({ ticketId = null, userId = null } = {}, turn) => {
+  try {
+    const store = getStore();
+    const stored = {
+      intent: turn.intent || null,
+      confidence: turn.confidence || 0,
+      followUp: !!turn.followUp,
+      entities: Object.fromEntries(ENTITY_TYPES.map(type => [type, [...new Set(turn.entities?.[type] || [])]])),
+      language: turn.language || 'en',
+      createdAt: new Date()
+    };
+
+    for (const key of contextKeys({ ticketId, userId })) {
+      await store.save(key, { user: userId, language: stored.language, turn: stored });
+    }
+  } catch (err) {
+    console.error('Error saving conversation context:', err.message);
+  }
+};
+
+/**
+ * Finds what an unclear message is most likely following up on
+ * @param {Object} context - From getContext
+ * @returns {string|null} The intent of the latest recent turn that had one
+ */
+const followUpIntent = (context) => {
+  const recent = context.turns.slice(-settings().followUpTurns);
+  const latest = [...recent].reverse().find(turn => turn.intent);
+  return latest ? latest.intent : null;
+};
+
+/**
+ * Fills entity types a follow-up message doesn't mention from earlier turns,
+ * e.g. "it's getting worse" keeps the symptoms of the previous message
+ * @param {Object} entities - analyzeMessage's entities for the new message
+ * @param {Object} context - From getContext
+ * @returns {Object} Entities to answer with
+ */
+const withContextEntities = (entities, context) => {
+  const recent = context.turns.slice(-settings().followUpTurns).reverse();
+  const merged = { ...entities };
+  CARRIED_ENTITY_TYPES.forEach(type => {
+    if (!merged[type] || merged[type].length === 0) {
+      const earlier = recent.find(turn => turn.entities?.[type]?.length);
+      merged[type] = earlier ? earlier.entities[type] : [];
+    }
+  });
+  return merged;
+};
+
+/**
+ * Forgets the context of tickets (when they are deleted)
+ * @param {Array<string>} ticketIds
+ * @returns {Promise<void>}
+ */
+const clearTicketContexts = (ticketIds) => getStore().remove(ticketIds.map(id => `ticket:${id}`));
+
+/**
+ * Forgets every context of a patient (when their account is deleted)
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const clearUserContexts = (userId) => getStore().removeUser(userId);
+
+module.exports = {
+  getContext,
+  recordTurn,
+  followUpIntent,
+  withContextEntities,
+  clearTicketContexts,
+  clearUserContexts
+};
@@ -0,0 +1,315 @@
+/**
+ * EHR Service for TicketHub
+ *
+ * Reads a consenting patient's medications, allergies and conditions from
+ * an electronic health record over FHIR R4 (MedicationStatement,
+ * AllergyIntolerance and Condition resources), and turns them into the
+ * plain lists the assistant works with.
+ *
+ * Authorization follows SMART on FHIR Backend Services: TicketHub signs a
+ * short-lived JWT with its private key (RS384 or ES384) and trades it for an
+ * access token at the server's token endpoint. The EHR knows TicketHub by
+ * its client ID and public key (see scripts/generateFhirKey.js).
+ *
+ * Records are cached in this process for ehrIntegration.refreshInterval
+ * hours, and dropped when the patient withdraws consent (updateEHRConsent).
+ * Nothing retrieved from the EHR is written to the database.
+ *
+ * For development, `npm run fhir:stub` serves synthetic patients
+ * (fhirStub/server.js); it is the default ehrIntegration.fhir.baseUrl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const featureConfig = require('../config/enhancedFeatures');
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Renew access tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const settings = () => featureConfig.ehrIntegration.fhir;
+
+const codesOf = (concept) => (concept?.coding || []).map(({ system, code, display }) => ({
+  system: system || null,
+  code: code || null,
+  display: display || null
+}));
+
+const textOf = (concept) => concept?.text || concept?.coding?.find(coding => coding.display)?.display || null;
+
+const statusOf = (concept) => concept?.coding?.[0]?.code || null;
+
+const toMedication = (resource) => ({
+  name: textOf(resource.medicationCodeableConcept) || resource.medicationReference?.display || null,
+  codes: codesOf(resource.medicationCodeableConcept),
+  status: resource.status || null,
+  dosage: resource.dosage?.[0]?.text || null,
+  effective: resource.effectiveDateTime || resource.effectivePeriod?.start || null
+});
+
+const toAllergy = (resource) => ({
+  substance: textOf(resource.code),
+  codes: codesOf(resource.code),
+  category: resource.category || [],
+  criticality: resource.criticality || null,
+  clinicalStatus: statusOf(resource.clinicalStatus),
+  reactions: (resource.reaction || []).map(reaction => ({
+    manifestations: (reaction.manifestation || []).map(textOf).filter(Boolean),
+    severity: reaction.severity || null
+  }))
+});
+
+const toCondition = (resource) => ({
+  name: textOf(resource.code),
+  codes: codesOf(resource.code),
+  clinicalStatus: statusOf(resource.clinicalStatus),
+  verificationStatus: statusOf(resource.verificationStatus),
+  onset: resource.onsetDateTime || resource.onsetPeriod?.start || null
+});
+
+const isEnteredInError = (resource) => resource.status === 'entered-in-error' ||
+  statusOf(resource.verificationStatus) === 'entered-in-error';
+
+// EHR data type -> FHIR resource type and how to simplify it
+const RESOURCES = {
+  medications: { type: 'MedicationStatement', toEntry: toMedication },
+  allergies: { type: 'AllergyIntolerance', toEntry: toAllergy },
+  conditions: { type: 'Condition', toEntry: toCondition }
+};
+
+let signingKey = null;
+let tokenEndpoint = null;
+let accessToken = null; // { value, expiresAt }
+let tokenRequest = null;
+
+const loadSigningKey = () => {
+  if (!signingKey) {
+    const keyPath = path.resolve(__dirname, '..', settings().privateKeyPath);
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+    const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    // RFC 7638 thumbprint: the required members in lexicographic order
+    const members = jwk.kty === 'EC' ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y } : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+    signingKey = {
+      privateKey,
+      algorithm: privateKey.asymmetricKeyType === 'ec' ? 'ES384' : 'RS384',
+      keyId: settings().keyId || crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url')
+    };
+  }
+  return signingKey;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(settings().timeoutMs) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.issue?.[0]?.diagnostics || response.statusText;
+    const err = new Error(`${response.status} from ${url}: ${detail}`);
+    err.status = response.status;
+    throw err;
+  }
+  return body;
+};
+
+// The token endpoint, from settings or the server's SMART configuration
+const getTokenEndpoint = async () => {
+  if (!tokenEndpoint) {
+    tokenEndpoint = settings().tokenUrl ||
+      (await fetchJson(`${settings().baseUrl}/.well-known/smart-configuration`)).token_endpoint;
+    if (!tokenEndpoint) {
+      throw new Error('The FHIR server does not advertise a token_endpoint');
+    }
+  }
+  return tokenEndpoint;
+};
+
+// Trades a signed client assertion for an access token
+const requestAccessToken = async () => {
+  const endpoint = await getTokenEndpoint();
+  const { privateKey, algorithm, keyId } = loadSigningKey();
+  const assertion = jwt.sign({ jti: crypto.randomUUID() }, privateKey, {
+    algorithm,
+    keyid: keyId,
+    issuer: settings().clientId,
+    subject: settings().clientId,
+    audience: endpoint,
+    expiresIn: '5m'
+  });
+
+  const token = await fetchJson(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope: ['Patient', ...Object.values(RESOURCES).map(({ type }) => type)].map(type => `system/${type}.read`).join(' '),
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: assertion
+    })
+  });
+
+  accessToken = { value: token.access_token, expiresAt: Date.now() + (token.expires_in || 300) * 1000 };
+  return accessToken.value;
+};
+
+// A valid access token; requests made at the same time share one token request
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+    return accessToken.value;
+  }
+  if (!tokenRequest) {
+    tokenRequest = requestAccessToken().finally(() => {
+      tokenRequest = null;
+    });
+  }
+  return tokenRequest;
+};
+
+// GET a FHIR URL, getting a new access token once if the current one is refused
+const fhirGet = async (url, retried = false) => {
+  const headers = { Accept: 'application/fhir+json' };
+  if (settings().auth === 'smart-backend') {
+    headers.Authorization = `Bearer ${await getAccessToken()}`;
+  }
+  try {
+    return await fetchJson(url, { headers });
+  } catch (err) {
+    if (err.status === 401 && settings().auth === 'smart-backend' && !retried) {
+      accessToken = null;
+      return fhirGet(url, true);
+    }
+    throw err;
+  }
+};
+
+// Every resource of a type for the patient, following the Bundle's next links
+const searchResources = async (type, patientId) => {
+  const resources = [];
+  let url = `${settings().baseUrl}/${type}?patient=${encodeURIComponent(patientId)}&_count=100`;
+
+  for (let page = 0; url && page < settings().maxPages; page++) {
+    const bundle = await fhirGet(url);
+    (bundle.entry || []).forEach(({ resource }) => {
+      if (resource?.resourceType === type) resources.push(resource);
+    });
+    url = bundle.link?.find(link => link.relation === 'next')?.url || null;
+  }
+  return resources;
+};
+
+// patientId -> { dataType: { entries, retrievedAt } }
+const cache = new Map();
+// Requests in progress, so simultaneous messages share one EHR call: `${patientId}:${dataType}` -> Promise
+const inFlight = new Map();
+
+const isFresh = (cached) => cached &&
+  Date.now() - cached.retrievedAt < featureConfig.ehrIntegration.refreshInterval * 60 * 60 * 1000;
+
+// Reads Patient/<id>, so an ID the EHR doesn't know fails instead of reading as an empty record
+const readPatient = (patientId) => {
+  const key = `${patientId}:Patient`;
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fhirGet(`${settings().baseUrl}/Patient/${encodeURIComponent(patientId)}`)
+      .catch(err => {
+        if (err.status === 404) {
+          throw Object.assign(new Error('The linked patient is not known to the EHR'), { status: 404 });
+        }
+        throw err;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+};
+
+const retrieveType = async (patientId, dataType) => {
+  const cached = cache.get(patientId)?.[dataType];
+  if (isFresh(cached)) {
+    return { ...cached, fromCache: true };
+  }
+
+  const key = `${patientId}:${dataType}`;
+  if (!inFlight.has(key)) {
+    const { type, toEntry } = RESOURCES[dataType];
+    inFlight.set(key, searchResources(type, patientId)
+      .then(resources => {
+        const result = { entries: resources.filter(r => !isEnteredInError(r)).map(toEntry), retrievedAt: Date.now() };
+        cache.set(patientId, { ...cache.get(patientId), [dataType]: result });
+        return result;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+  return { ...(await inFlight.get(key)), fromCache: false };
+};
+
+/**
+ * Retrieves a patient's health record
+ * Only call this for patients who have consented (User.ehrConsent)
+ * @param {string} patientId - The patient's ID in the EHR (User.ehrPatientId)
+ * @param {Array<string>} dataTypes - Any of 'medications', 'allergies', 'conditions'
+ * @returns {Promise<Object>} { patientId, medications, allergies, conditions, retrievedAt, fromCache, source };
+ *   each requested type is a list (empty when the record has none)
+ * @throws {Error} When the FHIR server can't be reached or refuses the request, or with
+ *   `status` 404 when it has no patient with this ID
+ */
+const retrieveEHRData = async (patientId, dataTypes = featureConfig.ehrIntegration.dataTypes) => {
+  const unknown = dataTypes.filter(dataType => !RESOURCES[dataType]);
+  if (unknown.length) {
+    throw new Error(`Unknown EHR data types: ${unknown.join(', ')} (expected ${Object.keys(RESOURCES).join(', ')})`);
+  }
+
+  // The patient was there when a cached record was retrieved
+  if (!dataTypes.every(dataType => isFresh(cache.get(patientId)?.[dataType]))) {
+    await readPatient(patientId);
+  }
+
+  const results = await Promise.all(dataTypes.map(dataType => retrieveType(patientId, dataType)));
+
+  return {
+    patientId,
+    ...Object.fromEntries(dataTypes.map((dataType, index) => [dataType, results[index].entries])),
+    // The oldest part of the record
+    retrievedAt: new Date(Math.min(...results.map(result => result.retrievedAt))),
+    fromCache: results.every(result => result.fromCache),
+    source: settings().baseUrl
+  };
+};
+
+/**
+ * Forgets a patient's cached record (when they withdraw consent or are linked to another record)
+ * @param {string} patientId - The patient's ID in the EHR
+ */
+const clearEHRCache = (patientId) => {
+  cache.delete(patientId);
+};
+
+/**
+ * Records a patient's consent to reading their health record, and forgets the
+ * cached record once the withdrawal is saved
+ * @param {Object} user - The patient's User document; saved with any other pending changes
+ * @param {boolean} consent - Whether they consent
+ * @returns {Promise<Object>} The saved user
+ * @throws {Error} With `status` 403 when consent is given while EHR integration is disabled
+ *   (withdrawing is always allowed)
+ */
+const updateEHRConsent = async (user, consent) => {
+  const withdrawn = user.ehrConsent && !consent;
+  if (consent && !user.ehrConsent && !featureConfig.ehrIntegration.enabled) {
+    throw Object.assign(new Error('EHR integration is not enabled'), { status: 403 });
+  }
+
+  user.ehrConsent = consent;
+  await user.save();
+
+  // After saving, so a retrieval racing the withdrawal can't cache the record again
+  if (withdrawn && user.ehrPatientId) {
+    clearEHRCache(user.ehrPatientId);
+  }
+  return user;
+};
+
+module.exports = {
+  retrieveEHRData,
+  clearEHRCache,
+  updateEHRConsent
+};
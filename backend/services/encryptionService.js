@@ -0,0 +1,167 @@
+/**
+ * Encryption Service for TicketHub
+ *
+ * Encrypts sensitive values (such as original, unredacted patient messages)
+ * with AES-256-GCM before they are stored in MongoDB.
+ *
+ * Keys are configured in the environment:
+ *   ENCRYPTION_KEYS=2024a:<secret>,2025a:<secret>   (keyId:secret pairs)
+ *   ENCRYPTION_ACTIVE_KEY_ID=2025a                   (defaults to the first key)
+ *
+ * Every encrypted value records the ID of the key that produced it, so old
+ * values stay readable after a new key becomes active.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;      // Recommended IV size for GCM
+const AUTH_TAG_LENGTH = 16;
+const PREFIX = 'enc';      // Marks a string as an encrypted payload
+
+let keyring = null;
+
+/**
+ * Turns a configured secret into a 32-byte key
+ * Accepts 64 hex characters or 44 base64 characters as-is; anything else is hashed
+ */
+const toKey = (secret) => {
+  if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+  if (/^[A-Za-z0-9+/]{43}=$/.test(secret)) return Buffer.from(secret, 'base64');
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Loads the keyring from the environment (once)
+ * @returns {Object} { keys: Map<keyId, Buffer>, activeKeyId }
+ */
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys.set(entry.slice(0, separator), toKey(entry.slice(separator + 1)));
+      }
+    });
+
+  if (keys.size === 0) {
+    // Development fallback so the app still runs without extra configuration
+    console.warn('ENCRYPTION_KEYS is not set. Deriving a development key from JWT_SECRET; do not use this in production.');
+    keys.set('dev', toKey(`tickethub-dev:${process.env.JWT_SECRET || ''}`));
+  }
+
+  const activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not present in ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+};
+
+/**
+ * Gets the ID of the key new values are encrypted with
+ * @returns {string} The active key ID
+ */
+const getActiveKeyId = () => loadKeyring().activeKeyId;
+
+// enc:<keyId>:<iv>:<authTag>:<ciphertext>
+const PAYLOAD_PATTERN = new RegExp(`^${PREFIX}:[\\w-]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]*$`);
+
+/**
+ * Checks whether a value is an encrypted payload produced by this service:
+ * the right shape, a configured key ID, and an IV and auth tag of the right size.
+ * Plaintext can still be made to look like this; use isAuthentic when that matters
+ * @param {*} value - Any value
+ * @returns {boolean} True if the value looks encrypted
+ */
+const isEncrypted = (value) => {
+  if (typeof value !== 'string' || !PAYLOAD_PATTERN.test(value)) return false;
+  const [, keyId, iv, authTag] = value.split(':');
+  return loadKeyring().keys.has(keyId) &&
+    Buffer.from(iv, 'base64').length === IV_LENGTH &&
+    Buffer.from(authTag, 'base64').length === AUTH_TAG_LENGTH;
+};
+
+/**
+ * Reads the key ID from an encrypted payload
+ * @param {string} payload - Encrypted value
+ * @returns {string|null} The key ID, or null if the value is not encrypted
+ */
+const getKeyId = (payload) => (isEncrypted(payload) ? payload.split(':')[1] : null);
+
+/**
+ * Encrypts a string
+ * @param {string} plaintext - The value to encrypt
+ * @param {string} keyId - Key to use (defaults to the active key)
+ * @returns {string} Payload in the form enc:<keyId>:<iv>:<authTag>:<ciphertext>
+ */
+const encrypt = (plaintext, keyId = getActiveKeyId()) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key "${keyId}"`);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [PREFIX, keyId, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypts a payload produced by encrypt()
+ * Values that are not encrypted are returned unchanged
+ * @param {string} payload - Encrypted value
+ * @returns {string} The original plaintext
+ */
+const decrypt = (payload) => {
+  if (!isEncrypted(payload)) return payload;
+
+  const [, keyId, iv, authTag, ciphertext] = payload.split(':');
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Cannot decrypt: encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Checks whether a value is ciphertext this service produced, by decrypting it
+ * (the auth tag can't be forged without the key)
+ * @param {*} value - Any value
+ * @returns {boolean} True if the value decrypts
+ */
+const isAuthentic = (value) => {
+  if (!isEncrypted(value)) return false;
+  try {
+    decrypt(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  isAuthentic,
+  getKeyId,
+  getActiveKeyId
+};
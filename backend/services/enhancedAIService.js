@@ -7,10 +7,18 @@
 
 const natural = require('natural');
 const { generateAIResponse, analyzeMessage } = require('./aiService');
+const { classifyIntent } = require('./intentService');
+const phiService = require('./phiService');
+const triageService = require('./triageService');
+const ehrService = require('./ehrService');
+const medicationSafetyService = require('./medicationSafetyService');
+const providerDirectoryService = require('./providerDirectoryService');
+const speechToTextService = require('./speechToTextService');
+const textToSpeechService = require('./textToSpeechService');
+const featureConfig = require('../config/enhancedFeatures');
 
 // Initialize NLP components
 const tokenizer = new natural.WordTokenizer();
-const classifier = new natural.BayesClassifier();
 
 /**
  * Process and analyze user message using NLP
@@ -35,68 +43,176 @@ const processMessage = (message) => {
   };
 };
 
-/**
- * Train the classifier with sample intents
- * This should be called during application initialization
- */
-const trainClassifier = () => {
-  // Add training data for common intents
-  classifier.addDocument('how do I create a new ticket', 'create_ticket');
-  classifier.addDocument('I need to submit a ticket', 'create_ticket');
-  classifier.addDocument('open a new ticket', 'create_ticket');
-  
-  classifier.addDocument('what is the status of my ticket', 'check_status');
-  classifier.addDocument('where is my ticket', 'check_status');
-  classifier.addDocument('ticket status', 'check_status');
-  
-  classifier.addDocument('I need help with my ticket', 'get_help');
-  classifier.addDocument('can you help me', 'get_help');
-  classifier.addDocument('assist me please', 'get_help');
-  
-  // Train the classifier
-  classifier.train();
-};
-
 /**
  * Identify the intent of a user message
  * @param {string} message - The user's message
- * @returns {Object} The classified intent and confidence score
+ * @param {Object} options - { topK } (see intentService.classifyIntent)
+ * @returns {Object} { intent, confidence, isConfident, knownWords, topIntents }
  */
-const identifyIntent = (message) => {
-  const classification = classifier.classify(message);
-  return {
-    intent: classification,
-    confidence: 0.85 // In production, use actual confidence scores
-  };
+const identifyIntent = (message, options = {}) => {
+  return classifyIntent(message, options);
 };
 
 /**
  * Generate an enhanced response using NLP analysis
  * @param {string} message - The user's message
+ * @param {string} category - Ticket category, if known
+ * @param {string} userId - ID of the user asking
+ * @param {Object} options - { preferredLanguage, ticketId, onToken, ehrData, voiceOutput, voiceGender };
+ *   ticketId selects the conversation to continue, onToken receives the reply as it is
+ *   generated (the rule-based reply arrives as a single chunk), ehrData is the consenting
+ *   patient's record, used to check the medications they mention, and voiceOutput speaks
+ *   the reply in voiceGender (see textToSpeechService.generateVoiceResponse)
  * @returns {Object} Enhanced response with NLP analysis
  */
-const generateEnhancedResponse = async (message) => {
+const generateEnhancedResponse = async (message, category = null, userId = null, options = {}) => {
   // Process the message with NLP
   const analysis = processMessage(message);
   const intentInfo = identifyIntent(message);
   
+  // Rate how urgent the symptoms are; urgent ones are flagged for a provider to look at
+  const triageResult = featureConfig.triageSystem.enabled ? performSymptomTriage(message) : null;
+  
   // Get base response from AI service
-  const baseResponse = await generateAIResponse(message);
+  const baseResponse = await generateAIResponse(message, category, userId, options.preferredLanguage, options.ticketId);
+  if (options.onToken) {
+    options.onToken(baseResponse);
+  }
+  
+  // Warn about medications that clash with the patient's record
+  const { text, medicationSafety } = options.ehrData
+    ? enhanceResponseWithEHRContext(baseResponse, message, options.ehrData)
+    : { text: baseResponse, medicationSafety: null };
+  if (options.onToken && text !== baseResponse) {
+    options.onToken(text.slice(baseResponse.length));
+  }
+  
+  // Speak the reply for patients listening to it
+  const voiceResponse = options.voiceOutput
+    ? await textToSpeechService.generateVoiceResponse(text, {
+      userId,
+      language: options.preferredLanguage,
+      gender: options.voiceGender
+    })
+    : null;
   
   return {
-    response: baseResponse,
+    textResponse: text,
+    response: text,
+    voiceResponse,
+    triageResult,
+    medicationSafety,
+    requiresHumanReview: !!triageResult?.requiresHumanReview || !!medicationSafety?.requiresProviderReview,
     analysis: {
       intent: intentInfo.intent,
       confidence: intentInfo.confidence,
+      // Unclear messages get a clarifying question instead of a guessed answer
+      needsClarification: !intentInfo.isConfident,
+      topIntents: intentInfo.topIntents,
       entities: analysis.entities
     }
   };
 };
 
+/**
+ * Adds medication safety warnings to a reply, from the patient's health record
+ * @param {string} responseText - The reply so far
+ * @param {string} message - The patient's message
+ * @param {Object} ehrData - The patient's record (see ehrService.retrieveEHRData)
+ * @returns {Object} { text, medicationSafety } - the reply with any warnings at least
+ *   medicationSafety.minReplySeverity appended, and the full check (see
+ *   medicationSafetyService.checkMedicationSafety); medicationSafety is null when disabled
+ */
+const enhanceResponseWithEHRContext = (responseText, message, ehrData) => {
+  if (!featureConfig.medicationSafety.enabled || !ehrData) {
+    return { text: responseText, medicationSafety: null };
+  }
+  
+  const medicationSafety = medicationSafetyService.checkMedicationSafety(message, ehrData);
+  const shown = medicationSafety.warnings.filter(warning =>
+    medicationSafetyService.isAtLeast(warning, featureConfig.medicationSafety.minReplySeverity));
+  if (shown.length === 0) {
+    return { text: responseText, medicationSafety };
+  }
+  
+  const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+  const lines = shown.map(warning =>
+    `- ${capitalize(warning.mentionedAs)} and ${warning.conflictsWith}: ${warning.description}${warning.advice ? ` ${warning.advice}` : ''}`);
+  const closing = medicationSafety.requiresProviderReview
+    ? 'We have flagged this for your care team. Please check with them or your pharmacist before taking it.'
+    : 'Please check with your provider or pharmacist before taking it.';
+  
+  return {
+    text: `${responseText}\n\nMedication safety check (based on your health record):\n${lines.join('\n')}\n${closing}`,
+    medicationSafety
+  };
+};
+
+/**
+ * Rates how soon the patient should be seen, from the symptoms in a message
+ * @param {string} message - The user's message
+ * @param {Object} options - { age, durationDays } when known (see triageService.triage)
+ * @returns {Object} { urgencyLevel, careRecommendation, requiresHumanReview, firedRules, explanation, rulesVersion, ... }
+ */
+const performSymptomTriage = (message, options = {}) => {
+  return triageService.triage(message, options);
+};
+
+/**
+ * Checks a message for Protected Health Information (PHI)
+ * @param {string} message - The user's message
+ * @param {Object} options - Detection options (see phiService.detectPHI)
+ * @returns {Object} { containsPHI, phiTypes, spans, riskLevel, checkedAt }
+ */
+const hipaaComplianceCheck = (message, options = {}) => {
+  return phiService.checkCompliance(message, {
+    minConfidence: featureConfig.hipaaCompliance.minConfidence,
+    ...options
+  });
+};
+
+/**
+ * Redacts PHI from a message using the configured redaction style
+ * @param {string} message - The user's message
+ * @param {Object} options - Redaction options (style: 'mask' | 'placeholder' | 'token')
+ * @returns {string} The redacted message
+ */
+const redactPHI = (message, options = {}) => {
+  return phiService.redact(message, {
+    style: featureConfig.hipaaCompliance.redactionStyle,
+    minConfidence: featureConfig.hipaaCompliance.minConfidence,
+    ...options
+  }).text;
+};
+
+/**
+ * Replaces PHI with reversible tokens
+ * @param {string} message - The user's message
+ * @returns {Object} { text, tokens } - pass both to phiService.restorePHI to get the original back
+ */
+const tokenizePHI = (message) => {
+  const { text, tokens } = phiService.redact(message, {
+    style: 'token',
+    minConfidence: featureConfig.hipaaCompliance.minConfidence
+  });
+  return { text, tokens };
+};
+
 module.exports = {
   processMessage,
-  trainClassifier,
   identifyIntent,
   generateEnhancedResponse,
+  hipaaComplianceCheck,
+  redactPHI,
+  tokenizePHI,
+  performSymptomTriage,
+  processVoiceInput: speechToTextService.transcribeAudio,
+  generateVoiceResponse: textToSpeechService.generateVoiceResponse,
+  getVoiceAudio: textToSpeechService.getVoiceAudio,
+  retrieveEHRData: ehrService.retrieveEHRData,
+  clearEHRCache: ehrService.clearEHRCache,
+  updateEHRConsent: ehrService.updateEHRConsent,
+  enhanceResponseWithEHRContext,
+  recommendProviders: providerDirectoryService.recommendProviders,
   generateEnhancedAIResponse: generateEnhancedResponse // Alias for compatibility with route imports
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Event Bus for TicketHub
+ *
+ * Internal publish/subscribe for live updates. Inside the API server events
+ * are delivered in memory. A job worker running in its own process
+ * (node worker.js) calls relayToServer() so its events are written to the
+ * capped RealtimeEvent collection instead; the API server follows that
+ * collection (listenForRelayedEvents) and delivers them to its subscribers.
+ *
+ * Topics:
+ *   ticket:updated { ticketId, change }
+ *   ticket:deleted { ticketId, userId }
+ *   reply          { ticketId, event, data } (see replyStreamService)
+ */
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+
+// Wait this long before following the relay again after the cursor ends
+const RELAY_RETRY_MS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let relaying = false;
+// Relayed events are written one at a time so they arrive in order
+let relayQueue = Promise.resolve();
+
+/**
+ * Publishes an event to subscribers (in the API server, wherever it was published)
+ * @param {string} topic - Topic name
+ * @param {Object} data - Event data (must survive a round trip through MongoDB)
+ */
+const publish = (topic, data) => {
+  if (!relaying) {
+    emitter.emit(topic, data);
+    return;
+  }
+  relayQueue = relayQueue
+    .then(() => RealtimeEvent.create({ topic, data }))
+    .catch(err => console.error('Error relaying realtime event:', err.message));
+};
+
+/**
+ * Subscribes to a topic
+ * @param {string} topic - Topic name
+ * @param {Function} listener - Called with the event data
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribe = (topic, listener) => {
+  emitter.on(topic, listener);
+  return () => emitter.off(topic, listener);
+};
+
+/**
+ * Sends this process's events to the API server instead of delivering them
+ * locally (for processes that don't serve clients, such as the job worker)
+ */
+const relayToServer = () => {
+  relaying = true;
+  // Make sure the collection exists as a capped collection before the first write
+  relayQueue = RealtimeEvent.init()
+    .catch(err => console.error('Error preparing realtime relay:', err.message));
+};
+
+/**
+ * Waits until every relayed event so far has been written (call before exiting)
+ * @returns {Promise<void>}
+ */
+const flush = () => relayQueue;
+
+/**
+ * Delivers events relayed by other processes to this process's subscribers.
+ * Runs until the process exits; only events published after it starts are delivered.
+ */
+const listenForRelayedEvents = async () => {
+  // Waits for the database connection and creates the capped collection
+  await RealtimeEvent.init();
+  let lastId = new mongoose.Types.ObjectId();
+
+  for (;;) {
+    try {
+      // A tailable cursor waits for new events instead of ending at the last one
+      const cursor = RealtimeEvent.collection.find(
+        { _id: { $gt: lastId } },
+        { tailable: true, awaitData: true }
+      );
+      for await (const event of cursor) {
+        lastId = event._id;
+        emitter.emit(event.topic, event.data);
+      }
+    } catch (err) {
+      console.error('Error following relayed events:', err.message);
+    }
+    // The cursor ends when the collection is empty or the connection drops
+    await new Promise(resolve => setTimeout(resolve, RELAY_RETRY_MS));
+  }
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  relayToServer,
+  flush,
+  listenForRelayedEvents
+};
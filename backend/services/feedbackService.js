@@ -0,0 +1,142 @@
+/**
+ * Feedback Service for TicketHub
+ *
+ * Turns what patients say about the assistant into something to act on.
+ * Patients give AI replies a thumbs up or down and rate the whole ticket
+ * from 1 to 5 (POST /api/tickets/:id/feedback). Every AI reply is tagged
+ * with the intent and response template it came from (see
+ * aiService.generateAIReply), so the report below shows which intents and
+ * templates disappoint most: the ones to improve with training examples
+ * (/admin/training) or new wording.
+ */
+
+const Ticket = require('../models/Ticket');
+const featureConfig = require('../config/enhancedFeatures');
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+const round = (value) => Math.round(value * 100) / 100;
+const ratio = (count, total) => (total > 0 ? round(count / total) : null);
+
+// Votes and ticket ratings per intent or template (key), counting each ticket's rating once per key
+const feedbackBy = (key, match) => Ticket.aggregate([
+  { $match: match },
+  { $unwind: '$messages' },
+  { $match: { 'messages.isAI': true } },
+  {
+    $group: {
+      _id: { key: `$messages.${key}`, ticket: '$_id' },
+      replies: { $sum: 1 },
+      helpful: { $sum: { $cond: [{ $eq: ['$messages.feedback.helpful', true] }, 1, 0] } },
+      unhelpful: { $sum: { $cond: [{ $eq: ['$messages.feedback.helpful', false] }, 1, 0] } },
+      rating: { $first: '$feedbackRating' }
+    }
+  },
+  {
+    $group: {
+      _id: '$_id.key',
+      replies: { $sum: '$replies' },
+      helpful: { $sum: '$helpful' },
+      unhelpful: { $sum: '$unhelpful' },
+      ratedTickets: { $sum: { $cond: [{ $gt: ['$rating', null] }, 1, 0] } },
+      averageRating: { $avg: '$rating' }
+    }
+  }
+]);
+
+// Worst first: the lowest share of helpful votes, then the lowest rating.
+// Entries with fewer than minVotes votes aren't ranked; they follow, most used first.
+const rank = (rows, key, minVotes) => {
+  const entries = rows.map(row => {
+    const votes = row.helpful + row.unhelpful;
+    return {
+      [key]: row._id,
+      replies: row.replies,
+      helpful: row.helpful,
+      unhelpful: row.unhelpful,
+      helpfulRate: ratio(row.helpful, votes),
+      ratedTickets: row.ratedTickets,
+      averageRating: row.averageRating === null ? null : round(row.averageRating),
+      ranked: votes >= minVotes
+    };
+  });
+
+  const ranked = entries
+    .filter(entry => entry.ranked)
+    .sort((a, b) => a.helpfulRate - b.helpfulRate ||
+      (a.averageRating ?? 5) - (b.averageRating ?? 5) ||
+      b.unhelpful - a.unhelpful);
+  const unranked = entries
+    .filter(entry => !entry.ranked)
+    .sort((a, b) => b.replies - a.replies);
+
+  return [...ranked, ...unranked];
+};
+
+/**
+ * Builds the feedback report
+ * @param {Object} options - { from, to } (Dates): only tickets opened in this period
+ * @returns {Promise<Object>} { overall, intents, templates, lowRatedTickets, minVotes }
+ */
+const getFeedbackReport = async ({ from = null, to = null } = {}) => {
+  const { minVotes } = featureConfig.feedback;
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [intents, templates, ratings, lowRatedTickets] = await Promise.all([
+    feedbackBy('intent', match),
+    feedbackBy('template', match),
+    Ticket.aggregate([
+      { $match: { ...match, feedbackRating: { $ne: null } } },
+      { $group: { _id: '$feedbackRating', count: { $sum: 1 } } }
+    ]),
+    // Comments are encrypted, so these are loaded as documents rather than aggregated
+    Ticket.find({ ...match, feedbackRating: { $lte: 2 } })
+      .select('title category feedbackRating feedbackComments feedbackAt')
+      .sort({ feedbackAt: -1 })
+      .limit(10)
+  ]);
+
+  const totals = intents.reduce((sum, row) => ({
+    replies: sum.replies + row.replies,
+    helpful: sum.helpful + row.helpful,
+    unhelpful: sum.unhelpful + row.unhelpful
+  }), { replies: 0, helpful: 0, unhelpful: 0 });
+  const ratingDistribution = Object.fromEntries(RATINGS.map(rating => [
+    rating,
+    ratings.find(({ _id }) => _id === rating)?.count || 0
+  ]));
+  const ratedTickets = Object.values(ratingDistribution).reduce((sum, count) => sum + count, 0);
+  const ratingSum = RATINGS.reduce((sum, rating) => sum + rating * ratingDistribution[rating], 0);
+
+  return {
+    overall: {
+      aiReplies: totals.replies,
+      helpful: totals.helpful,
+      unhelpful: totals.unhelpful,
+      helpfulRate: ratio(totals.helpful, totals.helpful + totals.unhelpful),
+      ratedTickets,
+      averageRating: ratio(ratingSum, ratedTickets),
+      ratingDistribution
+    },
+    intents: rank(intents, 'intent', minVotes),
+    templates: rank(templates, 'template', minVotes),
+    lowRatedTickets: lowRatedTickets.map(ticket => ({
+      _id: ticket.id,
+      title: ticket.title,
+      category: ticket.category,
+      rating: ticket.feedbackRating,
+      comments: ticket.feedbackComments,
+      ratedAt: ticket.feedbackAt
+    })),
+    minVotes
+  };
+};
+
+module.exports = {
+  getFeedbackReport
+};
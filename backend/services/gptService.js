@@ -1,8 +1,10 @@
 /**
  * GPT Service for TicketHub Healthcare Chatbot
  * 
- * This service integrates OpenAI's GPT models to enhance the existing NLP capabilities
+ * This service uses a large language model to enhance the existing NLP capabilities
  * with more advanced natural language understanding and generation.
+ * The model comes from the provider configured in config/enhancedFeatures.js
+ * (OpenAI, an OpenAI-compatible local server, Anthropic or a fake; see llmService.js).
  * 
  * Features:
  * - Advanced natural language understanding
@@ -11,43 +13,15 @@
  * - Context-aware conversation handling
  */
 
-const { OpenAI } = require('openai');
+const llm = require('./llmService');
 const { analyzeMessage } = require('./aiService');
 
-// Initialize OpenAI client
-let openai;
-try {
-  // Make sure we have the API key from .env
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not defined in environment variables');
-  }
-  
-  // Validate API key format (basic check)
-  if (!apiKey.startsWith('sk-') || apiKey.length < 20) {
-    throw new Error('OPENAI_API_KEY appears to be invalid. It should start with "sk-" and be at least 20 characters long');
-  }
-  
-  // Check if the API key is still the placeholder value
-  if (apiKey.includes('your-openai-api-key-goes-here')) {
-    throw new Error('OPENAI_API_KEY is still set to the placeholder value. Please replace it with your actual OpenAI API key');
-  }
-  
-  openai = new OpenAI({
-    apiKey: apiKey
-  });
-  console.log('OpenAI client initialized successfully');
-} catch (error) {
-  console.error('Error initializing OpenAI client:', error.message);
-  console.warn('GPT features will be disabled. Please check your OpenAI API key.');
-}
-
 /**
- * Checks if the OpenAI client is properly initialized
- * @returns {boolean} Whether the OpenAI client is available
+ * Checks if a language model is configured and ready
+ * @returns {boolean} Whether GPT features can be used
  */
 const isGptAvailable = () => {
-  return !!openai;
+  return llm.isLlmAvailable();
 };
 
 /**
@@ -55,11 +29,12 @@ const isGptAvailable = () => {
  * @param {string} message - The user's message
  * @param {string} category - The detected category/intent
  * @param {Array} conversationHistory - Previous messages for context
+ * @param {Function} [onToken] - Streams the response: called with each token as it arrives
  * @returns {Promise<string>} The GPT-generated response
  */
-const generateGptResponse = async (message, category, conversationHistory = []) => {
+const generateGptResponse = async (message, category, conversationHistory = [], onToken = null) => {
   if (!isGptAvailable()) {
-    throw new Error('OpenAI client is not available. Check your API key configuration.');
+    throw new Error('No language model is available. Check your LLM configuration.');
   }
 
   try {
@@ -86,18 +61,8 @@ const generateGptResponse = async (message, category, conversationHistory = [])
       { role: 'user', content: message }
     ];
 
-    // Call the OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo', // Can be upgraded to gpt-4 for better results
-      messages: messages,
-      max_tokens: 500,
-      temperature: 0.7, // Slightly creative but still focused
-      top_p: 0.9,
-      frequency_penalty: 0.5, // Reduce repetition
-      presence_penalty: 0.5, // Encourage new topics
-    });
-
-    return completion.choices[0].message.content.trim();
+    // Call the language model (settings: llm.useCases.generate)
+    return await llm.complete('generate', messages, onToken);
   } catch (error) {
     console.error('Error generating GPT response:', error);
     throw new Error(`Failed to generate GPT response: ${error.message}`);
@@ -108,17 +73,19 @@ const generateGptResponse = async (message, category, conversationHistory = [])
  * Handles unknown queries by using GPT to generate a more helpful response
  * @param {string} message - The user's message that couldn't be classified
  * @param {Array} conversationHistory - Previous messages for context
+ * @param {Function} [onToken] - Streams the response: called with each token as it arrives
  * @returns {Promise<string>} A helpful response for the unknown query
  */
-const handleUnknownQuery = async (message, conversationHistory = []) => {
+const handleUnknownQuery = async (message, conversationHistory = [], onToken = null) => {
   if (!isGptAvailable()) {
-    console.error('OpenAI client is not available. Check your API key configuration in .env file.');
-    // Provide a more helpful response when OpenAI is unavailable
-    return "I'm sorry, but I'm currently unable to process your request due to a configuration issue. The OpenAI API key appears to be invalid or missing. Please contact the system administrator to resolve this issue. In the meantime, I can still help with basic healthcare-related questions about appointments, prescriptions, billing, or medical symptoms.";
+    console.error('No language model is available. Check your LLM configuration in .env and config/enhancedFeatures.js.');
+    // Provide a more helpful response when the language model is unavailable
+    return "I'm sorry, but I'm currently unable to process your request due to a configuration issue. The AI language model is not configured. Please contact the system administrator to resolve this issue. In the meantime, I can still help with basic healthcare-related questions about appointments, prescriptions, billing, or medical symptoms.";
   }
 
   try {
-    console.log('Handling unknown query with GPT:', message);
+    // Patient messages can contain health details, so only their size is logged
+    console.log(`Handling unknown query with GPT (${message.length} characters)`);
     
     const systemMessage = {
       role: 'system',
@@ -135,30 +102,25 @@ const handleUnknownQuery = async (message, conversationHistory = []) => {
       content: item.content
     }));
 
-    // Log the request being sent to OpenAI
-    console.log('Sending request to OpenAI with message:', message);
+    // Log the request being sent to the language model
+    console.log(`Sending request to the language model with ${formattedHistory.length} earlier messages`);
     
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        systemMessage,
-        ...formattedHistory,
-        { role: 'user', content: message }
-      ],
-      max_tokens: 300,
-      temperature: 0.7,
-    });
+    const response = await llm.complete('unknownQuery', [
+      systemMessage,
+      ...formattedHistory,
+      { role: 'user', content: message }
+    ], onToken);
 
     // Log successful response
-    console.log('Received response from OpenAI');
+    console.log('Received response from the language model');
     
-    return completion.choices[0].message.content.trim();
+    return response;
   } catch (error) {
     console.error('Error handling unknown query with GPT:', error);
     // Provide more detailed error message for debugging
     if (error.response) {
-      console.error('OpenAI API Error Status:', error.response.status);
-      console.error('OpenAI API Error Data:', error.response.data);
+      console.error('LLM API Error Status:', error.response.status);
+      console.error('LLM API Error Data:', error.response.data);
     }
     return "I'm having trouble understanding your request due to a technical issue. Please try again later or contact support if the problem persists. (Error: " + error.message + ")";
   }
@@ -170,9 +132,10 @@ const handleUnknownQuery = async (message, conversationHistory = []) => {
  * @param {string} message - The original user message
  * @param {string} category - The detected category/intent
  * @param {Array} conversationHistory - Previous messages for context
+ * @param {Function} [onToken] - Streams the response: called with each token as it arrives
  * @returns {Promise<string>} The enhanced response
  */
-const enhanceResponseWithGpt = async (basicResponse, message, category, conversationHistory = []) => {
+const enhanceResponseWithGpt = async (basicResponse, message, category, conversationHistory = [], onToken = null) => {
   if (!isGptAvailable()) {
     return basicResponse;
   }
@@ -193,18 +156,11 @@ const enhanceResponseWithGpt = async (basicResponse, message, category, conversa
       content: item.content
     }));
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        systemMessage,
-        ...formattedHistory,
-        { role: 'user', content: message }
-      ],
-      max_tokens: 500,
-      temperature: 0.7,
-    });
-
-    return completion.choices[0].message.content.trim();
+    return await llm.complete('enhance', [
+      systemMessage,
+      ...formattedHistory,
+      { role: 'user', content: message }
+    ], onToken);
   } catch (error) {
     console.error('Error enhancing response with GPT:', error);
     return basicResponse; // Fall back to the basic response if enhancement fails
@@ -0,0 +1,254 @@
+/**
+ * Intent Service for TicketHub
+ *
+ * Classifies what a patient's message is about (appointment, billing,
+ * symptoms...) with a naive Bayes classifier trained on the examples stored
+ * in MongoDB (models/TrainingExample.js), which admins manage from the UI.
+ *
+ * The trained model is saved to disk (intentClassification.modelPath) along
+ * with a fingerprint of the examples it was trained on, so a restart loads
+ * it instead of retraining. Changing an example retrains the model in place;
+ * every process also checks the fingerprint periodically, which keeps a
+ * separate job worker in step with edits made through the API server.
+ * Until the stored examples are loaded, the bundled services/trainingData.js
+ * is used (it also seeds the collection the first time).
+ *
+ * The classifier's scores are turned into a probability distribution over
+ * all intents (the Bayes posterior, optionally softened or sharpened with a
+ * temperature). A message only gets a confident intent when the best intent
+ * is likely enough AND clearly ahead of the runner-up; otherwise callers ask
+ * a clarifying question or hand the message to GPT (see
+ * config/enhancedFeatures.js -> intentClassification).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const natural = require('natural');
+const trainingData = require('./trainingData');
+const featureConfig = require('../config/enhancedFeatures');
+const TrainingExample = require('../models/TrainingExample');
+
+const MODEL_PATH = path.resolve(__dirname, '..', featureConfig.intentClassification.modelPath);
+
+// The bundled examples, without duplicates (the collection allows each text once per intent)
+const seedExamples = [...new Map(trainingData.map(({ text, category }) =>
+  [`${category}\n${text.trim()}`, { text: text.trim(), intent: category }]
+)).values()];
+
+/**
+ * Trains a new classifier
+ * @param {Array} examples - [{ text, intent }]
+ * @returns {Object} The trained natural.BayesClassifier
+ */
+const trainClassifier = (examples) => {
+  const model = new natural.BayesClassifier();
+  examples.forEach(({ text, intent }) => model.addDocument(text, intent));
+  if (examples.length > 0) {
+    model.train();
+  }
+  return model;
+};
+
+let classifier = trainClassifier(seedExamples);
+let modelInfo = {
+  source: 'bundled',           // 'bundled', 'trained' or 'file'
+  fingerprint: null,
+  exampleCount: seedExamples.length,
+  trainedAt: new Date()
+};
+
+// Swap in a new model; requests in flight finish with the old one
+const useModel = (model, source) => {
+  classifier = model;
+  modelInfo = {
+    source,
+    fingerprint: model.trainingFingerprint,
+    exampleCount: model.exampleCount,
+    trainedAt: new Date(model.trainedAt)
+  };
+};
+
+// Identifies the current set of examples: changes on every add, edit or delete
+const getFingerprint = async () => {
+  const [count, latest] = await Promise.all([
+    TrainingExample.countDocuments(),
+    TrainingExample.findOne().sort({ updatedAt: -1 }).select('updatedAt')
+  ]);
+  return `${count}:${latest ? latest.updatedAt.getTime() : 0}`;
+};
+
+// Write to a temporary file first so other processes never read half a model
+const saveModel = async (model) => {
+  await fs.promises.mkdir(path.dirname(MODEL_PATH), { recursive: true });
+  const tempPath = `${MODEL_PATH}.${process.pid}.tmp`;
+  await new Promise((resolve, reject) => {
+    model.save(tempPath, err => (err ? reject(err) : resolve()));
+  });
+  await fs.promises.rename(tempPath, MODEL_PATH);
+};
+
+// The saved model, or null if there is none or it can't be read
+const loadModel = async () => {
+  try {
+    const data = await fs.promises.readFile(MODEL_PATH, 'utf8');
+    return natural.BayesClassifier.restore(JSON.parse(data));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error loading saved intent model:', err.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Brings the classifier in line with the stored examples: keeps it if
+ * nothing changed, loads the saved model if it matches, retrains otherwise
+ * @param {boolean} force - Retrain even if the examples haven't changed
+ * @returns {Promise<Object>} Model info (see getModelInfo)
+ */
+const syncModel = async (force) => {
+  const fingerprint = await getFingerprint();
+  if (!force && fingerprint === modelInfo.fingerprint) {
+    return modelInfo;
+  }
+
+  if (!force) {
+    const saved = await loadModel();
+    if (saved && saved.trainingFingerprint === fingerprint) {
+      useModel(saved, 'file');
+      return modelInfo;
+    }
+  }
+
+  const examples = await TrainingExample.find().select('text intent').lean();
+  const model = trainClassifier(examples);
+  model.trainingFingerprint = fingerprint;
+  model.exampleCount = examples.length;
+  model.trainedAt = new Date().toISOString();
+  useModel(model, 'trained');
+  console.log(`Intent model trained on ${examples.length} examples`);
+
+  // The model in memory is already live, a failed save only costs a retrain on restart
+  await saveModel(model).catch(err => console.error('Error saving intent model:', err.message));
+  return modelInfo;
+};
+
+// One sync at a time, in the order they were asked for
+let syncQueue = Promise.resolve();
+const queueSync = (force) => {
+  const run = syncQueue.then(() => syncModel(force));
+  syncQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Retrains the classifier from the stored examples, without a restart.
+ * Call it after changing training examples.
+ * @param {Object} options
+ * @param {boolean} options.force - Retrain even if the examples look unchanged
+ * @returns {Promise<Object>} Model info (see getModelInfo)
+ */
+const retrainIntentModel = ({ force = false } = {}) => queueSync(force);
+
+/**
+ * Loads the intent model once the database is connected: seeds the
+ * training examples on first run, then loads or trains the model and
+ * starts checking for changes made by other processes
+ * @returns {Promise<Object>} Model info (see getModelInfo)
+ */
+const initIntentModel = async () => {
+  if (await TrainingExample.estimatedDocumentCount() === 0) {
+    try {
+      await TrainingExample.insertMany(
+        seedExamples.map(example => ({ ...example, source: 'seed' })),
+        { ordered: false }
+      );
+      console.log(`Seeded ${seedExamples.length} intent training examples`);
+    } catch (err) {
+      // Another process seeded at the same time
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const info = await queueSync(false);
+
+  const { refreshIntervalMs } = featureConfig.intentClassification;
+  setInterval(() => {
+    queueSync(false).catch(err => console.error('Error refreshing intent model:', err.message));
+  }, refreshIntervalMs).unref();
+
+  return info;
+};
+
+/**
+ * Describes the model in use
+ * @returns {Object} { source, fingerprint, exampleCount, trainedAt }
+ */
+const getModelInfo = () => modelInfo;
+
+/**
+ * Turns the classifier's scores into probabilities that sum to 1
+ * @param {Array} classifications - natural's getClassifications() output: [{ label, value }]
+ * @param {number} temperature - 1 = Bayes posterior; higher flattens, lower sharpens
+ * @returns {Array} [{ intent, probability }], most likely first
+ */
+const toProbabilities = (classifications, temperature) => {
+  // Scores are tiny products of probabilities, so work with their logs
+  const logScores = classifications.map(({ value }) => (value > 0 ? Math.log(value) : -Infinity) / temperature);
+  const maxLogScore = Math.max(...logScores);
+
+  // Every score underflowed to 0: nothing to tell the intents apart
+  if (!isFinite(maxLogScore)) {
+    return classifications.map(({ label }) => ({ intent: label, probability: 1 / classifications.length }));
+  }
+
+  const weights = logScores.map(logScore => Math.exp(logScore - maxLogScore));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return classifications.map(({ label }, index) => ({ intent: label, probability: weights[index] / total }));
+};
+
+/**
+ * Classifies the intent of a message
+ * @param {string} message - The patient's message
+ * @param {Object} options
+ * @param {number} options.topK - How many of the most likely intents to return
+ * @returns {Object} {
+ *   intent,        // Most likely intent
+ *   confidence,    // Its probability (0-1)
+ *   isConfident,   // Whether the intent can be acted on without asking
+ *   knownWords,    // Whether any word of the message was seen in training
+ *   topIntents     // [{ intent, probability }] for the topK most likely intents
+ * }
+ */
+const classifyIntent = (message, { topK } = {}) => {
+  const settings = featureConfig.intentClassification;
+  const distribution = toProbabilities(classifier.getClassifications(message), settings.calibrationTemperature)
+    .sort((a, b) => b.probability - a.probability);
+
+  const [best, runnerUp] = distribution;
+
+  // No training examples at all
+  if (!best) {
+    return { intent: 'general', confidence: 0, isConfident: false, knownWords: false, topIntents: [] };
+  }
+
+  const knownWords = classifier.textToFeatures(message).some(feature => feature === 1);
+  const isConfident = knownWords &&
+    best.probability >= settings.confidenceThreshold &&
+    (!runnerUp || best.probability >= runnerUp.probability * settings.minLeadRatio);
+
+  return {
+    intent: best.intent,
+    confidence: best.probability,
+    isConfident,
+    knownWords,
+    topIntents: distribution.slice(0, topK || settings.topK)
+  };
+};
+
+module.exports = {
+  classifyIntent,
+  initIntentModel,
+  retrainIntentModel,
+  getModelInfo
+};
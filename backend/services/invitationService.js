@@ -0,0 +1,127 @@
+/**
+ * Invitation Service for TicketHub
+ *
+ * Creates staff invitations (see models/Invitation.js), emails the signup
+ * link and turns an accepted invitation into a user account.
+ *
+ * Invitation tokens look like "<invitationId>.<secret>" and are valid for
+ * INVITATION_TTL_DAYS (default 7).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sendMail, frontendUrl } = require('./mailService');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const ROLE_LABELS = {
+  healthcare_provider: 'healthcare provider',
+  admin: 'administrator'
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Invites someone to join with a staff role and emails them the signup link
+ * @param {string} email - Address to invite
+ * @param {string} role - 'healthcare_provider' or 'admin'
+ * @param {Object} invitedBy - Admin user sending the invitation
+ * @returns {Promise<Object>} The invitation document
+ */
+const createInvitation = async (email, role, invitedBy) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  // A new invitation replaces any earlier one for the same address
+  await Invitation.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    role,
+    tokenHash: hashSecret(secret),
+    invitedBy: invitedBy.id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const link = frontendUrl(`/accept-invite?token=${invitation.id}.${secret}`);
+  await sendMail({
+    to: normalizedEmail,
+    subject: 'You have been invited to TicketHub',
+    text: [
+      `${invitedBy.name} has invited you to join TicketHub as a ${ROLE_LABELS[role]}.`,
+      '',
+      `Create your account here: ${link}`,
+      '',
+      `This link can be used once and expires in ${INVITATION_TTL_DAYS} days.`
+    ].join('\n')
+  });
+
+  return invitation;
+};
+
+/**
+ * Finds the pending invitation for a token
+ * @param {string} token - Token from the signup link
+ * @returns {Promise<Object|null>} The invitation, or null if invalid, used, withdrawn or expired
+ */
+const findPendingInvitation = async (token) => {
+  if (typeof token !== 'string') return null;
+  const [invitationId, secret] = token.split('.');
+  if (!secret || !mongoose.isValidObjectId(invitationId)) return null;
+
+  const invitation = await Invitation.findById(invitationId);
+  if (!invitation || !invitation.isPending()) return null;
+
+  // Compare hashes in constant time
+  const expected = Buffer.from(invitation.tokenHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? invitation : null;
+};
+
+/**
+ * Creates the invited user's account and marks the invitation as used
+ * @param {string} token - Token from the signup link
+ * @param {Object} details - { name, password }
+ * @returns {Promise<Object|null>} The new user, or null if the invitation is not valid
+ */
+const acceptInvitation = async (token, { name, password }) => {
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) return null;
+
+  // Claim the invitation first so it can only be used once
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      // The invitation link was delivered to this address
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+    return user;
+  } catch (error) {
+    // Let the invitation be used again if the account couldn't be created
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+    throw error;
+  }
+};
+
+module.exports = {
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,169 @@
+/**
+ * Job Queue Service for TicketHub
+ *
+ * A small MongoDB-backed job queue (see models/Job.js). Work that must not be
+ * lost on a restart, such as AI replies to ticket messages, is enqueued here
+ * and run by a worker: inside the API server by default, or in its own
+ * process with `npm run worker` (set JOB_WORKER=external for the server).
+ *
+ * - Claiming is a single atomic update, so several workers can share a queue
+ * - Failed jobs are retried with exponential backoff, then dead-lettered
+ * - Jobs left running by a worker that died are picked up again once their lock expires
+ * - Enqueuing is idempotent: a second job with the same key is not created
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 5 * 1000;         // 5s, 10s, 20s, 40s, ...
+const BACKOFF_MAX_MS = 10 * 60 * 1000;    // ... up to 10 minutes
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;    // A job running longer than this is assumed lost
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Adds a job to the queue unless one with the same idempotency key exists
+ * @param {string} type - Job type (must have a handler in the worker)
+ * @param {Object} payload - Job data (IDs only, no PHI)
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Unique key for this piece of work
+ * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+ * @returns {Promise<boolean>} True if a new job was queued
+ */
+const enqueue = async (type, payload, { idempotencyKey, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  try {
+    const result = await Job.updateOne(
+      { idempotencyKey },
+      { $setOnInsert: { type, payload, idempotencyKey, maxAttempts, status: 'queued', runAt: new Date() } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (err) {
+    // Two concurrent upserts with the same key: the other one won
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const backoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+// Atomically take the next due job (or one whose worker died) for this worker
+const claimNext = (workerId) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: workerId }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const markCompleted = (job) => Job.updateOne(
+  { _id: job._id, lockedBy: job.lockedBy },
+  { $set: { status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null } }
+);
+
+// Schedule a retry, or dead-letter the job once it is out of attempts
+const markFailed = (job, message) => {
+  const dead = job.attempts >= job.maxAttempts;
+  return Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: dead ? 'dead' : 'queued',
+        runAt: new Date(Date.now() + (dead ? 0 : backoffDelay(job.attempts))),
+        deadAt: dead ? new Date() : null,
+        lastError: message,
+        lockedAt: null,
+        lockedBy: null
+      },
+      $push: { failures: { attempt: job.attempts, message, workerId: job.lockedBy } }
+    }
+  );
+};
+
+const runJob = async (job, handlers) => {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    return markFailed(job, `No handler for job type '${job.type}'`);
+  }
+  // Reclaimed after its worker died on the last attempt
+  if (job.attempts > job.maxAttempts) {
+    return markFailed(job, 'Worker stopped while running the job');
+  }
+
+  try {
+    await handler(job.payload, job);
+    await markCompleted(job);
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, err.message);
+    await markFailed(job, err.message);
+  }
+};
+
+/**
+ * Starts a worker that runs queued jobs one at a time
+ * @param {Object} handlers - Async function per job type: (payload, job) => Promise
+ * @param {Object} options
+ * @param {string} options.workerId - Name recorded on claimed jobs (defaults to host:pid)
+ * @param {number} options.pollIntervalMs - How often to look for work when the queue is empty
+ * @returns {Function} Stops the worker; resolves once the current job has finished
+ */
+const startWorker = (handlers, { workerId = `${os.hostname()}:${process.pid}`, pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+  let stopped = false;
+  let wake = null;
+
+  const loop = (async () => {
+    while (!stopped) {
+      let job = null;
+      try {
+        job = await claimNext(workerId);
+        if (job) {
+          await runJob(job, handlers);
+        }
+      } catch (err) {
+        console.error('Job worker error:', err.message);
+      }
+      if (!job && !stopped) {
+        await new Promise(resolve => {
+          wake = resolve;
+          setTimeout(resolve, pollIntervalMs);
+        });
+      }
+    }
+  })();
+
+  console.log(`Job worker ${workerId} started`);
+  return () => {
+    stopped = true;
+    if (wake) wake();
+    return loop;
+  };
+};
+
+/**
+ * Puts a dead-lettered job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The requeued job, or null if it isn't dead
+ */
+const requeue = (jobId) => Job.findOneAndUpdate(
+  { _id: jobId, status: 'dead' },
+  { $set: { status: 'queued', runAt: new Date(), attempts: 0, deadAt: null } },
+  { new: true }
+);
+
+module.exports = {
+  enqueue,
+  startWorker,
+  requeue
+};
@@ -0,0 +1,103 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Calls the Anthropic Messages API directly with fetch. System messages are
+ * sent as the top-level `system` prompt, as the API expects. Only
+ * temperature is sent for sampling (the API rejects it combined with top_p
+ * on some models); the OpenAI-only penalties are ignored.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest'; // When the use case doesn't name one
+const API_VERSION = '2023-06-01';
+
+// Yield the data of each Server-Sent Event in a streamed response
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const data = frame.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+/**
+ * Creates the provider
+ * @param {Object} options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.baseUrl - API root, e.g. a proxy (default: https://api.anthropic.com)
+ * @returns {Object} Provider with complete(request, onToken) and its defaultModel
+ */
+const createProvider = ({ apiKey, baseUrl }) => {
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is not defined in environment variables');
+  }
+
+  const complete = async (request, onToken) => {
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const res = await fetch(`${baseUrl || DEFAULT_BASE_URL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        system: system || undefined,
+        messages: request.messages.filter(message => message.role !== 'system'),
+        stream: !!onToken
+      })
+    });
+
+    if (!res.ok) {
+      const details = await res.json().catch(() => ({}));
+      throw new Error(`Anthropic API error ${res.status}: ${details.error?.message || res.statusText}`);
+    }
+
+    if (!onToken) {
+      const data = await res.json();
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+    }
+
+    let text = '';
+    for await (const event of readEvents(res.body)) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text);
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message}`);
+      }
+    }
+    return text.trim();
+  };
+
+  return {
+    name: 'anthropic',
+    defaultModel: DEFAULT_MODEL,
+    complete
+  };
+};
+
+module.exports = { createProvider };
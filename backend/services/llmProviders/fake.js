@@ -0,0 +1,32 @@
+/**
+ * Fake LLM Provider
+ *
+ * Answers without any network access, always the same way for the same
+ * input, so the GPT code paths (including streaming) can be exercised in
+ * development and tests. Select it with LLM_PROVIDER=fake.
+ */
+
+/**
+ * Creates the provider
+ * @returns {Object} Provider with complete(request, onToken) and its defaultModel
+ */
+const createProvider = () => {
+  const complete = async (request, onToken) => {
+    const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+    const text = `[${request.model}] This is a test response to: ${lastUserMessage?.content || ''}`.trim();
+
+    // Stream word by word, like a real model
+    if (onToken) {
+      text.split(/(?<=\s)/).forEach(token => onToken(token));
+    }
+    return text;
+  };
+
+  return {
+    name: 'fake',
+    defaultModel: 'fake',
+    complete
+  };
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,66 @@
+/**
+ * OpenAI-compatible LLM Provider
+ *
+ * Talks to the OpenAI chat completions API, or to any server that speaks it
+ * (Ollama, llama.cpp, vLLM, LM Studio...) when a base URL is given.
+ */
+
+const { OpenAI } = require('openai');
+
+// When the use case doesn't name one; other servers serve their own models, so they have no default
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+/**
+ * Creates the provider
+ * @param {Object} options
+ * @param {string} options.apiKey - API key (optional for local servers)
+ * @param {string} options.baseUrl - Server URL, e.g. http://localhost:11434/v1 (default: OpenAI)
+ * @returns {Object} Provider with complete(request, onToken) and its defaultModel
+ */
+const createProvider = ({ apiKey, baseUrl }) => {
+  if (!baseUrl && !apiKey) {
+    throw new Error('OPENAI_API_KEY is not defined in environment variables');
+  }
+
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: apiKey || 'not-needed',
+    ...(baseUrl ? { baseURL: baseUrl } : {})
+  });
+
+  const complete = async (request, onToken) => {
+    const params = {
+      model: request.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty
+    };
+
+    if (!onToken) {
+      const completion = await client.chat.completions.create(params);
+      return completion.choices[0].message.content.trim();
+    }
+
+    const stream = await client.chat.completions.create({ ...params, stream: true });
+    let text = '';
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+    return text.trim();
+  };
+
+  return {
+    name: baseUrl ? `openai-compatible (${baseUrl})` : 'openai',
+    defaultModel: baseUrl ? null : DEFAULT_MODEL,
+    complete
+  };
+};
+
+module.exports = { createProvider };
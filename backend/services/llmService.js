@@ -0,0 +1,88 @@
+/**
+ * LLM Service for TicketHub
+ *
+ * One entry point to the configured language model, whichever provider it
+ * comes from. Providers live in services/llmProviders/ and share a single
+ * method, complete(request, onToken), where request holds the chat messages
+ * ({ role, content }) and the settings of the use case.
+ *
+ * The provider and per-use-case settings (model, temperature, max tokens)
+ * are configured in config/enhancedFeatures.js under `llm`; API keys come
+ * from the environment (OPENAI_API_KEY, ANTHROPIC_API_KEY). A use case
+ * without a model uses the provider's default.
+ */
+
+const featureConfig = require('../config/enhancedFeatures');
+
+// Placeholder keys from the example .env are refused
+const PLACEHOLDER_KEY = /your-.*-key-goes-here/;
+
+// The selected provider's API key from the environment
+const apiKey = (name) => {
+  const key = process.env[name];
+  if (key && PLACEHOLDER_KEY.test(key)) {
+    throw new Error(`${name} is still set to the placeholder value. Please replace it with your actual key`);
+  }
+  return key;
+};
+
+const PROVIDERS = {
+  openai: () => require('./llmProviders/openaiCompatible').createProvider({
+    apiKey: apiKey('OPENAI_API_KEY'),
+    baseUrl: featureConfig.llm.baseUrl
+  }),
+  anthropic: () => require('./llmProviders/anthropic').createProvider({
+    apiKey: apiKey('ANTHROPIC_API_KEY'),
+    baseUrl: featureConfig.llm.baseUrl
+  }),
+  fake: () => require('./llmProviders/fake').createProvider()
+};
+
+// Initialize the configured provider
+let provider = null;
+try {
+  const { provider: providerName } = featureConfig.llm;
+  if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown LLM provider "${providerName}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const created = PROVIDERS[providerName]();
+  const unnamed = Object.keys(featureConfig.llm.useCases).filter(useCase => !featureConfig.llm.useCases[useCase].model);
+  if (unnamed.length && !created.defaultModel) {
+    throw new Error(`${created.name} has no default model; set LLM_MODEL or the model for: ${unnamed.join(', ')}`);
+  }
+  provider = created;
+  console.log(`LLM provider initialized: ${provider.name}`);
+} catch (error) {
+  console.error('Error initializing LLM provider:', error.message);
+  console.warn('GPT features will be disabled. Please check your LLM configuration.');
+}
+
+/**
+ * Checks if a language model is configured and ready
+ * @returns {boolean}
+ */
+const isLlmAvailable = () => !!provider;
+
+/**
+ * Runs a chat completion with the settings of a use case
+ * @param {string} useCase - Key of featureConfig.llm.useCases ('generate', 'enhance', 'unknownQuery')
+ * @param {Array} messages - Chat messages: { role: 'system' | 'user' | 'assistant', content }
+ * @param {Function} [onToken] - Streams the completion: called with each piece of text as it arrives
+ * @returns {Promise<string>} The full completion text
+ */
+const complete = async (useCase, messages, onToken = null) => {
+  if (!provider) {
+    throw new Error('No language model is available. Check your LLM configuration.');
+  }
+  const settings = featureConfig.llm.useCases[useCase];
+  if (!settings) {
+    throw new Error(`Unknown LLM use case "${useCase}"`);
+  }
+
+  return provider.complete({ ...settings, model: settings.model || provider.defaultModel, messages }, onToken);
+};
+
+module.exports = {
+  isLlmAvailable,
+  complete
+};
@@ -0,0 +1,71 @@
+/**
+ * Mail Service for TicketHub
+ *
+ * Sends transactional emails (invitations, password resets, email
+ * verification) through a pluggable transport chosen with MAIL_TRANSPORT:
+ *   console - Print emails to the server log (default, for development)
+ *   file    - Write each email to a .txt file in MAIL_OUTBOX_DIR (default backend/mail-outbox)
+ *
+ * A real transport (SMTP, an email API, ...) only needs to implement
+ * send({ to, subject, text }) and be registered with registerTransport().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const transports = {
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`\n📧 Email to ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+  },
+
+  // Handy for local testing: open the newest file to click the link
+  file: {
+    send: async ({ to, subject, text }) => {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const safeRecipient = to.replace(/[^a-z0-9@._-]/gi, '_');
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.txt`;
+      const contents = `To: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+      await fs.writeFile(path.join(outboxDir, filename), contents);
+    }
+  }
+};
+
+/**
+ * Adds or replaces a transport
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send({ to, subject, text }) method
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Sends an email with the configured transport
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  await transport.send(message);
+};
+
+/**
+ * Builds a link into the frontend
+ * @param {string} path - Path including query string, e.g. '/accept-invite?token=...'
+ * @returns {string} Absolute URL
+ */
+const frontendUrl = (path) => `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  frontendUrl
+};
@@ -0,0 +1,272 @@
+/**
+ * Medication Safety Service for TicketHub
+ *
+ * Checks the medications a patient mentions in a message against their
+ * health record (see ehrService.retrieveEHRData):
+ *   interactions      - with medications they currently take
+ *   allergies         - recorded allergies to the medication or its family
+ *   contraindications - active conditions the medication is unsafe with
+ * Two medications mentioned in the same message are checked against each
+ * other as well.
+ *
+ * The clinical content is an offline dataset (medicationSafety.datasetPath,
+ * config/medicationSafety.json by default) that a pharmacist can review and
+ * edit without code changes. It is reread when it changes; an invalid edit
+ * is logged and the previous data stays in use.
+ *
+ * A mentioned medication is checked even if the message says the patient
+ * stopped or won't take it: a needless warning is cheaper than a missed one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const featureConfig = require('../config/enhancedFeatures');
+
+// Least to most severe
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// MedicationStatement statuses that mean the patient isn't taking it
+const INACTIVE_MEDICATION = ['stopped', 'completed', 'not-taken', 'entered-in-error'];
+const INACTIVE_ALLERGY = ['inactive', 'resolved'];
+const ACTIVE_CONDITION = ['active', 'recurrence', 'relapse'];
+
+// Allergies recorded against the medication itself, whatever the dataset says
+const RECORDED_ALLERGY = {
+  id: 'ALG-RECORDED',
+  severity: 'contraindicated',
+  description: 'Your record lists an allergy to this medication.',
+  advice: "Don't take it. Ask your provider for an alternative."
+};
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+/**
+ * Whether a warning is severe enough for a given threshold
+ * @param {Object} warning - Warning from checkMedicationSafety
+ * @param {string} minSeverity - 'minor', 'moderate', 'major' or 'contraindicated'
+ * @returns {boolean}
+ */
+const isAtLeast = (warning, minSeverity) => rank(warning.severity) >= rank(minSeverity);
+
+// Lowercase, without apostrophes and with single spaces
+const normalize = (text) => (text || '').toLowerCase().replace(/['’`]/g, '').replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match of any of the names
+const namesPattern = (names) => new RegExp(
+  `(?<![a-z0-9])(?:${names.map(name => escapeRegExp(normalize(name)).replace(/ /g, '\\s+')).join('|')})(?![a-z0-9])`,
+  'g'
+);
+
+const matchesNames = (pattern, text) => {
+  pattern.lastIndex = 0;
+  return pattern.test(normalize(text));
+};
+
+/**
+ * Checks a dataset and prepares it for matching
+ * @param {Object} data - Parsed dataset (see config/medicationSafety.json)
+ * @returns {Object} The compiled dataset
+ * @throws {Error} Describing the first problem found
+ */
+const compileDataset = (data) => {
+  if (!data.version) throw new Error('The dataset needs a version');
+  if (!data.drugs || typeof data.drugs !== 'object') throw new Error('The dataset needs drugs');
+
+  const classes = new Set();
+  const drugs = Object.entries(data.drugs).map(([id, drug]) => {
+    if (!drug.names?.length) throw new Error(`Drug "${id}" needs names`);
+    (drug.classes || []).forEach(drugClass => classes.add(drugClass));
+    return { id, classes: drug.classes || [], rxnorm: drug.rxnorm || [], pattern: namesPattern(drug.names) };
+  });
+
+  drugs.forEach(({ id }) => {
+    if (classes.has(id)) throw new Error(`"${id}" is both a drug and a class`);
+  });
+
+  const checkTerms = (terms, where) => {
+    if (!terms?.length) throw new Error(`${where}: needs drugs or classes`);
+    terms.forEach(term => {
+      if (!data.drugs[term] && !classes.has(term)) throw new Error(`${where}: unknown drug or class "${term}"`);
+    });
+  };
+
+  const ids = new Set();
+  const checkEntry = (entry) => {
+    if (!entry.id || ids.has(entry.id)) throw new Error(`Missing or duplicate ID "${entry.id}"`);
+    ids.add(entry.id);
+    if (!SEVERITIES.includes(entry.severity)) {
+      throw new Error(`${entry.id}: unknown severity "${entry.severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    if (!entry.description) throw new Error(`${entry.id}: needs a description`);
+  };
+
+  // { names, codes } that identify an allergen or condition in the record
+  const compileMatch = (match, where) => {
+    if (!match?.names?.length) throw new Error(`${where}: needs names`);
+    return { pattern: namesPattern(match.names), codes: match.codes || [] };
+  };
+
+  (data.interactions || []).forEach(interaction => {
+    checkEntry(interaction);
+    if (interaction.between?.length !== 2) throw new Error(`${interaction.id}: "between" needs two lists`);
+    interaction.between.forEach(terms => checkTerms(terms, interaction.id));
+  });
+
+  return {
+    version: data.version,
+    drugs,
+    interactions: data.interactions || [],
+    allergies: (data.allergies || []).map(entry => {
+      checkEntry(entry);
+      checkTerms(entry.drugs, entry.id);
+      return { ...entry, allergen: compileMatch(entry.allergen, entry.id) };
+    }),
+    contraindications: (data.contraindications || []).map(entry => {
+      checkEntry(entry);
+      checkTerms(entry.drugs, entry.id);
+      return { ...entry, condition: compileMatch(entry.condition, entry.id) };
+    })
+  };
+};
+
+const datasetPath = () => path.resolve(__dirname, '..', featureConfig.medicationSafety.datasetPath);
+
+let loaded = { path: null, mtimeMs: null, dataset: null };
+
+// The current dataset, reread when the file changes
+const getDataset = () => {
+  const file = datasetPath();
+  const { mtimeMs } = fs.statSync(file);
+  if (loaded.dataset && loaded.path === file && loaded.mtimeMs === mtimeMs) {
+    return loaded.dataset;
+  }
+
+  try {
+    const dataset = compileDataset(JSON.parse(fs.readFileSync(file, 'utf8')));
+    loaded = { path: file, mtimeMs, dataset };
+    console.log(`Medication safety data ${dataset.version} loaded from ${file}`);
+  } catch (err) {
+    if (!loaded.dataset) {
+      throw new Error(`Invalid medication safety data in ${file}: ${err.message}`);
+    }
+    // Keep checking with the last good data until the file is fixed
+    console.error(`Invalid medication safety data in ${file}, still using ${loaded.dataset.version}: ${err.message}`);
+    loaded = { ...loaded, mtimeMs };
+  }
+  return loaded.dataset;
+};
+
+// Whether a drug is one of the listed drug IDs or classes
+const isAny = (drug, terms) => terms.includes(drug.id) || drug.classes.some(drugClass => terms.includes(drugClass));
+
+const hasCode = (codes, wanted) => (codes || []).some(({ code }) => wanted.includes(code));
+
+// Drugs in the dataset a health record entry refers to (by RxNorm code, else by name)
+const drugsForEntry = (entry, dataset) => {
+  const byCode = dataset.drugs.filter(drug => hasCode(entry.codes, drug.rxnorm));
+  return byCode.length ? byCode : dataset.drugs.filter(drug => matchesNames(drug.pattern, entry.name));
+};
+
+const matchesRecord = (match, entry, text) => hasCode(entry.codes, match.codes) || matchesNames(match.pattern, text);
+
+// Medications named in the message, with the words used for them
+const findMentioned = (message, dataset) => {
+  const text = normalize(message);
+  return dataset.drugs.flatMap(drug => {
+    const match = text.match(drug.pattern);
+    return match ? [{ drug, mentionedAs: match[0] }] : [];
+  });
+};
+
+// The interaction between two drugs, if any
+const findInteraction = (first, second, dataset) => dataset.interactions.find(({ between: [a, b] }) =>
+  (isAny(first, a) && isAny(second, b)) || (isAny(first, b) && isAny(second, a)));
+
+/**
+ * Checks the medications mentioned in a message against a patient's record
+ * @param {string} message - The patient's message
+ * @param {Object} ehrData - Record from ehrService.retrieveEHRData (medications, allergies, conditions)
+ * @returns {Object} { medications, warnings, requiresProviderReview, datasetVersion }
+ *   medications: [{ medication, mentionedAs }] found in the message
+ *   warnings: [{ id, type, severity, medication, mentionedAs, conflictsWith, description, advice }],
+ *     most severe first; type is 'interaction', 'allergy' or 'contraindication'
+ *   requiresProviderReview: a warning is at least medicationSafety.minFlagSeverity
+ */
+const checkMedicationSafety = (message, ehrData = {}) => {
+  const dataset = getDataset();
+  const mentioned = findMentioned(message || '', dataset);
+  const warnings = [];
+
+  const warn = (type, rule, { drug, mentionedAs }, conflictsWith) => {
+    // One warning per medication and record entry, the most severe
+    const existing = warnings.find(w => w.medication === drug.id && w.conflictsWith === conflictsWith);
+    if (existing && rank(existing.severity) >= rank(rule.severity)) return;
+    if (existing) warnings.splice(warnings.indexOf(existing), 1);
+    warnings.push({
+      id: rule.id,
+      type,
+      severity: rule.severity,
+      medication: drug.id,
+      mentionedAs,
+      conflictsWith,
+      description: rule.description,
+      advice: rule.advice || null
+    });
+  };
+
+  const currentMedications = (ehrData.medications || [])
+    .filter(entry => !INACTIVE_MEDICATION.includes(entry.status))
+    .map(entry => ({ entry, drugs: drugsForEntry(entry, dataset) }));
+  const allergies = (ehrData.allergies || []).filter(entry => !INACTIVE_ALLERGY.includes(entry.clinicalStatus));
+  const conditions = (ehrData.conditions || []).filter(entry =>
+    (!entry.clinicalStatus || ACTIVE_CONDITION.includes(entry.clinicalStatus)) &&
+    entry.verificationStatus !== 'refuted');
+
+  mentioned.forEach((mention, index) => {
+    const { drug } = mention;
+
+    currentMedications.forEach(({ entry, drugs }) => {
+      drugs.filter(current => current.id !== drug.id).forEach(current => {
+        const interaction = findInteraction(drug, current, dataset);
+        if (interaction) warn('interaction', interaction, mention, entry.name);
+      });
+    });
+
+    mentioned.slice(index + 1).forEach(other => {
+      const interaction = other.drug.id !== drug.id && findInteraction(drug, other.drug, dataset);
+      if (interaction) warn('interaction', interaction, mention, other.mentionedAs);
+    });
+
+    allergies.forEach(allergy => {
+      if (hasCode(allergy.codes, drug.rxnorm) || matchesNames(drug.pattern, allergy.substance)) {
+        warn('allergy', RECORDED_ALLERGY, mention, allergy.substance);
+      }
+      dataset.allergies
+        .filter(rule => isAny(drug, rule.drugs) && matchesRecord(rule.allergen, allergy, allergy.substance))
+        .forEach(rule => warn('allergy', rule, mention, allergy.substance));
+    });
+
+    conditions.forEach(condition => {
+      dataset.contraindications
+        .filter(rule => isAny(drug, rule.drugs) && matchesRecord(rule.condition, condition, condition.name))
+        .forEach(rule => warn('contraindication', rule, mention, condition.name));
+    });
+  });
+
+  warnings.sort((a, b) => rank(b.severity) - rank(a.severity));
+
+  return {
+    medications: mentioned.map(({ drug, mentionedAs }) => ({ medication: drug.id, mentionedAs })),
+    warnings,
+    requiresProviderReview: warnings.some(w => isAtLeast(w, featureConfig.medicationSafety.minFlagSeverity)),
+    datasetVersion: dataset.version
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  checkMedicationSafety,
+  isAtLeast
+};
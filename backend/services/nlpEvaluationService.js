@@ -0,0 +1,189 @@
+/**
+ * NLP Evaluation Service for TicketHub
+ *
+ * Measures the message analysis against a labeled corpus, so changes to the
+ * training data or the entity patterns can be judged by their numbers
+ * (see scripts/evaluateNlp.js).
+ *
+ * Each corpus case is { text, intent, entities, urgency }:
+ *   intent   - expected intent (scored against identifyIntent)
+ *   entities - expected words per entity type, as analyzeMessage reports them
+ *              (lowercase words of the message); omitted types expect none
+ *   urgency  - expected triage level: routine, prompt, urgent or emergency
+ *              (scored against performSymptomTriage)
+ * Cases without an intent or urgency are left out of that part of the report.
+ *
+ * The report contains no timestamps and keeps its keys in a stable order,
+ * so two runs on the same code produce identical JSON.
+ */
+
+const { analyzeMessage } = require('./aiService');
+const enhancedAIService = require('./enhancedAIService');
+
+const ENTITY_TYPES = ['dates', 'medications', 'symptoms', 'medicalConditions', 'bodyParts'];
+
+// Least to most urgent
+const URGENCY_LEVELS = ['routine', 'prompt', 'urgent', 'emergency'];
+
+// Four decimals are plenty and keep the diffs readable
+const round = (value) => Math.round(value * 10000) / 10000;
+const ratio = (count, total) => (total > 0 ? round(count / total) : null);
+
+const scores = ({ truePositives, falsePositives, falseNegatives }) => ({
+  precision: ratio(truePositives, truePositives + falsePositives),
+  recall: ratio(truePositives, truePositives + falseNegatives),
+  f1: ratio(2 * truePositives, 2 * truePositives + falsePositives + falseNegatives)
+});
+
+// { expected: { predicted: count } }, keys sorted, zero cells left out
+const confusionMatrix = (pairs) => {
+  const matrix = {};
+  pairs.forEach(({ expected, predicted }) => {
+    matrix[expected] = matrix[expected] || {};
+    matrix[expected][predicted] = (matrix[expected][predicted] || 0) + 1;
+  });
+  return Object.fromEntries(Object.keys(matrix).sort().map(expected => [
+    expected,
+    Object.fromEntries(Object.keys(matrix[expected]).sort().map(predicted => [predicted, matrix[expected][predicted]]))
+  ]));
+};
+
+const evaluateIntents = (cases) => {
+  const results = cases
+    .filter(testCase => testCase.intent)
+    .map(testCase => {
+      const classification = enhancedAIService.identifyIntent(testCase.text);
+      return {
+        text: testCase.text,
+        expected: testCase.intent,
+        predicted: classification.intent,
+        confidence: round(classification.confidence),
+        isConfident: classification.isConfident
+      };
+    });
+
+  const labels = [...new Set(results.flatMap(({ expected, predicted }) => [expected, predicted]))].sort();
+  const perIntent = Object.fromEntries(labels.map(label => {
+    const counts = {
+      truePositives: results.filter(r => r.expected === label && r.predicted === label).length,
+      falsePositives: results.filter(r => r.expected !== label && r.predicted === label).length,
+      falseNegatives: results.filter(r => r.expected === label && r.predicted !== label).length
+    };
+    return [label, { ...scores(counts), support: results.filter(r => r.expected === label).length }];
+  }));
+
+  const correct = results.filter(r => r.expected === r.predicted);
+  const confident = results.filter(r => r.isConfident);
+  const f1s = Object.values(perIntent).map(({ f1 }) => f1 || 0);
+
+  return {
+    cases: results.length,
+    accuracy: ratio(correct.length, results.length),
+    macroF1: ratio(f1s.reduce((sum, f1) => sum + f1, 0), f1s.length),
+    // Share of messages that would get a clarifying question, and how often the rest are right
+    clarificationRate: ratio(results.length - confident.length, results.length),
+    accuracyWhenConfident: ratio(confident.filter(r => r.expected === r.predicted).length, confident.length),
+    perIntent,
+    confusionMatrix: confusionMatrix(results),
+    errors: results
+      .filter(r => r.expected !== r.predicted)
+      .map(({ text, expected, predicted, confidence }) => ({ text, expected, predicted, confidence }))
+  };
+};
+
+const evaluateEntities = (cases) => {
+  const totals = Object.fromEntries(ENTITY_TYPES.map(type => [type, { truePositives: 0, falsePositives: 0, falseNegatives: 0 }]));
+  const errors = [];
+  let exactMatches = 0;
+
+  cases.forEach(testCase => {
+    const { entities } = analyzeMessage(testCase.text);
+    let exact = true;
+
+    ENTITY_TYPES.forEach(type => {
+      const expected = new Set((testCase.entities?.[type] || []).map(word => word.toLowerCase()));
+      const found = new Set(entities[type] || []);
+      const missing = [...expected].filter(word => !found.has(word));
+      const unexpected = [...found].filter(word => !expected.has(word));
+
+      totals[type].truePositives += expected.size - missing.length;
+      totals[type].falsePositives += unexpected.length;
+      totals[type].falseNegatives += missing.length;
+
+      if (missing.length || unexpected.length) {
+        exact = false;
+        errors.push({ text: testCase.text, type, missing, unexpected });
+      }
+    });
+
+    if (exact) exactMatches += 1;
+  });
+
+  return {
+    cases: cases.length,
+    exactMatchRate: ratio(exactMatches, cases.length),
+    perType: Object.fromEntries(ENTITY_TYPES.map(type => [type, {
+      ...scores(totals[type]),
+      support: totals[type].truePositives + totals[type].falseNegatives
+    }])),
+    errors
+  };
+};
+
+const evaluateTriage = (cases) => {
+  if (typeof enhancedAIService.performSymptomTriage !== 'function') {
+    return { skipped: 'performSymptomTriage is not implemented' };
+  }
+
+  let rulesVersion = null;
+  const results = cases
+    .filter(testCase => testCase.urgency)
+    .map(testCase => {
+      const triage = enhancedAIService.performSymptomTriage(testCase.text);
+      rulesVersion = triage.rulesVersion;
+      return { text: testCase.text, expected: testCase.urgency, predicted: triage.urgencyLevel };
+    });
+
+  // Under-triage: a less urgent level than expected, the dangerous direction
+  const rank = (level) => URGENCY_LEVELS.indexOf(level);
+  const underTriaged = results.filter(r => rank(r.predicted) < rank(r.expected));
+  const overTriaged = results.filter(r => rank(r.predicted) > rank(r.expected));
+
+  return {
+    rulesVersion,
+    cases: results.length,
+    accuracy: ratio(results.filter(r => r.expected === r.predicted).length, results.length),
+    underTriageRate: ratio(underTriaged.length, results.length),
+    overTriageRate: ratio(overTriaged.length, results.length),
+    confusionMatrix: confusionMatrix(results),
+    underTriaged,
+    overTriaged
+  };
+};
+
+/**
+ * Runs a labeled corpus through the intent classifier, entity extraction and triage
+ * @param {Array} cases - Corpus cases: { text, intent, entities, urgency }
+ * @returns {Object} { cases, intents, entities, triage } metrics and the cases that went wrong
+ */
+const evaluate = (cases) => {
+  const invalid = cases.findIndex(testCase => typeof testCase.text !== 'string' || !testCase.text.trim());
+  if (invalid !== -1) {
+    throw new Error(`Corpus case ${invalid} has no text`);
+  }
+  const unknownUrgency = cases.find(testCase => testCase.urgency && !URGENCY_LEVELS.includes(testCase.urgency));
+  if (unknownUrgency) {
+    throw new Error(`Unknown urgency "${unknownUrgency.urgency}" (expected ${URGENCY_LEVELS.join(', ')})`);
+  }
+
+  return {
+    cases: cases.length,
+    intents: evaluateIntents(cases),
+    entities: evaluateEntities(cases),
+    triage: evaluateTriage(cases)
+  };
+};
+
+module.exports = {
+  evaluate
+};
@@ -0,0 +1,438 @@
+/**
+ * PHI Detection and Redaction Service for TicketHub Healthcare Chatbot
+ *
+ * This service finds Protected Health Information (PHI) in free text and
+ * removes it before the text is displayed, logged or sent to outside services.
+ *
+ * It covers the text-detectable identifiers from the HIPAA Safe Harbor list:
+ * names, geographic data (street addresses, ZIP codes), dates and ages over 89,
+ * phone and fax numbers, emails, SSNs, medical record numbers, health plan
+ * member IDs, account numbers, certificate/license numbers, vehicle and device
+ * identifiers, URLs, IP addresses, biometric identifiers and other unique numbers.
+ * (Full-face photographs cannot appear in plain text and are not checked here.)
+ *
+ * Every detection is returned as a typed span with character offsets and a
+ * confidence score, so callers can decide how aggressive they want to be.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * PHI types and the placeholder used for each one when redacting
+ */
+const PHI_TYPES = {
+  NAME: 'NAME',
+  ADDRESS: 'ADDRESS',
+  ZIP_CODE: 'ZIP_CODE',
+  DATE: 'DATE',
+  DATE_OF_BIRTH: 'DOB',
+  AGE: 'AGE',
+  PHONE: 'PHONE',
+  FAX: 'FAX',
+  EMAIL: 'EMAIL',
+  SSN: 'SSN',
+  MRN: 'MRN',
+  HEALTH_PLAN_ID: 'HEALTH_PLAN_ID',
+  ACCOUNT_NUMBER: 'ACCOUNT_NUMBER',
+  LICENSE_NUMBER: 'LICENSE_NUMBER',
+  VEHICLE_ID: 'VEHICLE_ID',
+  DEVICE_ID: 'DEVICE_ID',
+  URL: 'URL',
+  IP_ADDRESS: 'IP_ADDRESS',
+  BIOMETRIC_ID: 'BIOMETRIC_ID',
+  OTHER_ID: 'ID'
+};
+
+// Supported redaction styles
+const REDACTION_STYLES = ['mask', 'placeholder', 'token'];
+
+// Secret used to derive reversible tokens (falls back to the JWT secret)
+const getTokenSecret = () => process.env.PHI_TOKEN_SECRET || process.env.JWT_SECRET || 'tickethub-phi';
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const STREET_SUFFIXES = 'street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|ter|circle|cir|parkway|pkwy|highway|hwy';
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC';
+
+// An identifier value that follows a label such as "MRN:" or "member ID #"
+const ID_VALUE = '([A-Z0-9][A-Z0-9-]{3,}[0-9][A-Z0-9-]*)';
+
+/**
+ * Checks whether any of the given keywords appear just before a position
+ * @param {string} text - The full text
+ * @param {number} index - Start of the candidate span
+ * @param {RegExp} keywords - Keywords to look for
+ * @param {number} window - How many characters to look back
+ * @returns {boolean} True if a keyword was found
+ */
+const hasContext = (text, index, keywords, window = 30) => {
+  const before = text.slice(Math.max(0, index - window), index);
+  return keywords.test(before);
+};
+
+/**
+ * Luhn checksum used to tell payment card numbers from random digit strings
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Detector definitions
+ *
+ * Each detector has a regular expression and a function that turns a match
+ * into a span (or null to reject it). Detectors with a valueGroup match a label
+ * such as "MRN:" and only treat the captured value after it as PHI.
+ */
+const detectors = [
+  // Social Security numbers (with or without separators)
+  {
+    pattern: /\b(?!000|666|9\d\d)\d{3}([- ]?)(?!00)\d{2}\1(?!0000)\d{4}\b/g,
+    toSpan: (match, text) => {
+      const hasSeparator = match[1] !== '';
+      const context = hasContext(text, match.index, /\b(ssn|social security|ss#|soc sec)/i);
+      if (!hasSeparator && !context) return null; // Plain 9-digit numbers are too ambiguous on their own
+      return { type: PHI_TYPES.SSN, confidence: context ? 0.98 : 0.85 };
+    }
+  },
+  // Email addresses
+  {
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+    toSpan: () => ({ type: PHI_TYPES.EMAIL, confidence: 0.99 })
+  },
+  // Web URLs
+  {
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)]/gi,
+    toSpan: () => ({ type: PHI_TYPES.URL, confidence: 0.9 })
+  },
+  // IPv4 addresses
+  {
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+    toSpan: () => ({ type: PHI_TYPES.IP_ADDRESS, confidence: 0.9 })
+  },
+  // IPv6 addresses (full or compressed form)
+  {
+    pattern: /\b(?:[0-9a-f]{1,4}:){2,7}(?::|[0-9a-f]{1,4})\b/gi,
+    toSpan: (match) => (match[0].split(':').length >= 4 ? { type: PHI_TYPES.IP_ADDRESS, confidence: 0.8 } : null)
+  },
+  // Phone and fax numbers (US format, optional country code and extension)
+  {
+    pattern: /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b(?:\s*(?:x|ext\.?)\s*\d{1,5})?/gi,
+    toSpan: (match, text) => {
+      const isFax = hasContext(text, match.index, /\bfax\b/i, 20);
+      return { type: isFax ? PHI_TYPES.FAX : PHI_TYPES.PHONE, confidence: 0.9 };
+    }
+  },
+  // Payment card numbers
+  {
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    toSpan: (match) => {
+      const digits = match[0].replace(/\D/g, '');
+      if (digits.length < 13 || digits.length > 19 || !passesLuhn(digits)) return null;
+      return { type: PHI_TYPES.ACCOUNT_NUMBER, confidence: 0.85 };
+    }
+  },
+  // Medical record numbers
+  {
+    pattern: new RegExp(`\\b(?:MRN|medical record(?:\\s+(?:number|no\\.?|#))?|chart\\s+(?:number|no\\.?|#))\\s*[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.MRN, confidence: 0.95 })
+  },
+  // Health plan beneficiary / insurance member numbers
+  {
+    pattern: new RegExp(`\\b(?:member|policy|subscriber|beneficiary|insurance|medicare|medicaid|group|plan)\\s*(?:id|number|no\\.?|#)\\s*(?:is\\s+)?[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.HEALTH_PLAN_ID, confidence: 0.92 })
+  },
+  // Account numbers
+  {
+    pattern: new RegExp(`\\b(?:account|acct|billing)\\s*(?:number|no\\.?|#)?\\s*(?:is\\s+)?[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.ACCOUNT_NUMBER, confidence: 0.88 })
+  },
+  // Certificate and license numbers
+  {
+    pattern: new RegExp(`\\b(?:driver'?s?\\s+license|license|licence|certificate|DEA|NPI|passport)\\s*(?:number|no\\.?|#)?\\s*(?:is\\s+)?[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.LICENSE_NUMBER, confidence: 0.88 })
+  },
+  // Vehicle identification numbers
+  {
+    pattern: /\b(?=[A-HJ-NPR-Z0-9]*[A-HJ-NPR-Z])(?=[A-HJ-NPR-Z0-9]*\d)[A-HJ-NPR-Z0-9]{17}\b/g,
+    toSpan: () => ({ type: PHI_TYPES.VEHICLE_ID, confidence: 0.8 })
+  },
+  // License plates (only recognised with a label)
+  {
+    pattern: /\b(?:license\s+plate|plate\s+(?:number|no\.?|#)?)\s*(?:is\s+)?[:#]?\s*([A-Z0-9][A-Z0-9 -]{1,7}[A-Z0-9])\b/gi,
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.VEHICLE_ID, confidence: 0.85 })
+  },
+  // Device identifiers and serial numbers
+  {
+    pattern: new RegExp(`\\b(?:serial|device|pacemaker|implant|pump|udi)\\s*(?:number|no\\.?|#|id)?\\s*(?:is\\s+)?[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.DEVICE_ID, confidence: 0.85 })
+  },
+  // Biometric identifiers
+  {
+    pattern: new RegExp(`\\b(?:fingerprint|retina|retinal|iris|voiceprint|biometric)\\s*(?:scan|id|template|number|#)?\\s*[:#]?\\s*${ID_VALUE}`, 'gi'),
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.BIOMETRIC_ID, confidence: 0.85 })
+  },
+  // Numeric dates: 01/02/1980, 1-2-80, 1980-01-02
+  {
+    pattern: /\b(?:(?:0?[1-9]|1[0-2])[/-](?:0?[1-9]|[12]\d|3[01])[/-](?:\d{4}|\d{2})|\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01]))\b/g,
+    toSpan: (match, text) => dateSpan(match, text, 0.8)
+  },
+  // Written dates: January 5, 1980 / 5 Jan 1980 / March 3rd
+  {
+    pattern: new RegExp(`\\b(?:(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})\\.?(?:,?\\s+\\d{4})?)\\b`, 'gi'),
+    toSpan: (match, text) => dateSpan(match, text, /\d{4}/.test(match[0]) ? 0.75 : 0.6)
+  },
+  // Ages over 89 (Safe Harbor requires these to be aggregated)
+  {
+    pattern: /\b(?:9\d|1[0-2]\d)\s*(?:-\s*)?(?:years?|yrs?|y\/o|yo)(?:\s*-?\s*old)?\b/gi,
+    toSpan: () => ({ type: PHI_TYPES.AGE, confidence: 0.9 })
+  },
+  // Street addresses
+  {
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][a-z]+\\.?\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:apt|apartment|suite|ste|unit|#)\\.?\\s*[A-Z0-9-]+)?`, 'gi'),
+    toSpan: (match) => (/^\d+\s+[A-Z]/.test(match[0]) ? { type: PHI_TYPES.ADDRESS, confidence: 0.85 } : null)
+  },
+  // PO boxes
+  {
+    pattern: /\bP\.?\s?O\.?\s+Box\s+\d+\b/gi,
+    toSpan: () => ({ type: PHI_TYPES.ADDRESS, confidence: 0.9 })
+  },
+  // ZIP codes (only recognised after a state abbreviation or a "zip" label)
+  {
+    pattern: /\b\d{5}(?:-\d{4})?\b/g,
+    toSpan: (match, text) => {
+      const afterState = hasContext(text, match.index, new RegExp(`\\b(?:${US_STATES}),?\\s*$`), 5);
+      const labelled = hasContext(text, match.index, /\b(?:zip|postal)(?:\s*code)?\s*(?:is\s*)?[:#]?\s*$/i, 20);
+      if (!afterState && !labelled) return null;
+      return { type: PHI_TYPES.ZIP_CODE, confidence: labelled ? 0.9 : 0.8 };
+    }
+  },
+  // Names introduced by a title (Mr. Smith, Dr. Jane Doe)
+  {
+    pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr)\.?\s+([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?(?:\s+[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)?)/g,
+    valueGroup: 1,
+    toSpan: () => ({ type: PHI_TYPES.NAME, confidence: 0.85 })
+  },
+  // Names introduced by a phrase (my name is..., patient: ...)
+  {
+    pattern: /\b(?:[Mm]y name is|[Mm]y (?:son|daughter|wife|husband|mother|father|child)(?:'s name)? is|[Nn]ame\s*:|[Pp]atient\s*:|[Tt]his is|I am|I'm)\s+([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?(?:\s+[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?){0,2})/g,
+    valueGroup: 1,
+    toSpan: (match) => {
+      const lead = match[0].slice(0, match[0].length - match[1].length).toLowerCase();
+      // "I am" / "I'm" / "this is" are often followed by ordinary words ("I am Diabetic")
+      const weakLead = /^(i am|i'm|this is)/.test(lead);
+      if (weakLead && !/\s[A-Z]/.test(match[1])) return null; // Require a first and last name
+      return { type: PHI_TYPES.NAME, confidence: weakLead ? 0.6 : 0.9 };
+    }
+  },
+  // Any other long unique identifying number
+  {
+    pattern: /\b(?:[A-Z]{1,4}-?)?\d{8,}\b/g,
+    toSpan: () => ({ type: PHI_TYPES.OTHER_ID, confidence: 0.5 })
+  }
+];
+
+/**
+ * Builds a span for a detected date, upgrading it to a date of birth when
+ * the surrounding words say so
+ */
+function dateSpan(match, text, baseConfidence) {
+  const isBirthDate = hasContext(text, match.index, /\b(born|birth|dob|d\.o\.b\.?|birthday)\b/i, 25);
+  if (isBirthDate) {
+    return { type: PHI_TYPES.DATE_OF_BIRTH, confidence: 0.97 };
+  }
+  return { type: PHI_TYPES.DATE, confidence: baseConfidence };
+}
+
+/**
+ * Removes overlapping spans, keeping the most confident (then the longest) one
+ * @param {Array} spans - Candidate spans
+ * @returns {Array} Non-overlapping spans sorted by position
+ */
+const resolveOverlaps = (spans) => {
+  const ranked = [...spans].sort((a, b) =>
+    b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start) || a.start - b.start
+  );
+
+  const kept = [];
+  ranked.forEach(span => {
+    const overlaps = kept.some(other => span.start < other.end && other.start < span.end);
+    if (!overlaps) kept.push(span);
+  });
+
+  return kept.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Finds all PHI in a piece of text
+ * @param {string} text - The text to scan
+ * @param {Object} options - Detection options
+ * @param {number} options.minConfidence - Ignore detections below this score (default 0.5)
+ * @param {Array<string>} options.types - Only report these PHI types (default: all)
+ * @returns {Array<Object>} Spans like { type, start, end, text, confidence }
+ */
+const detectPHI = (text, options = {}) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const minConfidence = options.minConfidence ?? 0.5;
+  const candidates = [];
+
+  detectors.forEach(detector => {
+    detector.pattern.lastIndex = 0;
+    let match;
+    while ((match = detector.pattern.exec(text)) !== null) {
+      const result = detector.toSpan(match, text);
+      if (result) {
+        // Labelled detectors only treat the captured value as PHI, not the label
+        const value = detector.valueGroup ? match[detector.valueGroup] : match[0];
+        const start = detector.valueGroup ? match.index + match[0].lastIndexOf(value) : match.index;
+
+        candidates.push({
+          type: result.type,
+          start,
+          end: start + value.length,
+          text: value,
+          confidence: result.confidence
+        });
+      }
+
+      // Avoid infinite loops on zero-length matches
+      if (match[0].length === 0) detector.pattern.lastIndex++;
+    }
+  });
+
+  return resolveOverlaps(candidates)
+    .filter(span => span.confidence >= minConfidence)
+    .filter(span => !options.types || options.types.includes(span.type));
+};
+
+/**
+ * Creates a reversible token for a PHI value
+ * The same value always produces the same token, so repeated mentions stay linked
+ */
+const createToken = (span) => {
+  const digest = crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(`${span.type}:${span.text}`)
+    .digest('hex')
+    .slice(0, 10);
+  return `[${span.type}:${digest}]`;
+};
+
+/**
+ * Builds the replacement text for a span in the chosen style
+ */
+const replacementFor = (span, style) => {
+  switch (style) {
+    case 'mask':
+      // Keep punctuation so the shape stays readable (***-**-****)
+      return span.text.replace(/[A-Za-z0-9]/g, '*');
+    case 'token':
+      return createToken(span);
+    case 'placeholder':
+    default:
+      return `[${span.type}]`;
+  }
+};
+
+/**
+ * Redacts PHI from text
+ * @param {string} text - The text to redact
+ * @param {Object} options - Redaction options
+ * @param {string} options.style - 'mask', 'placeholder' (default) or 'token'
+ * @param {number} options.minConfidence - Only redact detections at or above this score
+ * @param {Array} options.spans - Pre-computed spans (skips detection)
+ * @returns {Object} { text, spans, tokens } - tokens maps each token back to its original value
+ */
+const redact = (text, options = {}) => {
+  const style = REDACTION_STYLES.includes(options.style) ? options.style : 'placeholder';
+  const spans = options.spans || detectPHI(text, options);
+  const tokens = {};
+
+  if (!spans.length) {
+    return { text: text || '', spans, tokens };
+  }
+
+  // Rebuild the text from the end so earlier offsets stay valid
+  let redacted = text;
+  [...spans].sort((a, b) => b.start - a.start).forEach(span => {
+    const replacement = replacementFor(span, style);
+    if (style === 'token') {
+      tokens[replacement] = span.text;
+    }
+    redacted = redacted.slice(0, span.start) + replacement + redacted.slice(span.end);
+  });
+
+  return { text: redacted, spans, tokens };
+};
+
+/**
+ * Restores the original values in text that was redacted with the 'token' style
+ * @param {string} text - Tokenized text
+ * @param {Object} tokens - The token map returned by redact()
+ * @returns {string} The original text
+ */
+const restorePHI = (text, tokens = {}) => {
+  return Object.entries(tokens).reduce(
+    (restored, [token, value]) => restored.split(token).join(value),
+    text
+  );
+};
+
+/**
+ * Summarises the PHI found in a message for compliance checks
+ * @param {string} text - The message to check
+ * @param {Object} options - Detection options (see detectPHI)
+ * @returns {Object} { containsPHI, phiTypes, spans, riskLevel, checkedAt }
+ */
+const checkCompliance = (text, options = {}) => {
+  const spans = detectPHI(text, options);
+  const phiTypes = [...new Set(spans.map(span => span.type))];
+
+  // Direct identifiers make a message high risk on their own
+  const highRiskTypes = [PHI_TYPES.SSN, PHI_TYPES.MRN, PHI_TYPES.HEALTH_PLAN_ID, PHI_TYPES.ACCOUNT_NUMBER, PHI_TYPES.DATE_OF_BIRTH];
+  let riskLevel = 'none';
+  if (spans.some(span => highRiskTypes.includes(span.type)) || phiTypes.length >= 3) {
+    riskLevel = 'high';
+  } else if (spans.length > 0) {
+    riskLevel = spans.some(span => span.confidence >= 0.8) ? 'medium' : 'low';
+  }
+
+  return {
+    containsPHI: spans.length > 0,
+    phiTypes,
+    spans,
+    riskLevel,
+    checkedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  PHI_TYPES,
+  REDACTION_STYLES,
+  detectPHI,
+  redact,
+  restorePHI,
+  checkCompliance
+};
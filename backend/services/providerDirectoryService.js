@@ -0,0 +1,271 @@
+/**
+ * Provider Directory Service for TicketHub
+ *
+ * Recommends providers from the directory (models/Provider.js) for the
+ * symptoms a patient describes:
+ * 1. Symptoms are found with the triage rules (services/triageService.js)
+ *    and mapped to specialties with the weights in the specialty map
+ *    (doctorRecommendation.specialtiesPath, config/specialties.json).
+ *    Emergencies and urgent cases put emergency or urgent care first.
+ * 2. Providers with those specialties are searched near the patient with a
+ *    $geoNear query on the clinic's location (2dsphere index), up to
+ *    doctorRecommendation.maxDistanceKm away.
+ * 3. Each provider is scored on specialty fit, distance and whether they
+ *    speak the patient's language (doctorRecommendation.weights); providers
+ *    not accepting new patients count half.
+ *
+ * The specialty map is reread when it changes; an invalid edit is logged
+ * and the previous map stays in use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Provider = require('../models/Provider');
+const triageService = require('./triageService');
+const featureConfig = require('../config/enhancedFeatures');
+
+// Providers scored per request, nearest (or first found) first
+const CANDIDATE_LIMIT = 200;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Checks a specialty map
+ * @param {Object} map - Parsed map (see config/specialties.json)
+ * @returns {Object} The map
+ * @throws {Error} Describing the first problem found
+ */
+const checkSpecialtyMap = (map) => {
+  if (!map.version) throw new Error('The specialty map needs a version');
+  if (!map.specialties || typeof map.specialties !== 'object') throw new Error('The specialty map needs specialties');
+
+  const checkSpecialty = (specialty, where) => {
+    if (!map.specialties[specialty]) throw new Error(`${where}: unknown specialty "${specialty}"`);
+  };
+
+  Object.entries(map.specialties).forEach(([id, specialty]) => {
+    if (!specialty.label) throw new Error(`Specialty "${id}" needs a label`);
+  });
+  Object.entries(map.symptoms || {}).forEach(([symptom, weights]) => {
+    Object.entries(weights).forEach(([specialty, weight]) => {
+      checkSpecialty(specialty, symptom);
+      if (!(weight > 0 && weight <= 1)) throw new Error(`${symptom}: weight for "${specialty}" must be above 0 and at most 1`);
+    });
+  });
+  Object.entries(map.urgency || {}).forEach(([level, specialty]) => checkSpecialty(specialty, `urgency.${level}`));
+  (map.age || []).forEach((entry, index) => checkSpecialty(entry.specialty, `age[${index}]`));
+  checkSpecialty(map.defaultSpecialty, 'defaultSpecialty');
+
+  return map;
+};
+
+const specialtyMapPath = () => path.resolve(__dirname, '..', featureConfig.doctorRecommendation.specialtiesPath);
+
+let loaded = { path: null, mtimeMs: null, map: null };
+
+// The current specialty map, reread when the file changes
+const getSpecialtyMap = () => {
+  const file = specialtyMapPath();
+  const { mtimeMs } = fs.statSync(file);
+  if (loaded.map && loaded.path === file && loaded.mtimeMs === mtimeMs) {
+    return loaded.map;
+  }
+
+  try {
+    const map = checkSpecialtyMap(JSON.parse(fs.readFileSync(file, 'utf8')));
+    loaded = { path: file, mtimeMs, map };
+    console.log(`Specialty map ${map.version} loaded from ${file}`);
+  } catch (err) {
+    if (!loaded.map) {
+      throw new Error(`Invalid specialty map in ${file}: ${err.message}`);
+    }
+    // Keep recommending with the last good map until the file is fixed
+    console.error(`Invalid specialty map in ${file}, still using ${loaded.map.version}: ${err.message}`);
+    loaded = { ...loaded, mtimeMs };
+  }
+  return loaded.map;
+};
+
+/**
+ * Works out which specialties fit the symptoms in a message
+ * @param {string} message - The patient's message
+ * @param {Array<string>} symptoms - Symptoms listed separately (e.g. 'chest pain')
+ * @returns {Object} { triageResult, specialties: [{ specialty, label, score, symptoms }], map };
+ *   specialties are best fit first, scored from 0 to 1, and map is the specialty map used
+ */
+const matchSpecialties = (message, symptoms = []) => {
+  const map = getSpecialtyMap();
+  const text = [message, ...symptoms.map(symptom => String(symptom).replace(/_/g, ' '))].filter(Boolean).join('. ');
+  const triageResult = triageService.triage(text);
+
+  // specialty -> { weight, symptoms }
+  const fits = new Map();
+  const add = (specialty, weight, reason) => {
+    const fit = fits.get(specialty) || { weight: 0, symptoms: [] };
+    fit.weight += weight;
+    if (reason) fit.symptoms.push(reason);
+    fits.set(specialty, fit);
+  };
+
+  triageResult.symptoms.forEach(symptom => {
+    Object.entries(map.symptoms?.[symptom] || {}).forEach(([specialty, weight]) => add(specialty, weight, symptom));
+  });
+  (map.age || []).forEach(entry => {
+    const age = triageResult.age;
+    if (age !== null && (entry.below === undefined || age < entry.below) && (entry.atLeast === undefined || age >= entry.atLeast)) {
+      add(entry.specialty, entry.weight ?? 1);
+    }
+  });
+  if (fits.size === 0) {
+    add(map.defaultSpecialty, 1);
+  }
+
+  const best = Math.max(...[...fits.values()].map(fit => fit.weight));
+  const specialties = [...fits.entries()]
+    .map(([specialty, fit]) => ({
+      specialty,
+      label: map.specialties[specialty].label,
+      score: round(fit.weight / best),
+      symptoms: fit.symptoms
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Emergencies and urgent cases need that kind of care before any specialist
+  const urgentSpecialty = map.urgency?.[triageResult.urgencyLevel];
+  if (urgentSpecialty) {
+    const existing = specialties.findIndex(entry => entry.specialty === urgentSpecialty);
+    if (existing !== -1) specialties.splice(existing, 1);
+    specialties.unshift({
+      specialty: urgentSpecialty,
+      label: map.specialties[urgentSpecialty].label,
+      score: 1,
+      symptoms: triageResult.firedRules.map(rule => rule.id)
+    });
+  }
+
+  return { triageResult, specialties, map };
+};
+
+// Score a provider from 0 to 1 and explain it
+const scoreProvider = (provider, specialtyScores, { distanceKm, language }) => {
+  const { weights, maxDistanceKm } = featureConfig.doctorRecommendation;
+  const match = provider.specialties
+    .filter(specialty => specialtyScores.has(specialty))
+    .map(specialty => ({ specialty, ...specialtyScores.get(specialty) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+  const parts = [{ weight: weights.fit, value: match ? match.score : 0 }];
+  const reasons = match ? [`${match.label}${match.symptoms.length ? ` (${match.symptoms.join(', ').replace(/_/g, ' ')})` : ''}`] : [];
+
+  if (distanceKm !== null) {
+    parts.push({ weight: weights.distance, value: Math.max(0, 1 - distanceKm / maxDistanceKm) });
+    reasons.push(`${round(distanceKm, 1)} km away`);
+  }
+  if (language && language !== 'auto') {
+    const speaks = provider.languages.includes(language);
+    parts.push({ weight: weights.language, value: speaks ? 1 : 0 });
+    if (speaks) reasons.push(`Speaks ${language}`);
+  }
+
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  let score = totalWeight > 0 ? parts.reduce((sum, part) => sum + part.weight * part.value, 0) / totalWeight : 0;
+  if (provider.availability?.acceptingNewPatients === false) {
+    score /= 2;
+    reasons.push('Not accepting new patients');
+  }
+  if (provider.availability?.telehealth) {
+    reasons.push('Offers telehealth');
+  }
+
+  return { score: round(score), match, reasons };
+};
+
+/**
+ * Recommends specialties and providers for a patient's symptoms
+ * @param {string} message - The patient's message
+ * @param {Array<string>} symptoms - Symptoms listed separately
+ * @param {Object|null} location - { latitude, longitude } to search near, or null
+ * @param {Object} options - { language, insurance, limit }: language is a User.preferredLanguage
+ *   code, insurance only keeps providers accepting that plan, limit caps the providers returned
+ *   (defaults to doctorRecommendation.maxRecommendations; 0 means no cap)
+ * @returns {Promise<Object>} { symptoms, urgencyLevel, careRecommendation, recommendedSpecialties,
+ *   providerTypes, providers, searchedNear, specialtiesVersion }
+ */
+const recommendProviders = async (message, symptoms = [], location = null, options = {}) => {
+  const { maxDistanceKm, maxRecommendations } = featureConfig.doctorRecommendation;
+  const limit = options.limit ?? maxRecommendations;
+  const { triageResult, specialties, map } = matchSpecialties(message, symptoms);
+  const specialtyScores = new Map(specialties.map(entry => [entry.specialty, entry]));
+  const specialtyRank = (provider) => provider.specialty ? specialties.findIndex(entry => entry.specialty === provider.specialty.specialty) : Infinity;
+
+  const query = { active: true, specialties: { $in: [...specialtyScores.keys()] } };
+  if (options.insurance) {
+    query.insuranceAccepted = String(options.insurance).toLowerCase().trim();
+  }
+
+  const candidates = location
+    ? await Provider.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+          key: 'clinic.location',
+          distanceField: 'distanceMeters',
+          maxDistance: maxDistanceKm * 1000,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: CANDIDATE_LIMIT }
+    ])
+    : await Provider.find(query).limit(CANDIDATE_LIMIT).lean();
+
+  const providers = candidates
+    .map(provider => {
+      const distanceKm = provider.distanceMeters !== undefined ? provider.distanceMeters / 1000 : null;
+      const { score, match, reasons } = scoreProvider(provider, specialtyScores, { distanceKm, language: options.language });
+      const [longitude, latitude] = provider.clinic?.location?.coordinates || [];
+      return {
+        id: provider._id.toString(),
+        name: provider.name,
+        providerType: provider.providerType,
+        specialty: match ? { specialty: match.specialty, label: match.label } : null,
+        specialties: provider.specialties.map(specialty => map.specialties[specialty]?.label || specialty),
+        languages: provider.languages,
+        clinic: {
+          name: provider.clinic?.name || null,
+          address: provider.clinic?.address || null,
+          phone: provider.clinic?.phone || null,
+          latitude: latitude ?? null,
+          longitude: longitude ?? null
+        },
+        distanceKm: distanceKm === null ? null : round(distanceKm, 1),
+        availability: {
+          acceptingNewPatients: provider.availability?.acceptingNewPatients ?? true,
+          telehealth: !!provider.availability?.telehealth,
+          nextAvailable: provider.availability?.nextAvailable || null,
+          hours: provider.availability?.hours || []
+        },
+        score,
+        reasons
+      };
+    })
+    // Equal scores: emergency or urgent care first, then the nearest
+    .sort((a, b) => b.score - a.score ||
+      specialtyRank(a) - specialtyRank(b) ||
+      (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+  return {
+    symptoms: triageResult.symptoms,
+    urgencyLevel: triageResult.urgencyLevel,
+    careRecommendation: triageResult.careRecommendation,
+    recommendedSpecialties: specialties,
+    providerTypes: [...new Set(specialties.flatMap(entry => map.specialties[entry.specialty].providerTypes || []))],
+    providers: limit > 0 ? providers.slice(0, limit) : providers,
+    searchedNear: location ? { ...location, maxDistanceKm } : null,
+    specialtiesVersion: map.version
+  };
+};
+
+module.exports = {
+  recommendProviders
+};
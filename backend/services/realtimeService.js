@@ -0,0 +1,158 @@
+/**
+ * Realtime Service for TicketHub
+ *
+ * Pushes ticket changes to connected browsers over Socket.IO so the
+ * frontend doesn't have to poll. Clients authenticate with the same access
+ * token they use for the REST API (socket.io-client `auth: { token }`).
+ *
+ * Rooms:
+ *   user:<userId>     - every socket of a user (their own tickets, for lists)
+ *   staff             - users who can read every ticket (lists and dashboards)
+ *   ticket:<ticketId> - sockets viewing a ticket (joined with 'ticket:subscribe')
+ *
+ * Events sent to clients:
+ *   ticket:updated { ticket, change } - change is 'created', 'message', 'ai_reply' or 'update'
+ *   ticket:deleted { ticketId }
+ *
+ * Ticket views depend on who is looking (see Ticket.toViewFor), so each
+ * socket gets its own copy of the ticket.
+ *
+ * Changes are published through the event bus, so ones made by a job worker
+ * in another process reach clients too (see services/eventBus.js).
+ */
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const { isSessionActive } = require('./sessionService');
+const eventBus = require('./eventBus');
+const { PERMISSIONS, hasPermission, canAccessTicket } = require('../config/permissions');
+
+const STAFF_ROOM = 'staff';
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout fires immediately above this
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const ticketRoom = (ticketId) => `ticket:${ticketId}`;
+const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+// Handshake: accept only access tokens from an active session
+const authenticate = async (socket, next) => {
+  try {
+    const decoded = jwt.verify(socket.handshake.auth?.token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return next(new Error('unauthorized'));
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.active) {
+      return next(new Error('unauthorized'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sid;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (err) {
+    next(new Error('unauthorized'));
+  }
+};
+
+const onConnection = (socket) => {
+  const { user } = socket.data;
+
+  socket.join(userRoom(user.id));
+  if (hasPermission(user, PERMISSIONS.TICKET_READ_ANY)) {
+    socket.join(STAFF_ROOM);
+  }
+
+  // Drop the connection when the access token expires; the client
+  // reconnects with a refreshed token, which re-checks the session
+  const expiresIn = Math.min(Math.max(0, socket.data.tokenExpiresAt - Date.now()), MAX_TIMER_MS);
+  const expiryTimer = setTimeout(() => socket.disconnect(true), expiresIn);
+  socket.on('disconnect', () => clearTimeout(expiryTimer));
+
+  socket.on('ticket:subscribe', async (ticketId, ack = () => {}) => {
+    try {
+      const ticket = mongoose.isValidObjectId(ticketId) ? await Ticket.findById(ticketId).select('user') : null;
+      if (!ticket || !canAccessTicket(user, 'read', ticket)) {
+        return ack({ ok: false, msg: 'Not authorized to view this ticket' });
+      }
+      socket.join(ticketRoom(ticketId));
+      ack({ ok: true });
+    } catch (err) {
+      console.error('Error subscribing to ticket:', err.message);
+      ack({ ok: false, msg: 'Server error' });
+    }
+  });
+
+  socket.on('ticket:unsubscribe', (ticketId) => {
+    socket.leave(ticketRoom(ticketId));
+  });
+};
+
+// Send the current state of a ticket to every socket allowed to see it
+const sendTicket = async ({ ticketId, change }) => {
+  try {
+    const ticket = await Ticket.findById(ticketId)
+      .populate('user', ['name', 'email'])
+      .populate('assignedTo', ['name', 'email'])
+      .populate('messages.sender', ['name', 'role']);
+    if (!ticket) return;
+
+    const sockets = await io.in([ticketRoom(ticket.id), userRoom(idOf(ticket.user)), STAFF_ROOM]).fetchSockets();
+    for (const socket of sockets) {
+      if (canAccessTicket(socket.data.user, 'read', ticket)) {
+        socket.emit('ticket:updated', { ticket: ticket.toViewFor(socket.data.user), change });
+      }
+    }
+  } catch (err) {
+    // Live updates are best effort; the REST API stays the source of truth
+    console.error('Error publishing ticket update:', err.message);
+  }
+};
+
+const sendTicketDeleted = ({ ticketId, userId }) => {
+  io.to([ticketRoom(ticketId), userRoom(userId), STAFF_ROOM])
+    .emit('ticket:deleted', { ticketId });
+};
+
+/**
+ * Starts the Socket.IO server on the API's HTTP server
+ * @param {Object} httpServer - Node HTTP server
+ * @returns {Object} Socket.IO server
+ */
+const init = (httpServer) => {
+  io = new Server(httpServer, { cors: { origin: '*' } });
+  io.use(authenticate);
+  io.on('connection', onConnection);
+  eventBus.subscribe('ticket:updated', sendTicket);
+  eventBus.subscribe('ticket:deleted', sendTicketDeleted);
+  return io;
+};
+
+/**
+ * Sends the current state of a ticket to everyone allowed to see it
+ * @param {Object|string} ticketOrId - Ticket document or ID
+ * @param {string} change - 'created', 'message', 'ai_reply' or 'update'
+ */
+const publishTicket = (ticketOrId, change) => {
+  eventBus.publish('ticket:updated', { ticketId: idOf(ticketOrId), change });
+};
+
+/**
+ * Tells everyone who could see a ticket that it was deleted
+ * @param {Object} ticket - The deleted ticket
+ */
+const publishTicketDeleted = (ticket) => {
+  eventBus.publish('ticket:deleted', { ticketId: ticket.id, userId: idOf(ticket.user) });
+};
+
+module.exports = {
+  init,
+  publishTicket,
+  publishTicketDeleted
+};
@@ -0,0 +1,115 @@
+/**
+ * Reply Stream Service for TicketHub
+ *
+ * Lets clients watch an AI reply to a ticket being written. The code that
+ * generates the reply reports progress through the handle from begin();
+ * the SSE route (GET /api/tickets/:id/reply-stream) subscribes to it.
+ *
+ * Listeners receive:
+ *   typing  {}                     - a reply has started
+ *   partial { text }               - the reply so far
+ *   done    { messageId }          - the reply was saved (messageId is null if it failed)
+ *
+ * Partial text is redacted the same way the saved message will be (see
+ * models/plugins/phiRedaction.js), and is cut at the last whitespace so a
+ * half-written identifier is never shown before it can be recognised.
+ *
+ * Progress travels over the event bus ('reply' topic), so replies written
+ * by a job worker in another process can be watched too.
+ */
+
+const EventEmitter = require('events');
+const phiService = require('./phiService');
+const featureConfig = require('../config/enhancedFeatures');
+const eventBus = require('./eventBus');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+// Replies being written, by ticket ID: { visibleText }
+const activeReplies = new Map();
+
+// Track replies in progress (for late subscribers) and pass events on
+eventBus.subscribe('reply', ({ ticketId, event, data }) => {
+  if (event === 'typing') {
+    activeReplies.set(ticketId, { visibleText: '' });
+  } else if (event === 'partial' && activeReplies.has(ticketId)) {
+    activeReplies.get(ticketId).visibleText = data.text;
+  } else if (event === 'done') {
+    activeReplies.delete(ticketId);
+  }
+  emitter.emit(ticketId, event, data);
+});
+
+const redactForDisplay = (text) => {
+  const { hipaaCompliance } = featureConfig;
+  if (!hipaaCompliance.enabled || !hipaaCompliance.autoRedactPHI) {
+    return text;
+  }
+  return phiService.redact(text, {
+    style: hipaaCompliance.redactionStyle,
+    minConfidence: hipaaCompliance.minConfidence
+  }).text;
+};
+
+/**
+ * Starts streaming a reply to a ticket
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object} Handle with append(chunk), complete(finalText) and end(messageId)
+ */
+const begin = (ticketId) => {
+  const key = ticketId.toString();
+  const send = (event, data) => eventBus.publish('reply', { ticketId: key, event, data });
+  let text = '';
+  let visibleText = '';
+
+  send('typing', {});
+
+  const publish = (nextVisibleText) => {
+    if (nextVisibleText !== visibleText) {
+      visibleText = nextVisibleText;
+      send('partial', { text: visibleText });
+    }
+  };
+
+  return {
+    // Add a piece of streamed text
+    append: (chunk) => {
+      text += chunk;
+      publish(redactForDisplay(text.slice(0, text.search(/\S*$/))));
+    },
+    // Show the finished reply (replaces anything streamed so far)
+    complete: (finalText) => {
+      text = finalText;
+      publish(redactForDisplay(text));
+    },
+    end: (messageId = null) => {
+      send('done', { messageId });
+    }
+  };
+};
+
+/**
+ * Listens to replies for a ticket; a reply already in progress is replayed first
+ * @param {string} ticketId - Ticket ID
+ * @param {Function} listener - Called with (event, data)
+ * @returns {Function} Call to stop listening
+ */
+const subscribe = (ticketId, listener) => {
+  const key = ticketId.toString();
+  const reply = activeReplies.get(key);
+  if (reply) {
+    listener('typing', {});
+    if (reply.visibleText) {
+      listener('partial', { text: reply.visibleText });
+    }
+  }
+
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+module.exports = {
+  begin,
+  subscribe
+};
@@ -0,0 +1,196 @@
+/**
+ * Session Service for TicketHub
+ *
+ * Issues short-lived access tokens and rotating refresh tokens:
+ * - Access token: a JWT ({ id, sid }) sent in the x-auth-token header, valid for ACCESS_TOKEN_TTL (default 15m)
+ * - Refresh token: an opaque "<sessionId>.<secret>" string, valid for REFRESH_TOKEN_TTL_DAYS (default 30)
+ *
+ * Every refresh replaces the refresh token. If an already-replaced token is
+ * presented again, someone is replaying a stolen token, so the whole session
+ * is revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Another tab may refresh with the same token a moment after us; that is not a replay
+const ROTATION_GRACE_MS = 10 * 1000;
+
+/**
+ * Hashes a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Generates a new refresh token secret
+ * @returns {string} Random URL-safe string
+ */
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Signs an access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+/**
+ * Splits a refresh token into its session ID and secret
+ * @param {string} refreshToken - Token from the client
+ * @returns {Object|null} { sessionId, secret }, or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Starts a new session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user.id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: signAccessToken(user.id, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    session
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Token from the client
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object>} { token, refreshToken, session } on success, { reason, session } otherwise
+ *   reason is one of 'invalid', 'expired', 'revoked', 'stale' or 'reused'
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { reason: 'invalid', session: null };
+
+  const presentedHash = hashSecret(parsed.secret);
+  const newSecret = generateSecret();
+
+  // Rotate atomically so two requests can't both use the same token
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(newSecret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: signAccessToken(session.user.toString(), session.id),
+      refreshToken: `${session.id}.${newSecret}`,
+      session
+    };
+  }
+
+  // Work out why the token was refused
+  const existing = await Session.findById(parsed.sessionId);
+  if (!existing) return { reason: 'invalid', session: null };
+  if (existing.revokedAt) return { reason: 'revoked', session: existing };
+  if (existing.expiresAt <= new Date()) return { reason: 'expired', session: existing };
+
+  if (existing.previousRefreshTokenHash === presentedHash) {
+    if (Date.now() - existing.lastUsedAt.getTime() < ROTATION_GRACE_MS) {
+      return { reason: 'stale', session: existing };
+    }
+    await revokeSession(existing.id, 'token_reuse');
+    return { reason: 'reused', session: existing };
+  }
+
+  return { reason: 'invalid', session: existing };
+};
+
+/**
+ * Revokes a session, signing that device out
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - 'logout', 'revoked' or 'token_reuse'
+ * @param {string} userId - If given, only revoke the session when it belongs to this user
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes every session of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Session to keep (usually the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: 'revoked' } });
+  return result.modifiedCount;
+};
+
+/**
+ * Checks an access token's session against the revocation list
+ * @param {string} sessionId - sid claim from the access token
+ * @param {string} userId - id claim from the access token
+ * @returns {Promise<boolean>} True if the session is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.findById(sessionId).select('user revokedAt expiresAt');
+  return !!session && session.user.toString() === userId && session.isActive();
+};
+
+/**
+ * Lists a user's active sessions
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+const listActiveSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listActiveSessions
+};
@@ -0,0 +1,179 @@
+/**
+ * Speech-to-Text Service for TicketHub
+ *
+ * Transcribes patients' voice messages. Browsers record in whatever format
+ * they support (MediaRecorder gives webm/opus in Chrome and Firefox, mp4 in
+ * Safari), and the type they send can't be trusted, so the format is read
+ * from the file itself. ffmpeg then converts the recording to 16 kHz mono
+ * WAV, the input speech engines expect. Recordings longer than
+ * voiceInterface.maxAudioDuration are refused.
+ *
+ * Engines live in services/sttEngines/ and share a single method,
+ * transcribe({ wav, wavPath, durationSeconds }), which resolves to
+ * { text, language, confidence, words: [{ word, start, end, confidence }] }
+ * (times in seconds, confidence from 0 to 1 or null). A cloud engine only
+ * needs to implement that method, sending `wav` to its API.
+ *
+ * Errors caused by the recording itself carry an HTTP `status` and a
+ * message that can be shown to the patient.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const featureConfig = require('../config/enhancedFeatures');
+
+const execFileAsync = promisify(execFile);
+
+const settings = () => featureConfig.voiceInterface.speechToText;
+
+const ENGINES = {
+  'whisper-cpp': () => require('./sttEngines/whisperCpp').createEngine({
+    binary: settings().whisperCpp.binary,
+    model: path.resolve(__dirname, '..', settings().whisperCpp.model),
+    threads: settings().whisperCpp.threads,
+    timeoutMs: settings().timeoutMs
+  }),
+  fake: () => require('./sttEngines/fake').createEngine({
+    transcript: process.env.STT_FAKE_TRANSCRIPT
+  })
+};
+
+// What the engines are given: 16-bit mono PCM at 16 kHz
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Shorter recordings are accidental taps on the record button
+const MIN_DURATION_SECONDS = 0.3;
+
+// Audio formats recognized from their first bytes
+const FORMATS = [
+  { format: 'wav', matches: (head) => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE' },
+  { format: 'webm', matches: (head) => head.readUInt32BE(0) === 0x1a45dfa3 }, // EBML header (WebM, Matroska)
+  { format: 'ogg', matches: (head) => head.toString('latin1', 0, 4) === 'OggS' },
+  { format: 'mp4', matches: (head) => head.toString('latin1', 4, 8) === 'ftyp' },
+  { format: 'flac', matches: (head) => head.toString('latin1', 0, 4) === 'fLaC' },
+  { format: 'mp3', matches: (head) => head.toString('latin1', 0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) }
+];
+
+// Initialize the configured engine
+let engine = null;
+try {
+  const { engine: engineName } = settings();
+  if (!ENGINES[engineName]) {
+    throw new Error(`Unknown speech-to-text engine "${engineName}" (expected ${Object.keys(ENGINES).join(', ')})`);
+  }
+  engine = ENGINES[engineName]();
+  console.log(`Speech-to-text engine initialized: ${engine.name}`);
+} catch (error) {
+  console.error('Error initializing speech-to-text engine:', error.message);
+  console.warn('Voice input will be unavailable. Please check voiceInterface.speechToText.');
+}
+
+const recordingError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Works out the format of a recording from its content
+ * @param {Buffer} audio - The uploaded file
+ * @returns {string|null} 'wav', 'webm', 'ogg', 'mp4', 'flac', 'mp3', or null when unknown
+ */
+const detectAudioFormat = (audio) => {
+  if (!audio || audio.length < 12) return null;
+  return FORMATS.find(({ matches }) => matches(audio))?.format || null;
+};
+
+// Length of a PCM WAV file, from its data chunk
+const wavDurationSeconds = (wav) => {
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('latin1', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    if (id === 'data') {
+      return Math.min(size, wav.length - offset - 8) / BYTES_PER_SECOND;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return 0;
+};
+
+// Converts a recording to the engines' WAV format, decoding a second past
+// the maximum duration at most so long recordings are caught cheaply
+const normalizeAudio = async (inputPath, wavPath) => {
+  try {
+    await execFileAsync(featureConfig.voiceInterface.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      '-i', inputPath,
+      '-t', String(featureConfig.voiceInterface.maxAudioDuration + 1),
+      '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE), '-c:a', 'pcm_s16le',
+      '-map_metadata', '-1', '-fflags', '+bitexact',
+      '-y', wavPath
+    ], { timeout: settings().timeoutMs });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`ffmpeg not found at "${featureConfig.voiceInterface.ffmpegPath}" (set FFMPEG_PATH)`);
+    }
+    console.error('ffmpeg could not decode a recording:', (err.stderr || err.message).trim());
+    throw recordingError(422, 'The recording could not be decoded');
+  }
+  return fs.promises.readFile(wavPath);
+};
+
+/**
+ * Transcribes a voice message
+ * @param {Buffer} audio - The recording, in any format ffmpeg reads
+ * @param {Object} options - { declaredType }: the MIME type the client sent, only used in messages
+ * @returns {Promise<Object>} { transcribedText, languageDetected, confidence, words, durationSeconds,
+ *   audioFormat, engine }; words are [{ word, start, end, confidence }], times in seconds
+ * @throws {Error} With a `status` when the recording can't be transcribed: 415 unknown format,
+ *   413 too long, 422 empty, undecodable or without speech, 503 no engine available
+ */
+const transcribeAudio = async (audio, options = {}) => {
+  if (!engine) {
+    throw recordingError(503, 'Voice input is not available at the moment');
+  }
+
+  const audioFormat = detectAudioFormat(audio);
+  if (!audioFormat) {
+    throw recordingError(415, `Unsupported audio format${options.declaredType ? ` (sent as ${options.declaredType})` : ''}`);
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tickethub-stt-'));
+  try {
+    const inputPath = path.join(workDir, `input.${audioFormat}`);
+    const wavPath = path.join(workDir, 'audio.wav');
+    await fs.promises.writeFile(inputPath, audio);
+    const wav = await normalizeAudio(inputPath, wavPath);
+
+    const durationSeconds = wavDurationSeconds(wav);
+    const { maxAudioDuration } = featureConfig.voiceInterface;
+    if (durationSeconds > maxAudioDuration) {
+      throw recordingError(413, `Voice messages can be at most ${maxAudioDuration} seconds long`);
+    }
+    if (durationSeconds < MIN_DURATION_SECONDS) {
+      throw recordingError(422, 'The recording is empty');
+    }
+
+    const result = await engine.transcribe({ wav, wavPath, durationSeconds });
+    if (!result.text) {
+      throw recordingError(422, 'No speech was recognized in the recording');
+    }
+
+    return {
+      transcribedText: result.text,
+      languageDetected: result.language,
+      confidence: result.confidence,
+      words: result.words,
+      durationSeconds: Math.round(durationSeconds * 100) / 100,
+      audioFormat,
+      engine: engine.name
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  transcribeAudio
+};
@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events helper for TicketHub
+ *
+ * Turns an Express response into a text/event-stream. Used for streaming
+ * AI replies; the frontend reads these with utils/eventStream.js (fetch
+ * rather than EventSource, so the x-auth-token header can be sent).
+ */
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Checks whether the client asked for an event stream (Accept: text/event-stream)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) => req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+
+/**
+ * Starts an event stream on the response
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Function} options.onClose - Called once when the stream ends (either side)
+ * @param {number} options.maxAgeMs - Close the stream after this long
+ * @returns {Object} { send(event, data), close() }
+ */
+const openEventStream = (res, options = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const maxAge = options.maxAgeMs ? setTimeout(() => close(), options.maxAgeMs) : null;
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(maxAge);
+    if (options.onClose) options.onClose();
+    res.end();
+  }
+
+  // The response closes when the client goes away
+  res.on('close', close);
+
+  return {
+    send: (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close
+  };
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
@@ -0,0 +1,45 @@
+/**
+ * Fake Speech-to-Text Engine
+ *
+ * Returns the same transcript for every recording, with the words spread
+ * evenly over its length, so the voice code paths can be exercised in
+ * development without a speech model. Select it with STT_ENGINE=fake and set
+ * the transcript with STT_FAKE_TRANSCRIPT.
+ */
+
+const DEFAULT_TRANSCRIPT = 'This is a test transcription of a voice message.';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Creates the engine
+ * @param {Object} options
+ * @param {string} options.transcript - Text to return (default: a fixed sentence)
+ * @returns {Object} Engine with transcribe({ durationSeconds })
+ */
+const createEngine = ({ transcript } = {}) => {
+  const transcribe = async ({ durationSeconds }) => {
+    const text = (transcript || DEFAULT_TRANSCRIPT).trim();
+    const words = text.split(/\s+/);
+    const step = durationSeconds / words.length;
+
+    return {
+      text,
+      language: null,
+      confidence: 1,
+      words: words.map((word, index) => ({
+        word,
+        start: round(index * step),
+        end: round((index + 1) * step),
+        confidence: 1
+      }))
+    };
+  };
+
+  return {
+    name: 'fake',
+    transcribe
+  };
+};
+
+module.exports = { createEngine };
@@ -0,0 +1,84 @@
+/**
+ * whisper.cpp Speech-to-Text Engine
+ *
+ * Runs the whisper.cpp command-line program (https://github.com/ggml-org/whisper.cpp)
+ * on the server, so recordings never leave it. Each word is output as its own
+ * segment (-ml 1 -sow) with token probabilities (-ojf), which gives the word
+ * timings and confidence; the language is detected (this needs a
+ * multilingual model, not one ending in .en).
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Special tokens ([_BEG_], [_TT_42], <|endoftext|>) aren't part of the text
+const SPECIAL_TOKEN = /^(\[_|<\|)/;
+// Annotations for what isn't speech, e.g. [BLANK_AUDIO] or (music)
+const NON_SPEECH = /^(\[.*\]|\(.*\))$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Creates the engine
+ * @param {Object} options
+ * @param {string} options.binary - whisper.cpp program (whisper-cli, or main in older releases)
+ * @param {string} options.model - Absolute path of the ggml model file
+ * @param {number} options.threads - Threads to use
+ * @param {number} options.timeoutMs - Longest a transcription may take
+ * @returns {Object} Engine with transcribe({ wavPath })
+ */
+const createEngine = ({ binary, model, threads, timeoutMs }) => {
+  if (!fs.existsSync(model)) {
+    throw new Error(`whisper.cpp model not found at ${model}`);
+  }
+
+  const transcribe = async ({ wavPath }) => {
+    const outputBase = wavPath.replace(/\.wav$/, '');
+    await execFileAsync(binary, [
+      '-m', model,
+      '-f', wavPath,
+      '-l', 'auto',
+      '-t', String(threads),
+      '-ml', '1', '-sow',
+      '-ojf', '-of', outputBase,
+      '-np'
+    ], { timeout: timeoutMs });
+
+    const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+    const words = (output.transcription || [])
+      .map(segment => ({ segment, word: segment.text.trim() }))
+      .filter(({ word }) => word && !NON_SPEECH.test(word))
+      .map(({ segment, word }) => {
+        const probabilities = (segment.tokens || [])
+          .filter(token => !SPECIAL_TOKEN.test(token.text))
+          .map(token => token.p);
+        const confidence = mean(probabilities);
+        return {
+          word,
+          start: segment.offsets.from / 1000,
+          end: segment.offsets.to / 1000,
+          confidence: confidence === null ? null : round(confidence)
+        };
+      });
+
+    const confidence = mean(words.map(word => word.confidence).filter(value => value !== null));
+    const detected = output.result?.language || output.params?.language;
+    return {
+      text: words.map(({ word }) => word).join(' '),
+      language: detected && detected !== 'auto' ? detected : null,
+      confidence: confidence === null ? null : round(confidence),
+      words
+    };
+  };
+
+  return {
+    name: 'whisper-cpp',
+    transcribe
+  };
+};
+
+module.exports = { createEngine };
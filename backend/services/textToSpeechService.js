@@ -0,0 +1,175 @@
+/**
+ * Text-to-Speech Service for TicketHub
+ *
+ * Speaks the assistant's replies with a local engine, in the patient's
+ * language and preferred voice (User.voicePreference, else
+ * voiceInterface.defaultVoiceGender). Replies can contain health details,
+ * so the audio is only kept in memory: each clip can be played back by the
+ * patients it was spoken to, through GET /api/enhanced-ai/audio/:id, until
+ * it expires (textToSpeech.cacheTtl) or makes room for newer ones
+ * (textToSpeech.cacheMaxSize). The same reply in the same voice is only
+ * synthesized once.
+ *
+ * Engines live in services/ttsEngines/ and share a single method,
+ * synthesize({ text, language, gender }), which resolves to
+ * { audio, contentType, voice }, or null when it has no voice for the
+ * language. A cloud engine only needs to implement that method.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const languageService = require('./languageService');
+const featureConfig = require('../config/enhancedFeatures');
+
+const settings = () => featureConfig.voiceInterface.textToSpeech;
+
+const ENGINES = {
+  'espeak-ng': () => require('./ttsEngines/espeakNg').createEngine({
+    ...settings().espeakNg,
+    timeoutMs: settings().timeoutMs
+  }),
+  piper: () => require('./ttsEngines/piper').createEngine({
+    binary: settings().piper.binary,
+    voices: Object.fromEntries(Object.entries(settings().piper.voices).map(([language, models]) => [
+      language,
+      Object.fromEntries(Object.entries(models).map(([gender, model]) => [gender, path.resolve(__dirname, '..', model)]))
+    ])),
+    timeoutMs: settings().timeoutMs
+  })
+};
+
+// Initialize the configured engine
+let engine = null;
+try {
+  const { engine: engineName } = settings();
+  if (!ENGINES[engineName]) {
+    throw new Error(`Unknown text-to-speech engine "${engineName}" (expected ${Object.keys(ENGINES).join(', ')})`);
+  }
+  engine = ENGINES[engineName]();
+  console.log(`Text-to-speech engine initialized: ${engine.name}`);
+} catch (error) {
+  console.error('Error initializing text-to-speech engine:', error.message);
+  console.warn('Replies will not be spoken. Please check voiceInterface.textToSpeech.');
+}
+
+// Spoken replies by ID, least recently used first: { audio, contentType, voice, userIds, expiresAt }
+const clips = new Map();
+let cacheSize = 0;
+// Replies being synthesized, so the same reply asked for twice at once is spoken once: id -> Promise
+const inFlight = new Map();
+
+const removeClip = (id) => {
+  cacheSize -= clips.get(id).audio.length;
+  clips.delete(id);
+};
+
+// Drop expired clips, then the least recently used until the cache fits
+const pruneClips = () => {
+  const now = Date.now();
+  [...clips.entries()]
+    .filter(([, clip]) => clip.expiresAt <= now)
+    .forEach(([id]) => removeClip(id));
+  for (const id of clips.keys()) {
+    if (cacheSize <= settings().cacheMaxSize) break;
+    removeClip(id);
+  }
+};
+
+// Synthesizes a reply into the cache; null when there is no voice for the language or synthesis failed
+const synthesizeClip = async (id, { text, language, gender }) => {
+  let result;
+  try {
+    result = await engine.synthesize({ text, language, gender });
+  } catch (err) {
+    console.error(`Error synthesizing a reply with ${engine.name}:`, err.message);
+    return null;
+  }
+  if (!result) {
+    console.warn(`No ${engine.name} voice for language "${language}"; the reply will not be spoken`);
+    return null;
+  }
+  const clip = { ...result, userIds: new Set(), expiresAt: Date.now() + settings().cacheTtl * 60 * 1000 };
+  clips.set(id, clip);
+  cacheSize += clip.audio.length;
+  return clip;
+};
+
+// Reads better aloud: no list markers, one line
+const toSpeech = (text) => text
+  .replace(/^\s*[-*•]\s+/gm, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Speaks a reply
+ * @param {string} text - The reply
+ * @param {Object} options - { userId, language, gender }: userId is the patient who may play it,
+ *   language a preferredLanguage code ('auto' or none detects it from the text), gender 'female'
+ *   or 'male' (default voiceInterface.defaultVoiceGender)
+ * @returns {Promise<Object|null>} { id, url, contentType, language, gender, voice, engine, cached },
+ *   or null when replies aren't spoken, there is no voice for the language, or synthesis failed
+ */
+const generateVoiceResponse = async (text, options = {}) => {
+  const speech = toSpeech(text || '');
+  if (!featureConfig.voiceInterface.outputEnabled || !engine || !speech) {
+    return null;
+  }
+
+  const language = options.language && options.language !== 'auto'
+    ? options.language
+    : languageService.detectLanguage(speech);
+  const gender = options.gender || featureConfig.voiceInterface.defaultVoiceGender;
+  const id = crypto.createHash('sha256')
+    .update(JSON.stringify([engine.name, language, gender, speech]))
+    .digest('hex')
+    .slice(0, 32);
+  let clip = clips.get(id);
+  const cached = !!clip && clip.expiresAt > Date.now();
+  if (cached) {
+    // Most recently used again
+    clips.delete(id);
+    clips.set(id, clip);
+  } else {
+    // Patients asking for the same reply at once share one clip
+    if (!inFlight.has(id)) {
+      if (clip) removeClip(id);
+      inFlight.set(id, synthesizeClip(id, { text: speech, language, gender }).finally(() => inFlight.delete(id)));
+    }
+    clip = await inFlight.get(id);
+    if (!clip) return null;
+  }
+
+  clip.userIds.add(String(options.userId));
+  clip.expiresAt = Date.now() + settings().cacheTtl * 60 * 1000;
+  pruneClips();
+
+  return {
+    id,
+    url: `/api/enhanced-ai/audio/${id}`,
+    contentType: clip.contentType,
+    language,
+    gender,
+    voice: clip.voice,
+    engine: engine.name,
+    cached
+  };
+};
+
+/**
+ * Gets a spoken reply for playback
+ * @param {string} id - ID from generateVoiceResponse
+ * @param {string} userId - The user asking; only patients it was spoken to get it
+ * @returns {Object|null} { audio, contentType }, or null when unknown, expired or not theirs
+ */
+const getVoiceAudio = (id, userId) => {
+  const clip = clips.get(id);
+  if (!clip || clip.expiresAt <= Date.now() || !clip.userIds.has(String(userId))) {
+    return null;
+  }
+  return { audio: clip.audio, contentType: clip.contentType };
+};
+
+module.exports = {
+  generateVoiceResponse,
+  getVoiceAudio
+};
@@ -0,0 +1,153 @@
+/**
+ * Ticket Reply Service for TicketHub
+ *
+ * Writes the AI assistant's reply to a ticket message: GPT when it is
+ * available (streamed token by token), otherwise the rule-based reply from
+ * aiService (sent as a single chunk). Progress goes to replyStreamService
+ * so open ticket pages can show the reply as it is written.
+ *
+ * Replies run as jobs (see jobQueueService), one per message, so they are
+ * retried on failure and survive restarts. Answering is idempotent: a message
+ * that already has a reply is skipped.
+ */
+
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const { generateAIReply, analyzeMessage } = require('./aiService');
+const { isGptAvailable, enhanceResponseWithGpt, handleUnknownQuery } = require('./gptService');
+const { classifyIntent } = require('./intentService');
+const conversationContext = require('./conversationContextService');
+const replyStream = require('./replyStreamService');
+const { publishTicket } = require('./realtimeService');
+const jobQueue = require('./jobQueueService');
+
+const AI_REPLY_JOB = 'ai_reply';
+
+/**
+ * Generates an AI reply
+ * @param {Object} ticket - Ticket being answered (messages include the new message)
+ * @param {string} content - The message to answer
+ * @param {string} userId - ID of the user who sent it
+ * @param {Function} onToken - Called with each piece of the reply as it is generated
+ * @returns {Promise<Object>} { text, intent, template } (see aiService.generateAIReply;
+ *   GPT replies use the templates 'gpt.enhance' and 'gpt.unknown_query')
+ */
+const generateReply = async (ticket, content, userId, onToken) => {
+  // Get user preferences
+  const user = await User.findById(userId);
+  const preferredLanguage = user?.preferredLanguage || 'en';
+
+  // The rule-based reply, once generated (it also records the turn in the conversation context)
+  let basicResponse = null;
+
+  // Try to use enhanced AI with GPT if available
+  try {
+    if (isGptAvailable()) {
+      // Format conversation history for context
+      const conversationHistory = ticket.messages.map(msg => ({
+        content: msg.content,
+        isAI: msg.isAI
+      }));
+
+      // An unclear message may follow up on the ticket's earlier topic
+      const classification = classifyIntent(content);
+      const conversation = { ticketId: ticket.id, userId };
+      const intent = classification.isConfident
+        ? classification.intent
+        : conversationContext.followUpIntent(await conversationContext.getContext(conversation));
+
+      if (intent) {
+        // Get basic response first, then let GPT rewrite it
+        basicResponse = await generateAIReply(content, ticket.category, userId, preferredLanguage, ticket.id);
+        const text = await enhanceResponseWithGpt(basicResponse.text, content, intent, conversationHistory, onToken);
+        // (GPT hands back the basic response unchanged when it fails)
+        return { text, intent, template: text === basicResponse.text ? basicResponse.template : 'gpt.enhance' };
+      }
+      // When nothing tells what the message is about, let GPT handle it directly
+      const text = await handleUnknownQuery(content, conversationHistory, onToken);
+      await conversationContext.recordTurn(conversation, {
+        intent: null,
+        confidence: classification.confidence,
+        entities: analyzeMessage(content).entities,
+        language: preferredLanguage
+      });
+      return { text, intent: null, template: 'gpt.unknown_query' };
+    }
+  } catch (gptError) {
+    console.error('Error using GPT service:', gptError.message);
+  }
+
+  // Fall back to basic AI response
+  return basicResponse || generateAIReply(content, ticket.category, userId, preferredLanguage, ticket.id);
+};
+
+/**
+ * Queues the AI reply to a ticket message
+ * @param {Object} ticket - Ticket the message belongs to
+ * @param {Object} message - The message to answer (already saved)
+ * @param {string} userId - ID of the user who sent it
+ * @returns {Promise<boolean>} True if a new job was queued
+ */
+const queueReply = (ticket, message, userId) => jobQueue.enqueue(AI_REPLY_JOB, {
+  ticketId: ticket.id,
+  messageId: message.id,
+  userId: userId.toString()
+}, { idempotencyKey: `${AI_REPLY_JOB}:${message.id}` });
+
+/**
+ * Generates, streams and saves the AI reply to a ticket message (the ai_reply job)
+ * @param {Object} payload - { ticketId, messageId, userId }
+ * @returns {Promise<void>}
+ */
+const replyToMessage = async ({ ticketId, messageId, userId }) => {
+  const ticket = await Ticket.findById(ticketId);
+  const message = ticket?.messages.id(messageId);
+
+  // Ticket or message deleted since, or answered by an earlier attempt
+  if (!message || ticket.messages.some(msg => msg.isAI && msg.replyTo?.toString() === messageId)) {
+    return;
+  }
+
+  const reply = replyStream.begin(ticket.id);
+  let replyId = null;
+
+  try {
+    const content = ticket.getOriginal('messages.content', message._id);
+    const { text: aiResponse, intent, template } = await generateReply(ticket, content, userId, reply.append);
+
+    // Show the whole reply; the rule-based reply (and GPT's fallbacks) aren't streamed
+    reply.complete(aiResponse);
+
+    if (!ticket.aiResponded) {
+      ticket.aiResponded = true;
+      ticket.aiResponse = aiResponse;
+    }
+    ticket.messages.push({
+      isAI: true,
+      content: aiResponse,
+      replyTo: message._id,
+      intent,
+      template,
+      timestamp: Date.now()
+    });
+    ticket.updatedAt = Date.now();
+    await ticket.save();
+
+    replyId = ticket.messages[ticket.messages.length - 1].id;
+    publishTicket(ticket, 'ai_reply');
+  } finally {
+    reply.end(replyId);
+  }
+};
+
+// Job handlers for the worker (see jobQueueService.startWorker)
+const jobHandlers = {
+  [AI_REPLY_JOB]: replyToMessage
+};
+
+module.exports = {
+  generateReply,
+  queueReply,
+  replyToMessage,
+  jobHandlers
+};
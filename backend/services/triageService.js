@@ -0,0 +1,313 @@
+/**
+ * Triage Service for TicketHub
+ *
+ * Rates how soon a patient should be seen from the symptoms in their
+ * message: routine, prompt (within days), urgent (today) or emergency.
+ *
+ * The clinical content lives in a versioned rule set that clinicians edit
+ * without touching code (triageSystem.rulesPath, config/triageRules.json by
+ * default):
+ *   symptoms  - phrases that indicate each symptom
+ *   rules     - a symptom or combination of symptoms and the level it needs
+ *   modifiers - raise the level for the patient's age or how long symptoms
+ *               have lasted (both read from the message, or passed in)
+ *   negation  - words that rule a symptom out ("no chest pain")
+ * The file is reread when it changes; an invalid edit is logged and the
+ * previous rules stay in use.
+ *
+ * Every result explains itself: the rules and modifiers that fired, the
+ * symptoms found and ruled out, and the rule set version. When in doubt
+ * the engine errs towards the more urgent level: a negation cue only counts
+ * right before the symptom ("no chest pain", "denies any fever") and within
+ * its clause, and weak cues ("not", "never") don't rule out red flags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const featureConfig = require('../config/enhancedFeatures');
+
+// Least to most urgent
+const LEVELS = ['routine', 'prompt', 'urgent', 'emergency'];
+
+const DAYS_PER_UNIT = { minute: 1 / 1440, hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, couple: 2, few: 3, several: 3
+};
+const COUNT = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(minute|hour|day|week|month|year)s?';
+
+const rank = (level) => LEVELS.indexOf(level);
+const round = (value) => Math.round(value * 100) / 100;
+
+// Lowercase, without apostrophes ("can't" -> "cant") and with single spaces
+const normalize = (text) => text.toLowerCase().replace(/['’`]/g, '').replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match of any of the phrases
+const phrasesPattern = (phrases) => new RegExp(
+  `(?<![a-z0-9])(?:${phrases.map(phrase => escapeRegExp(normalize(phrase)).replace(/ /g, '\\s+')).join('|')})(?![a-z0-9])`,
+  'g'
+);
+
+const parseCount = (value) => NUMBER_WORDS[value] || parseFloat(value);
+
+/**
+ * Checks a rule set and prepares it for matching
+ * @param {Object} rules - Parsed rule set (see config/triageRules.json)
+ * @returns {Object} The compiled rule set
+ * @throws {Error} Describing the first problem found
+ */
+const compileRules = (rules) => {
+  if (!rules.version) throw new Error('The rule set needs a version');
+  if (!rules.symptoms || typeof rules.symptoms !== 'object') throw new Error('The rule set needs symptoms');
+
+  const checkLevel = (level, where) => {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`${where}: unknown level "${level}" (expected ${LEVELS.join(', ')})`);
+    }
+  };
+  const checkSymptoms = (ids, where) => (ids || []).forEach(id => {
+    if (!rules.symptoms[id]) throw new Error(`${where}: unknown symptom "${id}"`);
+  });
+
+  LEVELS.forEach(level => {
+    if (!rules.levels?.[level]?.careRecommendation) {
+      throw new Error(`Level "${level}" needs a careRecommendation`);
+    }
+  });
+  checkLevel(rules.defaultLevel, 'defaultLevel');
+
+  const ids = new Set();
+  const checkId = (id) => {
+    if (!id || ids.has(id)) throw new Error(`Missing or duplicate rule ID "${id}"`);
+    ids.add(id);
+  };
+
+  (rules.rules || []).forEach(rule => {
+    checkId(rule.id);
+    if (!rule.all?.length && !rule.any?.length) throw new Error(`${rule.id}: needs "all" or "any" symptoms`);
+    checkSymptoms(rule.all, rule.id);
+    checkSymptoms(rule.any, rule.id);
+    checkLevel(rule.urgency, rule.id);
+  });
+
+  (rules.modifiers || []).forEach(modifier => {
+    checkId(modifier.id);
+    checkSymptoms(modifier.symptoms, modifier.id);
+    if (modifier.atLeast) checkLevel(modifier.atLeast, modifier.id);
+    else if (!Number.isInteger(modifier.raiseBy)) throw new Error(`${modifier.id}: needs "atLeast" or "raiseBy"`);
+    if (modifier.minLevel) checkLevel(modifier.minLevel, modifier.id);
+    if (modifier.maxLevel) checkLevel(modifier.maxLevel, modifier.id);
+  });
+
+  const negation = rules.negation || {};
+  // A cue right before a symptom, or before its fillers ("no", "denies any", "not my")
+  const fillers = negation.fillers?.length ? `(?:\\s+${phrasesPattern(negation.fillers).source})*` : '';
+  const cueBefore = (cues) => (cues?.length ? new RegExp(`${phrasesPattern(cues).source}${fillers}\\s*$`) : null);
+  return {
+    ...rules,
+    rules: rules.rules || [],
+    modifiers: rules.modifiers || [],
+    symptomPatterns: Object.entries(rules.symptoms).map(([id, phrases]) => {
+      if (!Array.isArray(phrases) || phrases.length === 0) throw new Error(`Symptom "${id}" needs phrases`);
+      return { id, pattern: phrasesPattern(phrases) };
+    }),
+    negation: {
+      cue: cueBefore(negation.cues),
+      weakCue: cueBefore(negation.weakCues),
+      pseudoCues: negation.pseudoCues?.length ? phrasesPattern(negation.pseudoCues) : null,
+      terminators: negation.terminators?.length ? phrasesPattern(negation.terminators) : null
+    },
+    // Symptoms in emergency rules (red flags); weak cues don't rule them out
+    redFlags: new Set((rules.rules || [])
+      .filter(rule => rule.urgency === 'emergency')
+      .flatMap(rule => [...(rule.all || []), ...(rule.any || [])]))
+  };
+};
+
+const rulesPath = () => path.resolve(__dirname, '..', featureConfig.triageSystem.rulesPath);
+
+let loaded = { path: null, mtimeMs: null, rules: null };
+
+// The current rule set, reread when the file changes
+const getRules = () => {
+  const file = rulesPath();
+  const { mtimeMs } = fs.statSync(file);
+  if (loaded.rules && loaded.path === file && loaded.mtimeMs === mtimeMs) {
+    return loaded.rules;
+  }
+
+  try {
+    const rules = compileRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    loaded = { path: file, mtimeMs, rules };
+    console.log(`Triage rules ${rules.version} loaded from ${file}`);
+  } catch (err) {
+    if (!loaded.rules) {
+      throw new Error(`Invalid triage rules in ${file}: ${err.message}`);
+    }
+    // Keep triaging with the last good rules until the file is fixed
+    console.error(`Invalid triage rules in ${file}, still using ${loaded.rules.version}: ${err.message}`);
+    loaded = { ...loaded, mtimeMs };
+  }
+  return loaded.rules;
+};
+
+// Splits text into clauses; a negation doesn't reach past the end of its clause
+const clausesOf = (text, negation) => {
+  let marked = text.replace(/[.,;:!?()\n]/g, '|');
+  if (negation.terminators) {
+    marked = marked.replace(negation.terminators, '|');
+  }
+  return marked.split('|').map(clause => clause.trim()).filter(Boolean);
+};
+
+// Whether a negation cue directly precedes the match at index in the clause
+const isNegated = (clause, index, negation, redFlag) => {
+  let before = clause.slice(0, index);
+  if (negation.pseudoCues) {
+    // "not sure", "no better"... only look like negations
+    before = before.replace(negation.pseudoCues, (match) => '_'.repeat(match.length));
+  }
+  return !!(negation.cue?.test(before) || (!redFlag && negation.weakCue?.test(before)));
+};
+
+// Symptoms mentioned in the text, and those only mentioned as absent
+const findSymptoms = (text, rules) => {
+  const present = new Map();
+  const negated = new Set();
+
+  clausesOf(text, rules.negation).forEach(clause => {
+    rules.symptomPatterns.forEach(({ id, pattern }) => {
+      for (const match of clause.matchAll(pattern)) {
+        if (isNegated(clause, match.index, rules.negation, rules.redFlags.has(id))) {
+          negated.add(id);
+        } else {
+          present.set(id, [...new Set([...(present.get(id) || []), match[0]])]);
+        }
+      }
+    });
+  });
+
+  return { present, negated: [...negated].filter(id => !present.has(id)) };
+};
+
+// Age in years, e.g. "my 2 month old", "I'm 80 years old", "aged 67"
+const findAge = (text) => {
+  const old = text.match(new RegExp(`\\b${COUNT}[ -](day|week|month|year)s?[ -]old\\b`));
+  if (old) {
+    return round(parseCount(old[1]) * DAYS_PER_UNIT[old[2]] / 365);
+  }
+  const aged = text.match(/\baged? (\d{1,3})\b/);
+  if (aged) {
+    return parseInt(aged[1], 10);
+  }
+  return /\bnewborn\b/.test(text) ? 0 : null;
+};
+
+// How long the symptoms have lasted in days, e.g. "for three days", "since last week"
+const findDuration = (text) => {
+  const durations = [];
+  const spans = new RegExp(`\\b(?:for|past|last|over) (?:the )?(?:last |past )?${COUNT}(?: of)? ${UNIT}`, 'g');
+  for (const match of text.matchAll(spans)) {
+    durations.push(parseCount(match[1]) * DAYS_PER_UNIT[match[2]]);
+  }
+  const since = text.match(/\bsince (yesterday|last night|last week|last month)\b/);
+  if (since) {
+    durations.push({ yesterday: 1, 'last night': 1, 'last week': 7, 'last month': 30 }[since[1]]);
+  }
+  return durations.length ? round(Math.max(...durations)) : null;
+};
+
+/**
+ * Triages a message describing symptoms
+ * @param {string} message - The patient's message
+ * @param {Object} options - { age (years), durationDays }; found in the message when not given
+ * @returns {Object} { urgencyLevel, careRecommendation, requiresHumanReview, symptoms,
+ *   negatedSymptoms, age, durationDays, firedRules, modifiers, explanation, rulesVersion }
+ */
+const triage = (message, options = {}) => {
+  const rules = getRules();
+  const text = normalize(message || '');
+  const { present, negated } = findSymptoms(text, rules);
+  const age = options.age ?? findAge(text);
+  const durationDays = options.durationDays ?? findDuration(text);
+  const has = (id) => present.has(id);
+
+  // Rules: the most urgent one that fired sets the level
+  const firedRules = rules.rules
+    .filter(rule => (rule.all || []).every(has) && (!rule.any || rule.any.some(has)))
+    .map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      urgency: rule.urgency,
+      matched: [...(rule.all || []), ...(rule.any || []).filter(has)].flatMap(id => present.get(id))
+    }));
+  let urgencyLevel = firedRules.reduce(
+    (level, rule) => (rank(rule.urgency) > rank(level) ? rule.urgency : level),
+    rules.defaultLevel
+  );
+
+  // Modifiers: applied in order, they only ever raise the level
+  const modifiers = [];
+  rules.modifiers.forEach(modifier => {
+    const applies = (!modifier.symptoms || modifier.symptoms.some(has)) &&
+      (modifier.ageBelow === undefined || (age !== null && age < modifier.ageBelow)) &&
+      (modifier.ageAtLeast === undefined || (age !== null && age >= modifier.ageAtLeast)) &&
+      (modifier.durationAtLeastDays === undefined || (durationDays !== null && durationDays >= modifier.durationAtLeastDays)) &&
+      (!modifier.minLevel || rank(urgencyLevel) >= rank(modifier.minLevel));
+    if (!applies) return;
+
+    const target = modifier.atLeast
+      ? Math.max(rank(urgencyLevel), rank(modifier.atLeast))
+      : Math.max(rank(urgencyLevel), Math.min(rank(urgencyLevel) + modifier.raiseBy, rank(modifier.maxLevel || 'emergency')));
+    modifiers.push({ id: modifier.id, description: modifier.description, from: urgencyLevel, to: LEVELS[target] });
+    urgencyLevel = LEVELS[target];
+  });
+
+  const explanation = [
+    ...firedRules.map(rule => `${rule.id} ${rule.description}: ${rule.urgency} (matched "${rule.matched.join('", "')}")`),
+    ...modifiers.map(modifier => `${modifier.id} ${modifier.description}: ${modifier.from === modifier.to
+      ? `already ${modifier.to}`
+      : `${modifier.from} -> ${modifier.to}`}`),
+    ...(negated.length ? [`Ruled out by the patient: ${negated.join(', ')}`] : [])
+  ];
+  if (firedRules.length === 0) {
+    explanation.unshift(`No rule fired: ${rules.defaultLevel}`);
+  }
+
+  return {
+    urgencyLevel,
+    careRecommendation: rules.levels[urgencyLevel].careRecommendation,
+    requiresHumanReview: rank(urgencyLevel) >= rank('urgent'),
+    symptoms: [...present.keys()],
+    negatedSymptoms: negated,
+    age,
+    durationDays,
+    firedRules,
+    modifiers,
+    explanation,
+    rulesVersion: rules.version
+  };
+};
+
+/**
+ * Describes the rule set in use
+ * @returns {Object} { version, updated, path, rules, modifiers } (counts)
+ */
+const getRulesInfo = () => {
+  const rules = getRules();
+  return {
+    version: rules.version,
+    updated: rules.updated || null,
+    path: loaded.path,
+    rules: rules.rules.length,
+    modifiers: rules.modifiers.length
+  };
+};
+
+module.exports = {
+  triage,
+  getRulesInfo
+};
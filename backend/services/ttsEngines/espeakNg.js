@@ -0,0 +1,49 @@
+/**
+ * eSpeak NG Text-to-Speech Engine
+ *
+ * Runs the espeak-ng program (https://github.com/espeak-ng/espeak-ng) on the
+ * server. It speaks almost every language from a small install, in a
+ * recognizably synthetic voice; the gender comes from a voice variant.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Creates the engine
+ * @param {Object} options
+ * @param {string} options.binary - espeak-ng program
+ * @param {number} options.speed - Words per minute
+ * @param {Object} options.voices - espeak-ng voice per language code, e.g. { en: 'en-us' }
+ * @param {Object} options.variants - Variant per gender, e.g. { female: 'f3', male: 'm3' }
+ * @param {number} options.timeoutMs - Longest synthesizing may take
+ * @returns {Object} Engine with synthesize({ text, language, gender })
+ */
+const createEngine = ({ binary, speed, voices, variants, timeoutMs }) => {
+  const synthesize = async ({ text, language, gender }) => {
+    if (!voices[language]) return null;
+    const voice = `${voices[language]}+${variants[gender] || variants.female}`;
+
+    // The text goes through stdin so it is never read as an option
+    const run = execFileAsync(binary, ['-v', voice, '-s', String(speed), '-b', '1', '--stdin', '--stdout'], {
+      encoding: 'buffer',
+      maxBuffer: 50 * 1024 * 1024,
+      timeout: timeoutMs
+    });
+    // If espeak-ng exits early, writing fails with EPIPE; the exit status reports it instead
+    run.child.stdin.on('error', () => {});
+    run.child.stdin.end(text);
+    const { stdout } = await run;
+
+    return { audio: stdout, contentType: 'audio/wav', voice };
+  };
+
+  return {
+    name: 'espeak-ng',
+    synthesize
+  };
+};
+
+module.exports = { createEngine };
@@ -0,0 +1,73 @@
+/**
+ * Piper Text-to-Speech Engine
+ *
+ * Runs the piper program (https://github.com/rhasspy/piper) on the server
+ * with a neural voice model per language and gender. Voices sound natural
+ * but each language needs its model downloaded; languages without one get
+ * no spoken reply.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Creates the engine
+ * @param {Object} options
+ * @param {string} options.binary - piper program
+ * @param {Object} options.voices - Absolute model paths per language and gender,
+ *   e.g. { en: { female: '/.../en_US-amy-medium.onnx', male: '...' } }
+ * @param {number} options.timeoutMs - Longest synthesizing may take
+ * @returns {Object} Engine with synthesize({ text, language, gender })
+ */
+const createEngine = ({ binary, voices, timeoutMs }) => {
+  // Only the voices whose model has been downloaded
+  const installed = {};
+  Object.entries(voices).forEach(([language, models]) => {
+    Object.entries(models).forEach(([gender, model]) => {
+      if (fs.existsSync(model)) {
+        installed[language] = { ...installed[language], [gender]: model };
+      }
+    });
+  });
+  if (Object.keys(installed).length === 0) {
+    throw new Error(`No piper voice models found (looked for ${Object.values(voices).flatMap(Object.values).join(', ')})`);
+  }
+  console.log(`Piper voices installed for: ${Object.keys(installed).join(', ')}`);
+
+  const synthesize = async ({ text, language, gender }) => {
+    const models = installed[language];
+    if (!models) return null;
+    const model = models[gender] || Object.values(models)[0];
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tickethub-tts-'));
+    try {
+      const outputPath = path.join(workDir, 'reply.wav');
+      // Piper reads one utterance per line
+      const run = execFileAsync(binary, ['--model', model, '--output_file', outputPath], { timeout: timeoutMs });
+      // If piper exits early, writing fails with EPIPE; the exit status reports it instead
+      run.child.stdin.on('error', () => {});
+      run.child.stdin.end(text.replace(/\s+/g, ' '));
+      await run;
+
+      return {
+        audio: await fs.promises.readFile(outputPath),
+        contentType: 'audio/wav',
+        voice: path.basename(model, '.onnx')
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  };
+
+  return {
+    name: 'piper',
+    synthesize
+  };
+};
+
+module.exports = { createEngine };
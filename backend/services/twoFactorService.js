@@ -0,0 +1,220 @@
+/**
+ * Two-Factor Authentication Service for TicketHub
+ *
+ * TOTP (RFC 6238) codes from an authenticator app, plus single-use backup
+ * codes for when the phone is lost. Required for healthcare providers and
+ * admins, optional for patients.
+ *
+ * Login becomes a two-step challenge:
+ * 1. POST /api/auth/login checks the password and returns a short-lived challenge token
+ * 2. POST /api/auth/login/2fa exchanges the challenge token and a code for a session
+ * Users who must have 2FA but haven't enrolled yet use the challenge token
+ * to enroll first (POST /api/auth/2fa/setup and /api/auth/2fa/enable).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+// 30-second codes; the previous and next code are accepted to allow for clock drift
+const TOTP_STEP = 30;
+authenticator.options = { step: TOTP_STEP, window: 1 };
+
+const ISSUER = process.env.TOTP_ISSUER || 'TicketHub';
+const REQUIRED_ROLES = ['healthcare_provider', 'admin'];
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Wrong codes allowed before verification is paused
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const hashBackupCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Checks whether a user's role requires two-factor authentication
+ * @param {Object} user - User document
+ * @returns {boolean} True for healthcare providers and admins
+ */
+const isRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Signs a challenge token that proves the password step succeeded
+ * It has no session ID, so middleware/auth.js never accepts it as an access token
+ * @param {Object} user - User document
+ * @param {string} purpose - '2fa_login' or '2fa_setup'
+ * @returns {string} Signed JWT valid for 5 minutes
+ */
+const signChallenge = (user, purpose) => {
+  return jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+/**
+ * Verifies a challenge token
+ * @param {string} token - Challenge token from the client
+ * @param {string} purpose - Expected purpose
+ * @returns {string|null} The user ID, or null if invalid, expired or for another purpose
+ */
+const verifyChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Starts enrollment: creates a new secret and the QR code to scan
+ * The secret only becomes active once enable() confirms a code from it
+ * @param {Object} user - User document (saved by this function)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+const startSetup = async (user) => {
+  const secret = authenticator.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Generates a fresh set of backup codes
+ * @returns {Object} { codes, hashes } - show codes to the user once, store only hashes
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Checks a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code
+ * @param {number|null} lastUsedStep - Time step of the last accepted code
+ * @returns {number|null} The code's time step, or null if wrong or already used
+ */
+const checkCode = (secret, code, lastUsedStep) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) return null;
+
+  const delta = authenticator.checkDelta(code.trim(), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP) + delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) return null;
+  return step;
+};
+
+/**
+ * Finishes enrollment once the user proves the app shows the right codes
+ * @param {Object} user - User document (saved by this function)
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} Backup codes to show once, or null if the code is wrong
+ */
+const enable = async (user, code) => {
+  const step = checkCode(user.twoFactorPendingSecret, code, null);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorEnabled = true;
+  user.twoFactorBackupCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorLockedUntil = null;
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Verifies a second factor: a TOTP code or an unused backup code
+ * Consecutive failures pause verification for 15 minutes.
+ * @param {Object} user - User document (saved by this function)
+ * @param {Object} factor - { code } or { backupCode }
+ * @returns {Promise<Object>} { ok, method: 'totp'|'backup_code', reason: 'invalid'|'locked' }
+ */
+const verify = async (user, { code, backupCode }) => {
+  if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+    return { ok: false, reason: 'locked' };
+  }
+
+  let method = null;
+  if (code) {
+    const step = checkCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step !== null) {
+      user.twoFactorLastUsedStep = step;
+      method = 'totp';
+    }
+  } else if (typeof backupCode === 'string') {
+    const hash = hashBackupCode(backupCode);
+    if (user.twoFactorBackupCodes.includes(hash)) {
+      // Backup codes work once
+      user.twoFactorBackupCodes = user.twoFactorBackupCodes.filter(stored => stored !== hash);
+      method = 'backup_code';
+    }
+  }
+
+  if (!method) {
+    user.twoFactorFailedAttempts += 1;
+    if (user.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS) {
+      user.twoFactorFailedAttempts = 0;
+      user.twoFactorLockedUntil = new Date(Date.now() + LOCKOUT_MS);
+    }
+    await user.save();
+    return { ok: false, reason: 'invalid' };
+  }
+
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorLockedUntil = null;
+  await user.save();
+  return { ok: true, method };
+};
+
+/**
+ * Replaces the user's backup codes
+ * @param {Object} user - User document (saved by this function)
+ * @returns {Promise<string[]>} New backup codes to show once
+ */
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+/**
+ * Turns two-factor authentication off and forgets the secret
+ * @param {Object} user - User document (saved by this function)
+ */
+const disable = async (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorBackupCodes = [];
+  user.twoFactorLastUsedStep = null;
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorLockedUntil = null;
+  await user.save();
+};
+
+module.exports = {
+  isRequired,
+  signChallenge,
+  verifyChallenge,
+  startSetup,
+  enable,
+  verify,
+  regenerateBackupCodes,
+  disable
+};
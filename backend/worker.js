@@ -0,0 +1,48 @@
+/**
+ * Job Worker for TicketHub
+ *
+ * Runs background jobs (AI replies to ticket messages) in a process of its
+ * own, so replies keep flowing while the API server restarts and can scale
+ * separately. Start the API server with JOB_WORKER=external so it doesn't
+ * run jobs itself; live updates from this process reach clients through the
+ * API server (see services/eventBus.js).
+ *
+ * Usage: npm run worker
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const eventBus = require('./services/eventBus');
+const { startWorker } = require('./services/jobQueueService');
+const { jobHandlers } = require('./services/ticketReplyService');
+const { initIntentModel } = require('./services/intentService');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tickethub';
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('MongoDB connected successfully');
+
+  eventBus.relayToServer();
+  await initIntentModel();
+  const stopWorker = startWorker(jobHandlers);
+
+  // Finish the job in hand before exiting; anything else stays queued
+  const shutdown = async () => {
+    console.log('Stopping job worker...');
+    await stopWorker();
+    await eventBus.flush();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+run().catch(err => {
+  console.error('Job worker failed to start:', err.message);
+  process.exit(1);
+});
@@ -12,11 +12,19 @@ import Dashboard from './components/dashboard/Dashboard';
 import TicketList from './components/tickets/TicketList';
 import TicketDetail from './components/tickets/TicketDetail';
 import CreateTicket from './components/tickets/CreateTicket';
+import Profile from './components/profile/Profile';
+import UserManagement from './components/admin/UserManagement';
+import TrainingData from './components/admin/TrainingData';
+import FeedbackReport from './components/admin/FeedbackReport';
 import NotFound from './components/layout/NotFound';
 
 // Auth components
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import AcceptInvite from './components/auth/AcceptInvite';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
 import PrivateRoute from './utils/PrivateRoute';
 
 const theme = createTheme({
@@ -44,9 +52,17 @@ function App() {
             <Route path="/" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/accept-invite" element={<AcceptInvite />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             <Route path="/tickets" element={<PrivateRoute><TicketList /></PrivateRoute>} />
             <Route path="/tickets/new" element={<PrivateRoute><CreateTicket /></PrivateRoute>} />
             <Route path="/tickets/:id" element={<PrivateRoute><TicketDetail /></PrivateRoute>} />
+            <Route path="/profile" element={<PrivateRoute><Profile /></PrivateRoute>} />
+            <Route path="/admin/users" element={<PrivateRoute permission="user.manage"><UserManagement /></PrivateRoute>} />
+            <Route path="/admin/training" element={<PrivateRoute permission="training.manage"><TrainingData /></PrivateRoute>} />
+            <Route path="/admin/feedback" element={<PrivateRoute permission="feedback.read"><FeedbackReport /></PrivateRoute>} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </main>
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Box,
+  CircularProgress,
+  Chip,
+  TextField,
+  Alert,
+  Grid,
+  Rating,
+  Link
+} from '@mui/material';
+import api from '../../utils/api';
+
+// Shown as percentages; null when nobody has voted
+const percent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+const intentLabel = (intent) => intent || 'none (clarifying question)';
+const templateLabel = (template) => template || 'untagged';
+
+/**
+ * Table of intents or templates, worst first. Rows with too few votes to
+ * judge are greyed out at the bottom.
+ */
+const FeedbackTable = ({ title, rows, labelKey, label }) => (
+  <Paper sx={{ p: 3, mb: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      {title}
+    </Typography>
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{labelKey === 'intent' ? 'Intent' : 'Template'}</TableCell>
+            <TableCell align="right">AI replies</TableCell>
+            <TableCell align="right">Helpful</TableCell>
+            <TableCell align="right">Not helpful</TableCell>
+            <TableCell align="right">Helpful rate</TableCell>
+            <TableCell align="right">Ticket rating</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row) => (
+            <TableRow key={row[labelKey] || 'none'} sx={{ opacity: row.ranked ? 1 : 0.6 }}>
+              <TableCell>
+                <Chip label={label(row[labelKey])} size="small" />
+              </TableCell>
+              <TableCell align="right">{row.replies}</TableCell>
+              <TableCell align="right">{row.helpful}</TableCell>
+              <TableCell align="right">{row.unhelpful}</TableCell>
+              <TableCell align="right">{percent(row.helpfulRate)}</TableCell>
+              <TableCell align="right">
+                {row.averageRating === null ? '–' : `${row.averageRating} (${row.ratedTickets})`}
+              </TableCell>
+            </TableRow>
+          ))}
+          {rows.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={6} align="center">
+                No AI replies in this period
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Paper>
+);
+
+/**
+ * FeedbackReport Component
+ *
+ * Admin report of patients' feedback on the assistant: thumbs up/down on
+ * AI replies and 1-5 ticket ratings, grouped by the intent and response
+ * template each reply came from, worst first.
+ */
+const FeedbackReport = () => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [period, setPeriod] = useState({ from: '', to: '' });
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setError(null);
+        const params = {};
+        if (period.from) params.from = period.from;
+        // Include the whole last day
+        if (period.to) params.to = `${period.to}T23:59:59.999`;
+        const res = await api.get('/feedback/report', { params });
+        setReport(res.data);
+        setLoading(false);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Failed to load the feedback report');
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [period]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const overall = report?.overall;
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography component="h1" variant="h5" gutterBottom>
+          Reply Feedback
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Tickets opened from"
+              InputLabelProps={{ shrink: true }}
+              value={period.from}
+              onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="To"
+              InputLabelProps={{ shrink: true }}
+              value={period.to}
+              onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+            />
+          </Grid>
+        </Grid>
+
+        {overall && (
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={4}>
+              <Typography variant="overline">Helpful replies</Typography>
+              <Typography variant="h4">{percent(overall.helpfulRate)}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {overall.helpful} helpful, {overall.unhelpful} not helpful, of {overall.aiReplies} AI replies
+              </Typography>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Typography variant="overline">Average ticket rating</Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="h4">{overall.averageRating ?? '–'}</Typography>
+                <Rating value={overall.averageRating} precision={0.1} readOnly />
+              </Box>
+              <Typography variant="body2" color="text.secondary">
+                {overall.ratedTickets} rated tickets
+              </Typography>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Typography variant="overline">Ratings</Typography>
+              {[5, 4, 3, 2, 1].map((stars) => (
+                <Typography key={stars} variant="body2">
+                  {stars} ★ — {overall.ratingDistribution[stars]}
+                </Typography>
+              ))}
+            </Grid>
+          </Grid>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+          Worst first. Entries with fewer than {report?.minVotes} votes are not ranked and appear greyed out at the end.
+        </Typography>
+      </Paper>
+
+      {report && (
+        <>
+          <FeedbackTable title="Intents" rows={report.intents} labelKey="intent" label={intentLabel} />
+          <FeedbackTable title="Response Templates" rows={report.templates} labelKey="template" label={templateLabel} />
+
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Low-Rated Tickets
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Ticket</TableCell>
+                    <TableCell>Rating</TableCell>
+                    <TableCell>Comments</TableCell>
+                    <TableCell>Rated</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.lowRatedTickets.map((ticket) => (
+                    <TableRow key={ticket._id}>
+                      <TableCell>
+                        <Link component={RouterLink} to={`/tickets/${ticket._id}`}>
+                          {ticket.title}
+                        </Link>
+                      </TableCell>
+                      <TableCell>
+                        <Rating value={ticket.rating} size="small" readOnly />
+                      </TableCell>
+                      <TableCell>{ticket.comments || '–'}</TableCell>
+                      <TableCell>{ticket.ratedAt ? new Date(ticket.ratedAt).toLocaleDateString() : '–'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {report.lowRatedTickets.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={4} align="center">
+                        No tickets rated 1 or 2 stars
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default FeedbackReport;
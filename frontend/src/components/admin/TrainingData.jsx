@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Box,
+  CircularProgress,
+  Chip,
+  TextField,
+  InputAdornment,
+  Alert,
+  Pagination,
+  Grid,
+  Autocomplete,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { Search as SearchIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import api from '../../utils/api';
+
+const PAGE_SIZE = 25;
+
+const modelSourceLabels = {
+  bundled: 'bundled examples',
+  trained: 'trained',
+  file: 'loaded from saved model'
+};
+
+/**
+ * TrainingData Component
+ *
+ * Admin screen to manage the example messages the intent classifier learns
+ * from: add utterances per intent, correct or remove them. Every change
+ * retrains the classifier on the server right away.
+ */
+const TrainingData = () => {
+  const [examples, setExamples] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [intents, setIntents] = useState([]);
+  const [model, setModel] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [filters, setFilters] = useState({ search: '', intent: '' });
+  const [newExample, setNewExample] = useState({ text: '', intent: '' });
+  const [saving, setSaving] = useState(false);
+  const [retraining, setRetraining] = useState(false);
+  const [exampleToEdit, setExampleToEdit] = useState(null);
+  const [exampleToDelete, setExampleToDelete] = useState(null);
+
+  const fetchExamples = async () => {
+    try {
+      setError(null);
+      const res = await api.get('/training/examples', {
+        params: { ...filters, page, limit: PAGE_SIZE }
+      });
+      setExamples(res.data.examples);
+      setTotal(res.data.total);
+      setLoading(false);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to load training examples');
+      setLoading(false);
+    }
+  };
+
+  const fetchIntents = async () => {
+    try {
+      const res = await api.get('/training/intents');
+      setIntents(res.data.intents);
+      setModel(res.data.model);
+    } catch (err) {
+      console.error('Error fetching intents:', err);
+    }
+  };
+
+  useEffect(() => {
+    // Wait briefly while the admin is typing a search
+    const timer = setTimeout(fetchExamples, 300);
+    return () => clearTimeout(timer);
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchIntents();
+  }, []);
+
+  // Refresh the lists after a change; the server sends back the retrained model
+  const afterChange = (data, message) => {
+    setModel(data.model);
+    setNotice(message);
+    fetchExamples();
+    fetchIntents();
+  };
+
+  const toggleIntentFilter = (intent) => {
+    setFilters({ ...filters, intent: filters.intent === intent ? '' : intent });
+    setPage(1);
+  };
+
+  const addExample = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const res = await api.post('/training/examples', newExample);
+      afterChange(res.data, `Added to ${res.data.example.intent}; the classifier has been retrained`);
+      // Keep the intent so several utterances can be added in a row
+      setNewExample({ ...newExample, text: '' });
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to add training example');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const res = await api.put(`/training/examples/${exampleToEdit._id}`, {
+        text: exampleToEdit.text,
+        intent: exampleToEdit.intent
+      });
+      setExampleToEdit(null);
+      afterChange(res.data, 'Example updated; the classifier has been retrained');
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to update training example');
+      setExampleToEdit(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteExample = async () => {
+    try {
+      setError(null);
+      const res = await api.delete(`/training/examples/${exampleToDelete._id}`);
+      setExampleToDelete(null);
+      afterChange(res.data, 'Example deleted; the classifier has been retrained');
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to delete training example');
+      setExampleToDelete(null);
+    }
+  };
+
+  const retrain = async () => {
+    try {
+      setRetraining(true);
+      setError(null);
+      const res = await api.post('/training/retrain');
+      setModel(res.data.model);
+      setNotice(`Classifier retrained on ${res.data.model.exampleCount} examples`);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to retrain the classifier');
+    } finally {
+      setRetraining(false);
+    }
+  };
+
+  const intentNames = intents.map(({ intent }) => intent);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography component="h1" variant="h5">
+            Intent Training Data
+          </Typography>
+          <Button
+            variant="outlined"
+            startIcon={retraining ? <CircularProgress size={16} /> : <RefreshIcon />}
+            onClick={retrain}
+            disabled={retraining}
+          >
+            Retrain Now
+          </Button>
+        </Box>
+        {model && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Classifier {modelSourceLabels[model.source] || model.source} · {model.exampleCount} examples ·
+            Trained {new Date(model.trainedAt).toLocaleString()}
+          </Typography>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {/* Intents: click one to show only its examples */}
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          {intents.map(({ intent, count }) => (
+            <Chip
+              key={intent}
+              label={`${intent} (${count})`}
+              color={filters.intent === intent ? 'primary' : 'default'}
+              onClick={() => toggleIntentFilter(intent)}
+            />
+          ))}
+        </Box>
+
+        {/* Add an example */}
+        <Box component="form" onSubmit={addExample} noValidate sx={{ mb: 3 }}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={7}>
+              <TextField
+                fullWidth
+                label="Example message"
+                placeholder="e.g. Can I see a doctor on Saturday?"
+                value={newExample.text}
+                onChange={(e) => setNewExample({ ...newExample, text: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <Autocomplete
+                freeSolo
+                options={intentNames}
+                inputValue={newExample.intent}
+                onInputChange={(e, value) => setNewExample({ ...newExample, intent: value })}
+                renderInput={(params) => (
+                  <TextField {...params} label="Intent" helperText="Pick one or type a new intent" />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={2}>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={saving || !newExample.text.trim() || !newExample.intent.trim()}
+              >
+                Add
+              </Button>
+            </Grid>
+          </Grid>
+        </Box>
+
+        <TextField
+          fullWidth
+          sx={{ mb: 2 }}
+          label="Search examples"
+          value={filters.search}
+          onChange={(e) => {
+            setFilters({ ...filters, search: e.target.value });
+            setPage(1);
+          }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Example</TableCell>
+                <TableCell>Intent</TableCell>
+                <TableCell>Added by</TableCell>
+                <TableCell>Updated</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {examples.map((example) => (
+                <TableRow key={example._id}>
+                  <TableCell>{example.text}</TableCell>
+                  <TableCell>
+                    <Chip label={example.intent} size="small" />
+                  </TableCell>
+                  <TableCell>
+                    {example.source === 'seed' ? 'Built-in' : example.createdBy?.name || 'unknown'}
+                  </TableCell>
+                  <TableCell>{new Date(example.updatedAt).toLocaleDateString()}</TableCell>
+                  <TableCell align="right">
+                    <Button size="small" onClick={() => setExampleToEdit({ ...example })}>
+                      Edit
+                    </Button>
+                    <Button size="small" color="error" onClick={() => setExampleToDelete(example)}>
+                      Delete
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {examples.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    No training examples match these filters
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {total > PAGE_SIZE && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+            <Pagination
+              count={Math.ceil(total / PAGE_SIZE)}
+              page={page}
+              onChange={(e, value) => setPage(value)}
+            />
+          </Box>
+        )}
+      </Paper>
+
+      {/* Edit dialog */}
+      <Dialog open={!!exampleToEdit} onClose={() => setExampleToEdit(null)} fullWidth maxWidth="sm">
+        <Box component="form" onSubmit={saveEdit} noValidate>
+          <DialogTitle>Edit Example</DialogTitle>
+          <DialogContent>
+            <TextField
+              margin="normal"
+              fullWidth
+              multiline
+              autoFocus
+              label="Example message"
+              value={exampleToEdit?.text || ''}
+              onChange={(e) => setExampleToEdit({ ...exampleToEdit, text: e.target.value })}
+            />
+            <Autocomplete
+              freeSolo
+              options={intentNames}
+              inputValue={exampleToEdit?.intent || ''}
+              onInputChange={(e, value) => setExampleToEdit({ ...exampleToEdit, intent: value })}
+              renderInput={(params) => <TextField {...params} margin="normal" label="Intent" />}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setExampleToEdit(null)}>Cancel</Button>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving || !exampleToEdit?.text.trim() || !exampleToEdit?.intent.trim()}
+            >
+              {saving ? <CircularProgress size={24} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+
+      {/* Delete confirmation */}
+      <Dialog open={!!exampleToDelete} onClose={() => setExampleToDelete(null)}>
+        <DialogTitle>Delete example?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            "{exampleToDelete?.text}" will no longer be used to recognise {exampleToDelete?.intent} messages.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExampleToDelete(null)}>Cancel</Button>
+          <Button color="error" onClick={deleteExample}>Delete</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default TrainingData;
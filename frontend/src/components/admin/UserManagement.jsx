@@ -0,0 +1,496 @@
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Container,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Box,
+  CircularProgress,
+  Chip,
+  TextField,
+  InputAdornment,
+  Alert,
+  Pagination,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { Search as SearchIcon, PersonAdd as PersonAddIcon } from '@mui/icons-material';
+import api from '../../utils/api';
+import AuthContext from '../../context/AuthContext';
+
+const PAGE_SIZE = 25;
+
+const roleLabels = {
+  patient: 'Patient',
+  healthcare_provider: 'Healthcare Provider',
+  admin: 'Admin'
+};
+
+/**
+ * UserManagement Component
+ *
+ * Admin screen to search users, change roles, deactivate or delete accounts,
+ * link patients to their EHR record, and invite healthcare providers and
+ * admins by email.
+ */
+const UserManagement = () => {
+  const { user: currentUser } = useContext(AuthContext);
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [filters, setFilters] = useState({
+    search: '',
+    role: '',
+    status: ''
+  });
+  const [inviteOpen, setInviteOpen] = useState(false);
+  const [inviteData, setInviteData] = useState({ email: '', role: 'healthcare_provider' });
+  const [inviting, setInviting] = useState(false);
+  const [userToDelete, setUserToDelete] = useState(null);
+  const [ehrLink, setEhrLink] = useState(null); // { user, ehrPatientId } while the dialog is open
+
+  const fetchUsers = async () => {
+    try {
+      setError(null);
+      const res = await api.get('/users', {
+        params: { ...filters, page, limit: PAGE_SIZE }
+      });
+      setUsers(res.data.users);
+      setTotal(res.data.total);
+      setLoading(false);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to load users');
+      setLoading(false);
+    }
+  };
+
+  const fetchInvitations = async () => {
+    try {
+      const res = await api.get('/users/invitations');
+      setInvitations(res.data);
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+    }
+  };
+
+  useEffect(() => {
+    // Wait briefly while the admin is typing a search
+    const timer = setTimeout(fetchUsers, 300);
+    return () => clearTimeout(timer);
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, []);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  };
+
+  // Replace one user in the table with the server's updated copy
+  const updateUserInList = (updated) => {
+    setUsers(users.map((user) => (user._id === updated._id ? { ...user, ...updated } : user)));
+  };
+
+  const changeRole = async (user, role) => {
+    try {
+      setError(null);
+      const res = await api.patch(`/users/${user._id}/role`, { role });
+      updateUserInList(res.data);
+      setNotice(`${user.name} is now ${roleLabels[role]}`);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to change role');
+    }
+  };
+
+  const toggleActive = async (user) => {
+    try {
+      setError(null);
+      const res = await api.patch(`/users/${user._id}/status`, { active: user.active === false });
+      updateUserInList(res.data);
+      setNotice(`${user.name} has been ${res.data.active ? 'reactivated' : 'deactivated'}`);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to update account status');
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    try {
+      setError(null);
+      await api.delete(`/users/${user._id}/2fa`);
+      updateUserInList({ _id: user._id, twoFactorEnabled: false });
+      setNotice(`Two-factor authentication reset for ${user.name}`);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const saveEhrLink = async (e) => {
+    e.preventDefault();
+    const { user, ehrPatientId } = ehrLink;
+    try {
+      setError(null);
+      const res = await api.patch(`/users/${user._id}/ehr-patient-id`, { ehrPatientId: ehrPatientId.trim() || null });
+      updateUserInList(res.data);
+      setNotice(res.data.ehrPatientId
+        ? `${user.name} is linked to EHR patient ${res.data.ehrPatientId}`
+        : `${user.name} is no longer linked to an EHR record`);
+      setEhrLink(null);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to link EHR record');
+      setEhrLink(null);
+    }
+  };
+
+  const deleteUser = async () => {
+    try {
+      setError(null);
+      await api.delete(`/users/${userToDelete._id}`);
+      setNotice(`${userToDelete.name} has been deleted`);
+      setUserToDelete(null);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to delete user');
+      setUserToDelete(null);
+    }
+  };
+
+  const sendInvitation = async (e) => {
+    e.preventDefault();
+    try {
+      setInviting(true);
+      setError(null);
+      await api.post('/users/invitations', inviteData);
+      setNotice(`Invitation sent to ${inviteData.email}`);
+      setInviteOpen(false);
+      setInviteData({ email: '', role: 'healthcare_provider' });
+      setInviting(false);
+      fetchInvitations();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to send invitation');
+      setInviting(false);
+    }
+  };
+
+  const withdrawInvitation = async (invitation) => {
+    try {
+      setError(null);
+      await api.delete(`/users/invitations/${invitation._id}`);
+      setInvitations(invitations.filter((item) => item._id !== invitation._id));
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to withdraw invitation');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography component="h1" variant="h5">
+            Users
+          </Typography>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<PersonAddIcon />}
+            onClick={() => setInviteOpen(true)}
+          >
+            Invite Staff
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {/* Filters */}
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              name="search"
+              label="Search by name or email"
+              value={filters.search}
+              onChange={handleFilterChange}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel id="role-filter-label">Role</InputLabel>
+              <Select
+                labelId="role-filter-label"
+                id="role"
+                name="role"
+                value={filters.role}
+                label="Role"
+                onChange={handleFilterChange}
+              >
+                <MenuItem value="">All</MenuItem>
+                {Object.entries(roleLabels).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel id="status-filter-label">Status</InputLabel>
+              <Select
+                labelId="status-filter-label"
+                id="status"
+                name="status"
+                value={filters.status}
+                label="Status"
+                onChange={handleFilterChange}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="deactivated">Deactivated</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Joined</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user._id === currentUser?._id;
+                return (
+                  <TableRow key={user._id}>
+                    <TableCell>{user.name}</TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={user.role}
+                        onChange={(e) => changeRole(user, e.target.value)}
+                        disabled={isSelf}
+                      >
+                        {Object.entries(roleLabels).map(([value, label]) => (
+                          <MenuItem key={value} value={value}>{label}</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={user.active === false ? 'Deactivated' : 'Active'}
+                        color={user.active === false ? 'default' : 'success'}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{new Date(user.createdAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      {user.role === 'patient' && (
+                        <Button size="small" onClick={() => setEhrLink({ user, ehrPatientId: user.ehrPatientId || '' })}>
+                          {user.ehrPatientId ? 'EHR Linked' : 'Link EHR'}
+                        </Button>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <Button size="small" onClick={() => resetTwoFactor(user)} disabled={isSelf}>
+                          Reset 2FA
+                        </Button>
+                      )}
+                      <Button size="small" onClick={() => toggleActive(user)} disabled={isSelf}>
+                        {user.active === false ? 'Reactivate' : 'Deactivate'}
+                      </Button>
+                      <Button size="small" color="error" onClick={() => setUserToDelete(user)} disabled={isSelf}>
+                        Delete
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+              {users.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    No users match these filters
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {total > PAGE_SIZE && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+            <Pagination
+              count={Math.ceil(total / PAGE_SIZE)}
+              page={page}
+              onChange={(e, value) => setPage(value)}
+            />
+          </Box>
+        )}
+      </Paper>
+
+      {/* Pending invitations */}
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Pending Invitations
+        </Typography>
+        {invitations.length > 0 ? (
+          <List>
+            {invitations.map((invitation) => (
+              <ListItem
+                key={invitation._id}
+                divider
+                secondaryAction={
+                  <Button size="small" onClick={() => withdrawInvitation(invitation)}>
+                    Withdraw
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={`${invitation.email} (${roleLabels[invitation.role]})`}
+                  secondary={`Invited by ${invitation.invitedBy?.name || 'unknown'} · Expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            No pending invitations
+          </Typography>
+        )}
+      </Paper>
+
+      {/* Invite dialog */}
+      <Dialog open={inviteOpen} onClose={() => setInviteOpen(false)} fullWidth maxWidth="xs">
+        <Box component="form" onSubmit={sendInvitation} noValidate>
+          <DialogTitle>Invite Staff</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              We'll email a signup link that creates the account with this role.
+            </DialogContentText>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              autoFocus
+              type="email"
+              label="Email Address"
+              value={inviteData.email}
+              onChange={(e) => setInviteData({ ...inviteData, email: e.target.value })}
+            />
+            <FormControl fullWidth margin="normal">
+              <InputLabel id="invite-role-label">Role</InputLabel>
+              <Select
+                labelId="invite-role-label"
+                value={inviteData.role}
+                label="Role"
+                onChange={(e) => setInviteData({ ...inviteData, role: e.target.value })}
+              >
+                <MenuItem value="healthcare_provider">Healthcare Provider</MenuItem>
+                <MenuItem value="admin">Admin</MenuItem>
+              </Select>
+            </FormControl>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setInviteOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={inviting || !inviteData.email}>
+              {inviting ? <CircularProgress size={24} /> : 'Send Invitation'}
+            </Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+
+      {/* EHR link dialog */}
+      <Dialog open={!!ehrLink} onClose={() => setEhrLink(null)} fullWidth maxWidth="xs">
+        <Box component="form" onSubmit={saveEhrLink} noValidate>
+          <DialogTitle>Link EHR Record</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              The assistant reads {ehrLink?.user.name}'s medications, allergies and conditions from
+              this EHR patient once they consent. Leave it empty to unlink the record.
+            </DialogContentText>
+            <TextField
+              margin="normal"
+              fullWidth
+              autoFocus
+              label="EHR Patient ID"
+              value={ehrLink?.ehrPatientId || ''}
+              onChange={(e) => setEhrLink({ ...ehrLink, ehrPatientId: e.target.value })}
+              error={!!ehrLink?.ehrPatientId.trim() && !/^[A-Za-z0-9.-]{1,64}$/.test(ehrLink.ehrPatientId.trim())}
+              helperText="Letters, digits, dots and dashes"
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setEhrLink(null)}>Cancel</Button>
+            <Button type="submit" variant="contained">Save</Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+
+      {/* Delete confirmation */}
+      <Dialog open={!!userToDelete} onClose={() => setUserToDelete(null)}>
+        <DialogTitle>Delete user?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {userToDelete?.name}'s account will be removed and they will be signed out everywhere.
+            Their tickets are kept. Consider deactivating the account instead.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUserToDelete(null)}>Cancel</Button>
+          <Button color="error" onClick={deleteUser}>Delete</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default UserManagement;
@@ -27,8 +27,12 @@ import {
   LocalHospital as HospitalIcon
 } from '@mui/icons-material';
 import api from '../../utils/api';
+import { streamEvents } from '../../utils/eventStream';
 import AuthContext from '../../context/AuthContext';
 
+// Recordings stop here; matches voiceInterface.maxAudioDuration on the server
+const MAX_RECORDING_SECONDS = 60;
+
 /**
  * Enhanced AI Chat Component
  * 
@@ -49,9 +53,13 @@ const EnhancedAIChat = ({ ticketId, category }) => {
   const [audioData, setAudioData] = useState(null);
   const [voiceEnabled, setVoiceEnabled] = useState(false);
   const [ehrConsent, setEhrConsent] = useState(false);
+  const [assistantTyping, setAssistantTyping] = useState(false);
+  const [partialReply, setPartialReply] = useState('');
   const messagesEndRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
+  const recordingTimerRef = useRef(null);
+  const playbackRef = useRef(null);
   
   // Fetch ticket messages if ticketId is provided
   useEffect(() => {
@@ -77,7 +85,37 @@ const EnhancedAIChat = ({ ticketId, category }) => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages]);
+  }, [messages, partialReply, assistantTyping]);
+  
+  // Stop the spoken reply that is playing, if any
+  const stopVoiceResponse = () => {
+    if (playbackRef.current) {
+      playbackRef.current.audio.pause();
+      URL.revokeObjectURL(playbackRef.current.url);
+      playbackRef.current = null;
+    }
+  };
+  
+  // Play a spoken reply; the audio needs the auth header, so it is fetched first
+  const playVoiceResponse = async (voiceResponse) => {
+    try {
+      const res = await api.get(`/enhanced-ai/audio/${voiceResponse.id}`, { responseType: 'blob' });
+      stopVoiceResponse();
+      const url = URL.createObjectURL(res.data);
+      const audio = new Audio(url);
+      playbackRef.current = { audio, url };
+      audio.onended = stopVoiceResponse;
+      await audio.play();
+    } catch (err) {
+      console.error('Error playing voice response:', err);
+      setError(err.response?.status === 404
+        ? 'This voice response has expired.'
+        : 'Could not play the voice response.');
+    }
+  };
+  
+  // Stop any spoken reply when voice is switched or the chat closes
+  useEffect(() => stopVoiceResponse, [voiceEnabled]);
   
   // Handle text message submission
   const handleSendMessage = async (e) => {
@@ -98,7 +136,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       setMessages(prev => [...prev, userMessage]);
       
       // Check for HIPAA compliance
-      const complianceRes = await api.post('/api/enhanced-ai/hipaa-check', { message });
+      const complianceRes = await api.post('/enhanced-ai/hipaa-check', { message });
       
       // If PHI detected, show warning
       if (complianceRes.data.containsPHI) {
@@ -110,19 +148,25 @@ const EnhancedAIChat = ({ ticketId, category }) => {
         }]);
       }
       
-      // Process with enhanced AI
-      let aiRes;
+      // Process with enhanced AI, showing the reply as it is written
+      const aiRes = {};
       try {
-        aiRes = await api.post('/api/enhanced-ai/analyze', {
-          message,
-          category,
-          ticketId
+        setAssistantTyping(true);
+        await streamEvents('/enhanced-ai/analyze', {
+          method: 'POST',
+          body: { message, category, ticketId, voiceOutput: voiceEnabled },
+          onEvent: (event, data) => {
+            if (event === 'partial') {
+              setPartialReply(data.text);
+            } else if (event === 'done') {
+              aiRes.data = data;
+            } else if (event === 'error') {
+              const streamError = new Error(data.msg);
+              streamError.response = { data };
+              throw streamError;
+            }
+          }
         });
-        
-        // Validate AI response
-        if (!aiRes?.data?.textResponse) {
-          throw new Error('No response received from AI service');
-        }
       } catch (error) {
         // Handle network errors and timeouts
         if (!error.response) {
@@ -130,6 +174,14 @@ const EnhancedAIChat = ({ ticketId, category }) => {
         }
         // Handle API errors
         throw new Error(error.response?.data?.msg || 'Failed to get AI response');
+      } finally {
+        setAssistantTyping(false);
+        setPartialReply('');
+      }
+      
+      // Validate AI response
+      if (!aiRes.data?.textResponse) {
+        throw new Error('No response received from AI service');
       }
 
       // Add AI response to messages
@@ -145,8 +197,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       
       // Play voice response if enabled
       if (voiceEnabled && aiRes.data.voiceResponse) {
-        // In a real implementation, this would play the audio data
-        console.log('Would play voice response:', aiRes.data.voiceResponse);
+        playVoiceResponse(aiRes.data.voiceResponse);
       }
       
       // If this isn't associated with a ticket, we need to handle messages locally
@@ -186,7 +237,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
   const toggleRecording = async () => {
     if (isRecording) {
       // Stop recording
-      if (mediaRecorderRef.current) {
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
         mediaRecorderRef.current.stop();
       }
     } else {
@@ -203,7 +254,9 @@ const EnhancedAIChat = ({ ticketId, category }) => {
         };
         
         mediaRecorderRef.current.onstop = () => {
-          const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/wav' });
+          clearTimeout(recordingTimerRef.current);
+          // Browsers record webm/opus (Chrome, Firefox) or mp4 (Safari), not WAV
+          const audioBlob = new Blob(audioChunksRef.current, { type: mediaRecorderRef.current.mimeType || 'audio/webm' });
           setAudioData(audioBlob);
           setIsRecording(false);
           
@@ -216,6 +269,13 @@ const EnhancedAIChat = ({ ticketId, category }) => {
         
         mediaRecorderRef.current.start();
         setIsRecording(true);
+        
+        // Longer recordings would be refused, so send what fits
+        recordingTimerRef.current = setTimeout(() => {
+          if (mediaRecorderRef.current?.state === 'recording') {
+            mediaRecorderRef.current.stop();
+          }
+        }, MAX_RECORDING_SECONDS * 1000);
       } catch (err) {
         console.error('Error accessing microphone:', err);
         setError('Could not access microphone. Please check permissions.');
@@ -232,7 +292,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       
       // Create form data with audio
       const formData = new FormData();
-      formData.append('audio', blob);
+      formData.append('audio', blob, `voice-message.${blob.type.includes('mp4') ? 'm4a' : 'webm'}`);
       formData.append('category', category);
       if (ticketId) {
         formData.append('ticketId', ticketId);
@@ -248,7 +308,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       }]);
       
       // Send to voice API
-      const res = await api.post('/api/enhanced-ai/voice', formData);
+      const res = await api.post('/enhanced-ai/voice', formData);
       
       // Update the placeholder with transcribed text
       setMessages(prev => {
@@ -271,15 +331,14 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       
       // Play voice response if enabled
       if (voiceEnabled && res.data.response.voiceResponse) {
-        // In a real implementation, this would play the audio data
-        console.log('Would play voice response:', res.data.response.voiceResponse);
+        playVoiceResponse(res.data.response.voiceResponse);
       }
       
       setAudioData(null);
       setLoading(false);
     } catch (err) {
       console.error('Error sending voice message:', err);
-      setError('Failed to process voice message. Please try again.');
+      setError(err.response?.data?.msg || 'Failed to process voice message. Please try again.');
       setLoading(false);
       
       // Update the placeholder to show error
@@ -301,7 +360,7 @@ const EnhancedAIChat = ({ ticketId, category }) => {
       const newConsentValue = !ehrConsent;
       
       // Update consent in backend
-      await api.post('/api/enhanced-ai/ehr-consent', {
+      await api.post('/enhanced-ai/ehr-consent', {
         consent: newConsentValue
       });
       
@@ -480,10 +539,12 @@ const EnhancedAIChat = ({ ticketId, category }) => {
                     {new Date(msg.timestamp).toLocaleTimeString()}
                   </Typography>
                   
-                  {/* Voice indicator */}
+                  {/* Play the spoken reply again */}
                   {msg.isAI && msg.voiceResponse && voiceEnabled && (
-                    <Tooltip title="Voice response available">
-                      <VolumeUpIcon fontSize="small" sx={{ ml: 1, color: 'text.secondary' }} />
+                    <Tooltip title="Play voice response">
+                      <IconButton size="small" sx={{ ml: 0.5 }} onClick={() => playVoiceResponse(msg.voiceResponse)}>
+                        <VolumeUpIcon fontSize="small" />
+                      </IconButton>
                     </Tooltip>
                   )}
                 </Box>
@@ -491,6 +552,30 @@ const EnhancedAIChat = ({ ticketId, category }) => {
             </Box>
           ))
         )}
+        
+        {/* AI reply being written */}
+        {assistantTyping && (
+          <Box sx={{ display: 'flex', flexDirection: 'row', gap: 1, maxWidth: '80%', alignSelf: 'flex-start' }}>
+            <Avatar sx={{ bgcolor: 'secondary.main', width: 36, height: 36 }}>
+              AI
+            </Avatar>
+            <Box>
+              {partialReply && (
+                <Paper elevation={1} sx={{ p: 2, bgcolor: 'secondary.light', color: 'white', borderRadius: 2 }}>
+                  <Typography variant="body1">
+                    {partialReply}
+                  </Typography>
+                </Paper>
+              )}
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 1, mt: 0.5 }}>
+                <CircularProgress size={12} color="secondary" />
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  Assistant is typing…
+                </Typography>
+              </Box>
+            </Box>
+          </Box>
+        )}
         <div ref={messagesEndRef} />
       </Box>
       
@@ -0,0 +1,196 @@
+import React, { useState, useContext, useEffect } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import api from '../../utils/api';
+import AuthContext from '../../context/AuthContext';
+
+const roleLabels = {
+  healthcare_provider: 'Healthcare Provider',
+  admin: 'Administrator'
+};
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    password2: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const { name, password, password2 } = formData;
+  const { acceptInvite, twoFactorChallenge, error, loading } = useContext(AuthContext);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Once the account exists, continue to two-factor enrollment on the sign-in page
+    if (twoFactorChallenge && invitation) {
+      navigate('/login');
+    }
+  }, [twoFactorChallenge, invitation, navigate]);
+
+  useEffect(() => {
+    const checkInvitation = async () => {
+      if (!token) {
+        setInviteError('This invitation link is incomplete.');
+        setChecking(false);
+        return;
+      }
+      try {
+        const res = await api.get('/auth/invitation', { params: { token } });
+        setInvitation(res.data);
+      } catch (err) {
+        setInviteError(err.response?.data?.msg || 'This invitation is invalid or has expired');
+      }
+      setChecking(false);
+    };
+
+    checkInvitation();
+  }, [token]);
+
+  const validateForm = () => {
+    const errors = {};
+    if (!name) errors.name = 'Name is required';
+    if (!password) errors.password = 'Password is required';
+    if (password.length < 6) errors.password = 'Password must be at least 6 characters';
+    if (password !== password2) errors.password2 = 'Passwords do not match';
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    // Clear error when user types
+    if (formErrors[e.target.name]) {
+      setFormErrors({ ...formErrors, [e.target.name]: null });
+    }
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (validateForm()) {
+      await acceptInvite({ token, name, password });
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Accept Invitation
+          </Typography>
+
+          {checking && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {inviteError && (
+            <>
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {inviteError}
+              </Alert>
+              <Link component={RouterLink} to="/login" variant="body2">
+                Go to sign in
+              </Link>
+            </>
+          )}
+
+          {invitation && (
+            <>
+              <Typography variant="body2" align="center" color="text.secondary" gutterBottom>
+                You are joining as {roleLabels[invitation.role] || invitation.role} with {invitation.email}
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="name"
+                  label="Full Name"
+                  name="name"
+                  autoComplete="name"
+                  autoFocus
+                  value={name}
+                  onChange={onChange}
+                  error={!!formErrors.name}
+                  helperText={formErrors.name}
+                />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password"
+                  label="Password"
+                  type="password"
+                  id="password"
+                  autoComplete="new-password"
+                  value={password}
+                  onChange={onChange}
+                  error={!!formErrors.password}
+                  helperText={formErrors.password}
+                />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password2"
+                  label="Confirm Password"
+                  type="password"
+                  id="password2"
+                  autoComplete="new-password"
+                  value={password2}
+                  onChange={onChange}
+                  error={!!formErrors.password2}
+                  helperText={formErrors.password2}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  sx={{ mt: 3, mb: 2 }}
+                  disabled={loading}
+                >
+                  {loading ? <CircularProgress size={24} /> : 'Create Account'}
+                </Button>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,50 @@
+import React, { useState, useContext } from 'react';
+import { Alert, Button } from '@mui/material';
+import api from '../../utils/api';
+import AuthContext from '../../context/AuthContext';
+
+/**
+ * EmailVerificationNotice Component
+ *
+ * Reminds patients who haven't verified their email that they can't open
+ * tickets yet, with a button to send a new verification link.
+ * Renders nothing for verified users and staff.
+ */
+const EmailVerificationNotice = ({ sx }) => {
+  const { user } = useContext(AuthContext);
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!user || user.role !== 'patient' || user.emailVerified) {
+    return null;
+  }
+
+  const resend = async () => {
+    try {
+      setSending(true);
+      setError(null);
+      const res = await api.post('/auth/verify-email/resend');
+      setMessage(res.data.msg);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to send a new verification link');
+    }
+    setSending(false);
+  };
+
+  return (
+    <Alert
+      severity={error ? 'error' : 'warning'}
+      sx={sx}
+      action={!message && (
+        <Button color="inherit" size="small" onClick={resend} disabled={sending}>
+          Resend Link
+        </Button>
+      )}
+    >
+      {message || error || `Please verify your email address (${user.email}) before opening a ticket. Check your inbox for the link.`}
+    </Alert>
+  );
+};
+
+export default EmailVerificationNotice;
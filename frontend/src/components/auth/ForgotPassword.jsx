@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import api from '../../utils/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [emailError, setEmailError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setEmailError('Email is required');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const res = await api.post('/auth/forgot-password', { email });
+      setMessage(res.data.msg);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to send the reset link');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Forgot Password
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              {message}
+            </Alert>
+          ) : (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                Enter the email address you sign in with and we'll send you a link to choose a new password.
+              </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setEmailError(null);
+                }}
+                error={!!emailError}
+                helperText={emailError}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={submitting}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Send Reset Link'}
+              </Button>
+            </Box>
+          )}
+
+          <Link component={RouterLink} to="/login" variant="body2">
+            Back to sign in
+          </Link>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -13,6 +13,7 @@ import {
   CircularProgress
 } from '@mui/material';
 import AuthContext from '../../context/AuthContext';
+import TwoFactorSetup from './TwoFactorSetup';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -21,7 +22,18 @@ const Login = () => {
   });
   const [formErrors, setFormErrors] = useState({});
   const { email, password } = formData;
-  const { login, isAuthenticated, error, loading } = useContext(AuthContext);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    completeSignIn,
+    twoFactorChallenge,
+    isAuthenticated,
+    error,
+    loading
+  } = useContext(AuthContext);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -56,6 +68,77 @@ const Login = () => {
     }
   };
 
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    const verified = await verifyTwoFactor(useBackupCode ? { backupCode: code } : { code });
+    if (!verified) {
+      setCode('');
+    }
+  };
+
+  const toggleBackupCode = () => {
+    setUseBackupCode(!useBackupCode);
+    setCode('');
+  };
+
+  // Step 2 for users who still need to enroll in two-factor authentication
+  const renderSetupStep = () => (
+    <>
+      <Typography variant="body2" align="center" color="text.secondary" gutterBottom>
+        Your account requires two-factor authentication. Set it up to finish signing in.
+      </Typography>
+      <TwoFactorSetup
+        challengeToken={twoFactorChallenge.challengeToken}
+        onComplete={completeSignIn}
+        onCancel={cancelTwoFactor}
+      />
+    </>
+  );
+
+  // Step 2: authentication code or backup code
+  const renderCodeStep = () => (
+    <Box component="form" onSubmit={onSubmitCode} noValidate sx={{ mt: 1 }}>
+      <Typography variant="body2" color="text.secondary">
+        {useBackupCode
+          ? 'Enter one of your backup codes.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </Typography>
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        autoFocus
+        id="code"
+        label={useBackupCode ? 'Backup Code' : 'Authentication Code'}
+        name="code"
+        value={code}
+        onChange={(e) => setCode(useBackupCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+        inputProps={useBackupCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code' }}
+      />
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        sx={{ mt: 3, mb: 2 }}
+        disabled={loading || !code}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify'}
+      </Button>
+      <Grid container justifyContent="space-between">
+        <Grid item>
+          <Link component="button" type="button" variant="body2" onClick={toggleBackupCode}>
+            {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+          </Link>
+        </Grid>
+        <Grid item>
+          <Link component="button" type="button" variant="body2" onClick={cancelTwoFactor}>
+            Back
+          </Link>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+
   return (
     <Container component="main" maxWidth="xs">
       <Box
@@ -68,7 +151,7 @@ const Login = () => {
       >
         <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
           <Typography component="h1" variant="h5" align="center" gutterBottom>
-            Sign In
+            {twoFactorChallenge ? 'Two-Factor Authentication' : 'Sign In'}
           </Typography>
           
           {error && (
@@ -77,52 +160,62 @@ const Login = () => {
             </Alert>
           )}
           
-          <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={email}
-              onChange={onChange}
-              error={!!formErrors.email}
-              helperText={formErrors.email}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={password}
-              onChange={onChange}
-              error={!!formErrors.password}
-              helperText={formErrors.password}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2 }}
-              disabled={loading}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Sign In'}
-            </Button>
-            <Grid container justifyContent="flex-end">
-              <Grid item>
-                <Link component={RouterLink} to="/register" variant="body2">
-                  Don't have an account? Sign Up
-                </Link>
+          {twoFactorChallenge?.setupRequired && renderSetupStep()}
+          {twoFactorChallenge && !twoFactorChallenge.setupRequired && renderCodeStep()}
+          
+          {!twoFactorChallenge && (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={onChange}
+                error={!!formErrors.email}
+                helperText={formErrors.email}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={onChange}
+                error={!!formErrors.password}
+                helperText={formErrors.password}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Sign In'}
+              </Button>
+              <Grid container justifyContent="space-between">
+                <Grid item>
+                  <Link component={RouterLink} to="/forgot-password" variant="body2">
+                    Forgot password?
+                  </Link>
+                </Grid>
+                <Grid item>
+                  <Link component={RouterLink} to="/register" variant="body2">
+                    Don't have an account? Sign Up
+                  </Link>
+                </Grid>
               </Grid>
-            </Grid>
-          </Box>
+            </Box>
+          )}
         </Paper>
       </Box>
     </Container>
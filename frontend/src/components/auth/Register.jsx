@@ -10,11 +10,7 @@ import {
   Link,
   Paper,
   Alert,
-  CircularProgress,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem
+  CircularProgress
 } from '@mui/material';
 import AuthContext from '../../context/AuthContext';
 
@@ -23,11 +19,10 @@ const Register = () => {
     name: '',
     email: '',
     password: '',
-    password2: '',
-    role: 'patient'
+    password2: ''
   });
   const [formErrors, setFormErrors] = useState({});
-  const { name, email, password, password2, role } = formData;
+  const { name, email, password, password2 } = formData;
   const { register, isAuthenticated, error, loading } = useContext(AuthContext);
   const navigate = useNavigate();
 
@@ -145,20 +140,9 @@ const Register = () => {
               error={!!formErrors.password2}
               helperText={formErrors.password2}
             />
-            <FormControl fullWidth margin="normal">
-              <InputLabel id="role-label">Role</InputLabel>
-              <Select
-                labelId="role-label"
-                id="role"
-                name="role"
-                value={role}
-                label="Role"
-                onChange={onChange}
-              >
-                <MenuItem value="patient">Patient</MenuItem>
-                <MenuItem value="healthcare_provider">Healthcare Provider</MenuItem>
-              </Select>
-            </FormControl>
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              Healthcare providers join through an invitation from an administrator.
+            </Typography>
             <Button
               type="submit"
               fullWidth
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import api from '../../utils/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    password2: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const { password, password2 } = formData;
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(token ? null : 'This reset link is incomplete.');
+
+  const validateForm = () => {
+    const errors = {};
+    if (!password) errors.password = 'Password is required';
+    if (password.length < 6) errors.password = 'Password must be at least 6 characters';
+    if (password !== password2) errors.password2 = 'Passwords do not match';
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    // Clear error when user types
+    if (formErrors[e.target.name]) {
+      setFormErrors({ ...formErrors, [e.target.name]: null });
+    }
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const res = await api.post('/auth/reset-password', { token, password });
+      setMessage(res.data.msg);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to reset password');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Choose a New Password
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {message}
+              </Alert>
+              <Button component={RouterLink} to="/login" fullWidth variant="contained">
+                Sign In
+              </Button>
+            </>
+          ) : token && (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                autoFocus
+                value={password}
+                onChange={onChange}
+                error={!!formErrors.password}
+                helperText={formErrors.password}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password2"
+                label="Confirm New Password"
+                type="password"
+                id="password2"
+                autoComplete="new-password"
+                value={password2}
+                onChange={onChange}
+                error={!!formErrors.password2}
+                helperText={formErrors.password2}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={submitting}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Change Password'}
+              </Button>
+            </Box>
+          )}
+
+          {!message && (
+            <Link component={RouterLink} to="/forgot-password" variant="body2">
+              Need a new reset link?
+            </Link>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
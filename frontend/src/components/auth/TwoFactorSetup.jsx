@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper
+} from '@mui/material';
+import api from '../../utils/api';
+
+/**
+ * TwoFactorSetup Component
+ *
+ * Enrolls the user in two-factor authentication:
+ * 1. Shows a QR code to scan with an authenticator app
+ * 2. Confirms a code from the app
+ * 3. Shows the backup codes once
+ *
+ * Used after the password step for staff who haven't enrolled yet
+ * (pass challengeToken) and from the profile page (no challengeToken).
+ * onComplete receives the server response, which includes session tokens
+ * when enrolling during sign-in.
+ */
+const TwoFactorSetup = ({ challengeToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const res = await api.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+        setSetup(res.data);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Could not start two-factor setup');
+      }
+      setLoading(false);
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const res = await api.post('/auth/2fa/enable', challengeToken ? { challengeToken, code } : { code });
+      setResult(res.data);
+      setSubmitting(false);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Invalid authentication code');
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Step 3: show backup codes
+  if (result) {
+    return (
+      <Box>
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Two-factor authentication is on.
+        </Alert>
+        <Typography variant="body2" gutterBottom>
+          Save these backup codes somewhere safe. Each one signs you in once if you lose your phone.
+          They won't be shown again.
+        </Typography>
+        <Paper variant="outlined" sx={{ p: 2, my: 2, fontFamily: 'monospace', columnCount: 2 }}>
+          {result.backupCodes.map((backupCode) => (
+            <div key={backupCode}>{backupCode}</div>
+          ))}
+        </Paper>
+        <Button fullWidth variant="contained" onClick={() => onComplete(result)}>
+          I've saved my backup codes
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {setup && (
+        <>
+          <Typography variant="body2" gutterBottom>
+            Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password, ...),
+            then enter the 6-digit code it shows.
+          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+            <img src={setup.qrCode} alt="Two-factor authentication QR code" width={200} height={200} />
+          </Box>
+          <Typography variant="caption" color="text.secondary" display="block" align="center" sx={{ wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: {setup.secret}
+          </Typography>
+
+          <Box component="form" onSubmit={onSubmit} noValidate>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              autoFocus
+              label="Authentication Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+            />
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 2 }}
+              disabled={submitting || code.length !== 6}
+            >
+              {submitting ? <CircularProgress size={24} /> : 'Turn On'}
+            </Button>
+          </Box>
+        </>
+      )}
+
+      {onCancel && (
+        <Button fullWidth sx={{ mt: 1 }} onClick={onCancel}>
+          Cancel
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
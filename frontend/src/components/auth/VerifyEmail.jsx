@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import api from '../../utils/api';
+import AuthContext from '../../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, loadUser } = useContext(AuthContext);
+  const [verifying, setVerifying] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is incomplete.');
+        setVerifying(false);
+        return;
+      }
+      try {
+        const res = await api.post('/auth/verify-email', { token });
+        setMessage(res.data.msg);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'This verification link is invalid or has expired');
+      }
+      setVerifying(false);
+    };
+
+    verify();
+  }, [token]);
+
+  useEffect(() => {
+    // Pick up the verified flag if the link was opened while signed in
+    if (message && isAuthenticated) {
+      loadUser();
+    }
+  }, [message, isAuthenticated, loadUser]);
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%' }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Verify Email
+          </Typography>
+
+          {verifying && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {message && (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              {message}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+              {isAuthenticated && ' You can request a new link from your dashboard.'}
+            </Alert>
+          )}
+
+          {!verifying && (
+            <Button component={RouterLink} to={isAuthenticated ? '/' : '/login'} fullWidth variant="contained">
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+            </Button>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
@@ -17,6 +17,8 @@ import {
 import { Add as AddIcon } from '@mui/icons-material';
 import api from '../../utils/api';
 import AuthContext from '../../context/AuthContext';
+import EmailVerificationNotice from '../auth/EmailVerificationNotice';
+import { useSocketEvent, upsertTicket } from '../../utils/socket';
 
 // Helper function to get status color
 const getStatusColor = (status) => {
@@ -69,15 +71,6 @@ const Dashboard = () => {
         setLoading(true);
         const res = await api.get('/tickets');
         setTickets(res.data);
-        
-        // Calculate stats
-        const total = res.data.length;
-        const open = res.data.filter(ticket => ticket.status === 'open').length;
-        const inProgress = res.data.filter(ticket => ticket.status === 'in_progress').length;
-        const resolved = res.data.filter(ticket => ticket.status === 'resolved').length;
-        const closed = res.data.filter(ticket => ticket.status === 'closed').length;
-        
-        setStats({ total, open, inProgress, resolved, closed });
         setLoading(false);
       } catch (err) {
         console.error('Error fetching tickets:', err);
@@ -89,6 +82,25 @@ const Dashboard = () => {
     fetchTickets();
   }, []);
 
+  // Keep recent tickets and stats current as tickets change
+  useSocketEvent('ticket:updated', ({ ticket }) => {
+    setTickets((prev) => upsertTicket(prev, ticket));
+  });
+  useSocketEvent('ticket:deleted', ({ ticketId }) => {
+    setTickets((prev) => prev.filter((ticket) => ticket._id !== ticketId));
+  });
+
+  useEffect(() => {
+    // Calculate stats
+    const total = tickets.length;
+    const open = tickets.filter(ticket => ticket.status === 'open').length;
+    const inProgress = tickets.filter(ticket => ticket.status === 'in_progress').length;
+    const resolved = tickets.filter(ticket => ticket.status === 'resolved').length;
+    const closed = tickets.filter(ticket => ticket.status === 'closed').length;
+    
+    setStats({ total, open, inProgress, resolved, closed });
+  }, [tickets]);
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
@@ -114,6 +126,7 @@ const Dashboard = () => {
 
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <EmailVerificationNotice sx={{ mb: 3 }} />
       <Grid container spacing={3}>
         {/* Welcome Section */}
         <Grid item xs={12}>
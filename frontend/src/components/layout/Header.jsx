@@ -18,7 +18,7 @@ import { AccountCircle, Menu as MenuIcon } from '@mui/icons-material';
 import AuthContext from '../../context/AuthContext';
 
 const Header = () => {
-  const { isAuthenticated, user, logout } = useContext(AuthContext);
+  const { isAuthenticated, user, logout, hasPermission } = useContext(AuthContext);
   const navigate = useNavigate();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
@@ -41,9 +41,9 @@ const Header = () => {
     setMobileMenuAnchorEl(null);
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
     handleClose();
+    await logout();
     navigate('/login');
   };
 
@@ -58,6 +58,21 @@ const Header = () => {
       <Button color="inherit" component={RouterLink} to="/tickets/new">
         New Ticket
       </Button>
+      {hasPermission('user.manage') && (
+        <Button color="inherit" component={RouterLink} to="/admin/users">
+          Users
+        </Button>
+      )}
+      {hasPermission('training.manage') && (
+        <Button color="inherit" component={RouterLink} to="/admin/training">
+          Training
+        </Button>
+      )}
+      {hasPermission('feedback.read') && (
+        <Button color="inherit" component={RouterLink} to="/admin/feedback">
+          Feedback
+        </Button>
+      )}
     </>
   );
 
@@ -68,6 +83,38 @@ const Header = () => {
           TicketHub
         </Typography>
         {navigationLinks}
+        {isAuthenticated && (
+          <>
+            <IconButton
+              size="large"
+              aria-label="account of current user"
+              aria-controls="menu-appbar"
+              aria-haspopup="true"
+              onClick={handleMenu}
+              color="inherit"
+            >
+              <AccountCircle />
+            </IconButton>
+            <Menu
+              id="menu-appbar"
+              anchorEl={anchorEl}
+              anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+              keepMounted
+              transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+              open={Boolean(anchorEl)}
+              onClose={handleClose}
+            >
+              {user && (
+                <MenuItem disabled>{user.name}</MenuItem>
+              )}
+              <Divider />
+              <MenuItem component={RouterLink} to="/profile" onClick={handleClose}>
+                Profile
+              </MenuItem>
+              <MenuItem onClick={handleLogout}>Logout</MenuItem>
+            </Menu>
+          </>
+        )}
       </Toolbar>
     </AppBar>
   );
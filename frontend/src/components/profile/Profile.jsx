@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Divider,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import api from '../../utils/api';
+import AuthContext from '../../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+import Sessions from './Sessions';
+
+const languages = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'zh', label: 'Chinese' },
+  { value: 'ar', label: 'Arabic' }
+];
+
+const Profile = () => {
+  const { loadUser } = useContext(AuthContext);
+  const [profile, setProfile] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    phone: '',
+    address: '',
+    preferredLanguage: 'auto',
+    voicePreference: 'female',
+    ehrConsent: false
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  const { name, phone, address, preferredLanguage, voicePreference, ehrConsent } = formData;
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const res = await api.get('/auth/profile');
+        setProfile(res.data);
+        setFormData({
+          name: res.data.name || '',
+          phone: res.data.phone || '',
+          address: res.data.address || '',
+          preferredLanguage: res.data.preferredLanguage || 'auto',
+          voicePreference: res.data.voicePreference || 'female',
+          ehrConsent: !!res.data.ehrConsent
+        });
+        setLoading(false);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Failed to load profile');
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  const validateForm = () => {
+    const errors = {};
+    if (!name.trim()) errors.name = 'Name is required';
+    if (phone.trim() && !/^\+?[0-9\s().-]{7,20}$/.test(phone.trim())) {
+      errors.phone = 'Enter a valid phone number';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const onChange = (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFormData({ ...formData, [e.target.name]: value });
+    setSuccess(false);
+    // Clear error when user types
+    if (formErrors[e.target.name]) {
+      setFormErrors({ ...formErrors, [e.target.name]: null });
+    }
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (validateForm()) {
+      try {
+        setSaving(true);
+        setError(null);
+
+        const res = await api.patch('/auth/profile', formData);
+
+        setProfile(res.data);
+        setSuccess(true);
+        setSaving(false);
+
+        // Keep the signed-in user (used by the AI chat) in sync
+        await loadUser();
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Failed to update profile. Please try again.');
+        setSaving(false);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 3 }}>
+        <Typography component="h1" variant="h5" gutterBottom>
+          My Profile
+        </Typography>
+        {profile && (
+          <Typography variant="body2" color="text.secondary">
+            {profile.email} · {profile.role.replace('_', ' ')}
+          </Typography>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            Profile updated successfully
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={onSubmit} noValidate>
+          <Typography variant="h6" sx={{ mt: 3 }}>
+            Contact Details
+          </Typography>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            id="name"
+            label="Name"
+            name="name"
+            value={name}
+            onChange={onChange}
+            error={!!formErrors.name}
+            helperText={formErrors.name}
+            disabled={saving}
+          />
+          <TextField
+            margin="normal"
+            fullWidth
+            id="phone"
+            label="Phone"
+            name="phone"
+            value={phone}
+            onChange={onChange}
+            error={!!formErrors.phone}
+            helperText={formErrors.phone}
+            disabled={saving}
+          />
+          <TextField
+            margin="normal"
+            fullWidth
+            id="address"
+            label="Address"
+            name="address"
+            multiline
+            rows={2}
+            value={address}
+            onChange={onChange}
+            disabled={saving}
+          />
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="h6">
+            Assistant Preferences
+          </Typography>
+          <FormControl fullWidth margin="normal" disabled={saving}>
+            <InputLabel id="language-label">Preferred Language</InputLabel>
+            <Select
+              labelId="language-label"
+              id="preferredLanguage"
+              name="preferredLanguage"
+              value={preferredLanguage}
+              label="Preferred Language"
+              onChange={onChange}
+            >
+              {languages.map((language) => (
+                <MenuItem key={language.value} value={language.value}>
+                  {language.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal" disabled={saving}>
+            <InputLabel id="voice-label">Voice</InputLabel>
+            <Select
+              labelId="voice-label"
+              id="voicePreference"
+              name="voicePreference"
+              value={voicePreference}
+              label="Voice"
+              onChange={onChange}
+            >
+              <MenuItem value="female">Female</MenuItem>
+              <MenuItem value="male">Male</MenuItem>
+            </Select>
+          </FormControl>
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="h6">
+            Health Records
+          </Typography>
+          <FormControlLabel
+            control={
+              <Switch
+                name="ehrConsent"
+                checked={ehrConsent}
+                onChange={onChange}
+                disabled={saving}
+              />
+            }
+            label="Allow the assistant to use my electronic health record"
+          />
+          {profile?.ehrConsentUpdatedAt && (
+            <Typography variant="caption" color="text.secondary" display="block">
+              Consent last changed {new Date(profile.ehrConsentUpdatedAt).toLocaleString()}
+            </Typography>
+          )}
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {profile?.ehrPatientId
+              ? 'Your account is linked to your health record.'
+              : "Your care team hasn't linked your account to a health record yet."}
+          </Typography>
+
+          <Box sx={{ mt: 3, display: 'flex', justifyContent: 'flex-end' }}>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving}
+            >
+              {saving ? <CircularProgress size={24} /> : 'Save Changes'}
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+
+      <TwoFactorSettings />
+      <Sessions />
+    </Container>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import api from '../../utils/api';
+
+// Short device description from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find((name) => userAgent.includes(name));
+  const platform = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find((name) => userAgent.includes(name));
+  if (!browser && !platform) return userAgent.slice(0, 60);
+  return [browser === 'Edg' ? 'Edge' : browser, platform].filter(Boolean).join(' on ');
+};
+
+/**
+ * Sessions Component
+ *
+ * Lists the devices the user is signed in on and lets them sign devices out.
+ */
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await api.get('/auth/sessions');
+      setSessions(res.data);
+      setLoading(false);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to load sessions');
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const revokeSession = async (sessionId) => {
+    try {
+      setError(null);
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions(sessions.filter((session) => session._id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to sign out device');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      setError(null);
+      await api.delete('/auth/sessions');
+      setSessions(sessions.filter((session) => session.current));
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to sign out other devices');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">
+          Signed-in Devices
+        </Typography>
+        {sessions.length > 1 && (
+          <Button size="small" color="error" onClick={revokeOtherSessions}>
+            Sign out other devices
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <List>
+          {sessions.map((session) => (
+            <ListItem
+              key={session._id}
+              divider
+              secondaryAction={
+                !session.current && (
+                  <Button size="small" onClick={() => revokeSession(session._id)}>
+                    Sign out
+                  </Button>
+                )
+              }
+            >
+              <ListItemText
+                primary={
+                  <>
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <Chip label="This device" size="small" color="primary" sx={{ ml: 1 }} />
+                    )}
+                  </>
+                }
+                secondary={`${session.ipAddress || 'Unknown IP'} · Last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import api from '../../utils/api';
+import TwoFactorSetup from '../auth/TwoFactorSetup';
+
+/**
+ * TwoFactorSettings Component
+ *
+ * Shows whether two-factor authentication is on, and lets the user turn it on,
+ * replace their backup codes, or (patients only) turn it off.
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null); // 'setup' | 'backup-codes' | 'disable'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.get('/auth/2fa');
+      setStatus(res.data);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const onSetupComplete = () => {
+    resetForm();
+    fetchStatus();
+  };
+
+  const regenerateBackupCodes = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const res = await api.post('/auth/2fa/backup-codes', { code });
+      setBackupCodes(res.data.backupCodes);
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to create new backup codes');
+    }
+    setSubmitting(false);
+  };
+
+  const disableTwoFactor = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      await api.post('/auth/2fa/disable', { password, code });
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to turn off two-factor authentication');
+    }
+    setSubmitting(false);
+  };
+
+  const codeField = (
+    <TextField
+      margin="normal"
+      required
+      fullWidth
+      label="Authentication Code"
+      value={code}
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+      inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+    />
+  );
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6">
+          Two-Factor Authentication
+        </Typography>
+        {status && (
+          <Chip
+            label={status.enabled ? 'On' : 'Off'}
+            color={status.enabled ? 'success' : 'default'}
+            size="small"
+          />
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {backupCodes && (
+        <Alert severity="info" sx={{ mb: 2 }} onClose={() => setBackupCodes(null)}>
+          Your new backup codes (the old ones no longer work):
+          <Box sx={{ fontFamily: 'monospace', mt: 1, columnCount: 2 }}>
+            {backupCodes.map((backupCode) => (
+              <div key={backupCode}>{backupCode}</div>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
+      {!status ? (
+        <CircularProgress size={24} />
+      ) : mode === 'setup' ? (
+        <Box sx={{ maxWidth: 400 }}>
+          <TwoFactorSetup onComplete={onSetupComplete} onCancel={resetForm} />
+        </Box>
+      ) : mode === 'backup-codes' ? (
+        <Box component="form" onSubmit={regenerateBackupCodes} noValidate sx={{ maxWidth: 400 }}>
+          <Typography variant="body2">
+            Enter a code from your authenticator app to replace your backup codes.
+          </Typography>
+          {codeField}
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button type="submit" variant="contained" disabled={submitting || code.length !== 6}>
+              Create New Codes
+            </Button>
+            <Button onClick={resetForm}>Cancel</Button>
+          </Box>
+        </Box>
+      ) : mode === 'disable' ? (
+        <Box component="form" onSubmit={disableTwoFactor} noValidate sx={{ maxWidth: 400 }}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+          />
+          {codeField}
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button type="submit" color="error" variant="contained" disabled={submitting || !password || code.length !== 6}>
+              Turn Off
+            </Button>
+            <Button onClick={resetForm}>Cancel</Button>
+          </Box>
+        </Box>
+      ) : status.enabled ? (
+        <>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {status.backupCodesRemaining} backup code{status.backupCodesRemaining === 1 ? '' : 's'} left.
+            {status.required && ' Two-factor authentication is required for your role.'}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button variant="outlined" onClick={() => setMode('backup-codes')}>
+              New Backup Codes
+            </Button>
+            {!status.required && (
+              <Button color="error" onClick={() => setMode('disable')}>
+                Turn Off
+              </Button>
+            )}
+          </Box>
+        </>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Protect your account with a code from an authenticator app in addition to your password.
+          </Typography>
+          <Button variant="contained" sx={{ mt: 1 }} onClick={() => setMode('setup')}>
+            Turn On
+          </Button>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
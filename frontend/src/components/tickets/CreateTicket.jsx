@@ -15,6 +15,7 @@ import {
   Alert
 } from '@mui/material';
 import api from '../../utils/api';
+import EmailVerificationNotice from '../auth/EmailVerificationNotice';
 
 const CreateTicket = () => {
   const navigate = useNavigate();
@@ -28,6 +29,7 @@ const CreateTicket = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [replyQueued, setReplyQueued] = useState(true);
 
   const { title, description, category, priority } = formData;
 
@@ -59,6 +61,7 @@ const CreateTicket = () => {
         
         const res = await api.post('/tickets', formData);
         
+        setReplyQueued(res.data.replyQueued !== false);
         setSuccess(true);
         setLoading(false);
         
@@ -80,6 +83,8 @@ const CreateTicket = () => {
           Create New Ticket
         </Typography>
         
+        <EmailVerificationNotice sx={{ mb: 2 }} />
+        
         {error && (
           <Alert severity="error" sx={{ mb: 2 }}>
             {error}
@@ -88,7 +93,9 @@ const CreateTicket = () => {
         
         {success && (
           <Alert severity="success" sx={{ mb: 2 }}>
-            Ticket created successfully! Redirecting...
+            {replyQueued
+              ? 'Ticket created successfully! Redirecting...'
+              : "Ticket created! The assistant can't reply right now, so your care team will answer it. Redirecting..."}
           </Alert>
         )}
         
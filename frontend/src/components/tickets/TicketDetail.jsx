@@ -17,11 +17,30 @@ import {
   Select,
   MenuItem,
   Avatar,
-  IconButton
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Link,
+  Rating,
+  Tooltip
 } from '@mui/material';
-import { Send as SendIcon, ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import {
+  Send as SendIcon,
+  ArrowBack as ArrowBackIcon,
+  ThumbUp as ThumbUpIcon,
+  ThumbUpOffAlt as ThumbUpOffIcon,
+  ThumbDown as ThumbDownIcon,
+  ThumbDownOffAlt as ThumbDownOffIcon
+} from '@mui/icons-material';
 import api from '../../utils/api';
 import AuthContext from '../../context/AuthContext';
+import { getSocket, useSocketEvent } from '../../utils/socket';
+import { streamEvents } from '../../utils/eventStream';
+
+// Wait this long before reconnecting a reply stream that failed
+const REPLY_STREAM_RETRY_MS = 5000;
 
 // Helper function to get status color
 const getStatusColor = (status) => {
@@ -58,7 +77,7 @@ const getPriorityColor = (priority) => {
 const TicketDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useContext(AuthContext);
+  const { user, hasPermission } = useContext(AuthContext);
   const [ticket, setTicket] = useState(null);
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(true);
@@ -66,6 +85,15 @@ const TicketDetail = () => {
   const [error, setError] = useState(null);
   const [statusUpdate, setStatusUpdate] = useState('');
   const [priorityUpdate, setPriorityUpdate] = useState('');
+  const [revealTarget, setRevealTarget] = useState(null);
+  const [revealReason, setRevealReason] = useState('');
+  const [revealed, setRevealed] = useState({});
+  const [assistantTyping, setAssistantTyping] = useState(false);
+  const [partialReply, setPartialReply] = useState('');
+  const [finishedReplyId, setFinishedReplyId] = useState(null);
+  const [ratingDraft, setRatingDraft] = useState(null);
+  const [savingRating, setSavingRating] = useState(false);
+  const [replyUnavailable, setReplyUnavailable] = useState(false);
   const messagesEndRef = useRef(null);
 
   // Fetch ticket data
@@ -87,17 +115,102 @@ const TicketDetail = () => {
 
     fetchTicket();
 
-    // Poll for updates every 10 seconds
-    const interval = setInterval(fetchTicket, 10000);
-    return () => clearInterval(interval);
+    // Live updates: join the ticket's room on every (re)connect
+    const socket = getSocket();
+    let joined = false;
+    const join = () => {
+      socket.emit('ticket:subscribe', id);
+      // After a reconnect, catch up on anything missed while disconnected
+      if (joined) {
+        fetchTicket();
+      }
+      joined = true;
+    };
+    if (socket.connected) {
+      join();
+    }
+    socket.on('connect', join);
+    
+    return () => {
+      socket.off('connect', join);
+      socket.emit('ticket:unsubscribe', id);
+    };
   }, [id]);
 
+  // AI replies as they are written. The saved reply arrives separately as a
+  // ticket update, so the partial reply stays until the ticket contains it.
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const handleReplyEvent = (event, data) => {
+      if (event === 'typing') {
+        setAssistantTyping(true);
+        setPartialReply('');
+        setFinishedReplyId(null);
+      } else if (event === 'partial') {
+        setPartialReply(data.text);
+      } else if (event === 'done') {
+        setAssistantTyping(false);
+        if (data.messageId) {
+          setFinishedReplyId(data.messageId);
+        } else {
+          setPartialReply('');
+        }
+      }
+    };
+
+    // The server ends the stream when the access token expires; reconnect
+    // until the page is left (a reply in progress is replayed on connect)
+    const listen = async () => {
+      while (!controller.signal.aborted) {
+        // Anything missed while disconnected shows up as a ticket update
+        setAssistantTyping(false);
+        setPartialReply('');
+        try {
+          await streamEvents(`/tickets/${id}/reply-stream`, {
+            signal: controller.signal,
+            onEvent: handleReplyEvent
+          });
+        } catch (err) {
+          if (controller.signal.aborted || err.response?.status === 401 || err.response?.status === 404) {
+            return;
+          }
+          console.error('Reply stream failed:', err);
+          await new Promise((resolve) => setTimeout(resolve, REPLY_STREAM_RETRY_MS));
+        }
+      }
+    };
+
+    listen();
+    return () => controller.abort();
+  }, [id]);
+
+  // Hand over from the streamed reply to the saved message
+  useEffect(() => {
+    if (finishedReplyId && ticket?.messages.some((msg) => msg._id === finishedReplyId)) {
+      setPartialReply('');
+      setFinishedReplyId(null);
+    }
+  }, [ticket, finishedReplyId]);
+
+  // New messages, AI replies and status changes pushed by the server
+  useSocketEvent('ticket:updated', ({ ticket: updated }) => {
+    if (updated._id === id) {
+      setTicket(updated);
+    }
+  });
+  useSocketEvent('ticket:deleted', ({ ticketId }) => {
+    if (ticketId === id) {
+      navigate('/tickets');
+    }
+  });
+
   // Scroll to bottom of messages
   useEffect(() => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [ticket?.messages]);
+  }, [ticket?.messages, partialReply, assistantTyping]);
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
@@ -105,8 +218,9 @@ const TicketDetail = () => {
 
     try {
       setSendingMessage(true);
-      await api.post(`/tickets/${id}/message`, { content: message });
+      const sent = await api.post(`/tickets/${id}/message`, { content: message });
       setMessage('');
+      setReplyUnavailable(sent.data.replyQueued === false);
       
       // Fetch updated ticket data
       const res = await api.get(`/tickets/${id}`);
@@ -138,6 +252,80 @@ const TicketDetail = () => {
     }
   };
 
+  // Reveal the original text of a redacted message (assigned provider only)
+  const handleReveal = async () => {
+    try {
+      const res = await api.post(`/tickets/${id}/reveal`, {
+        messageId: revealTarget,
+        reason: revealReason
+      });
+      setRevealed({ ...revealed, [revealTarget]: res.data.original });
+      setRevealTarget(null);
+      setRevealReason('');
+    } catch (err) {
+      console.error('Error revealing message:', err);
+      setError(err.response?.data?.msg || 'Failed to reveal message. Please try again.');
+      setRevealTarget(null);
+    }
+  };
+
+  // Rate an AI reply; clicking the chosen thumb again takes the vote back
+  const handleReplyFeedback = async (msg, helpful) => {
+    try {
+      await api.post(`/tickets/${id}/feedback`, {
+        messageId: msg._id,
+        helpful: msg.feedback?.helpful === helpful ? null : helpful
+      });
+      
+      // Fetch updated ticket data
+      const res = await api.get(`/tickets/${id}`);
+      setTicket(res.data);
+    } catch (err) {
+      console.error('Error saving feedback:', err);
+      setError(err.response?.data?.msg || 'Failed to save your feedback. Please try again.');
+    }
+  };
+
+  const handleSubmitRating = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingRating(true);
+      await api.post(`/tickets/${id}/feedback`, ratingDraft);
+      setRatingDraft(null);
+      
+      // Fetch updated ticket data
+      const res = await api.get(`/tickets/${id}`);
+      setTicket(res.data);
+      setSavingRating(false);
+    } catch (err) {
+      console.error('Error saving rating:', err);
+      setError(err.response?.data?.msg || 'Failed to save your rating. Please try again.');
+      setSavingRating(false);
+    }
+  };
+
+  // Mark a medication safety alert as reviewed (providers)
+  const handleAcknowledgeAlert = async (alertId) => {
+    try {
+      await api.post(`/tickets/${id}/safety-alerts/${alertId}/acknowledge`);
+      
+      // Fetch updated ticket data
+      const res = await api.get(`/tickets/${id}`);
+      setTicket(res.data);
+    } catch (err) {
+      console.error('Error acknowledging safety alert:', err);
+      setError(err.response?.data?.msg || 'Failed to acknowledge the alert. Please try again.');
+    }
+  };
+
+  // Only the patient who opened the ticket gives feedback (ticket.user is populated on fetch, an ID in live updates)
+  const isOwner = !!user && (ticket?.user?._id || ticket?.user) === (user._id || user.id);
+  const hasAIReplies = !!ticket?.messages.some((msg) => msg.isAI);
+  const rating = ratingDraft || { rating: ticket?.feedbackRating, comments: ticket?.feedbackComments || '' };
+
+  const canReveal = hasPermission('phi.reveal') &&
+    (ticket?.assignedTo?._id === user?._id || ticket?.assignedTo?._id === user?.id);
+
   if (loading && !ticket) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
@@ -207,7 +395,7 @@ const TicketDetail = () => {
                 </Box>
                 
                 {/* Status and Priority Update (for healthcare providers and admins) */}
-                {(user?.role === 'healthcare_provider' || user?.role === 'admin') && (
+                {hasPermission('ticket.update.any') && (
                   <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
                     <FormControl size="small" sx={{ minWidth: 120 }}>
                       <InputLabel id="status-update-label">Status</InputLabel>
@@ -264,6 +452,36 @@ const TicketDetail = () => {
             </Typography>
           </Paper>
           
+          {/* Medication safety alerts (only sent to staff) */}
+          {ticket.safetyAlerts?.length > 0 && (
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Medication Safety Alerts
+              </Typography>
+              {ticket.safetyAlerts.map((alert) => (
+                <Alert
+                  key={alert._id}
+                  severity={alert.acknowledgedAt ? 'info' : alert.severity === 'contraindicated' ? 'error' : 'warning'}
+                  sx={{ mb: 1 }}
+                  action={!alert.acknowledgedAt && hasPermission('safety_alert.acknowledge') && (
+                    <Button color="inherit" size="small" onClick={() => handleAcknowledgeAlert(alert._id)}>
+                      Acknowledge
+                    </Button>
+                  )}
+                >
+                  <strong>
+                    {alert.medication} / {alert.conflictsWith}
+                  </strong>{' '}
+                  ({alert.severity} {alert.type}, {alert.rule}) — {alert.description}
+                  <Typography variant="caption" display="block">
+                    Raised {new Date(alert.createdAt).toLocaleString()}
+                    {alert.acknowledgedAt && ` · Reviewed ${new Date(alert.acknowledgedAt).toLocaleString()}`}
+                  </Typography>
+                </Alert>
+              ))}
+            </Paper>
+          )}
+          
           {/* Chat Section */}
           <Paper sx={{ p: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -280,7 +498,7 @@ const TicketDetail = () => {
               mb: 3,
               p: 1
             }}>
-              {ticket.messages.length > 0 ? (
+              {ticket.messages.length > 0 || assistantTyping ? (
                 ticket.messages.map((msg, index) => (
                   <Box 
                     key={index} 
@@ -312,12 +530,45 @@ const TicketDetail = () => {
                         }}
                       >
                         <Typography variant="body1">
-                          {msg.content}
+                          {revealed[msg._id] || msg.content}
                         </Typography>
                       </Paper>
+                      {canReveal && msg.contentPhiTypes?.length > 0 && !revealed[msg._id] && (
+                        <Link
+                          component="button"
+                          variant="caption"
+                          onClick={() => setRevealTarget(msg._id)}
+                          sx={{ ml: 1 }}
+                        >
+                          Show original (redacted: {msg.contentPhiTypes.join(', ')})
+                        </Link>
+                      )}
                       <Typography variant="caption" sx={{ ml: 1 }}>
                         {msg.isAI ? 'AI Assistant' : (msg.sender?.name || 'Unknown')} • {new Date(msg.timestamp).toLocaleTimeString()}
                       </Typography>
+                      {msg.isAI && isOwner && (
+                        <>
+                          <Tooltip title="Helpful">
+                            <IconButton size="small" onClick={() => handleReplyFeedback(msg, true)}>
+                              {msg.feedback?.helpful === true
+                                ? <ThumbUpIcon fontSize="inherit" color="success" />
+                                : <ThumbUpOffIcon fontSize="inherit" />}
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Not helpful">
+                            <IconButton size="small" onClick={() => handleReplyFeedback(msg, false)}>
+                              {msg.feedback?.helpful === false
+                                ? <ThumbDownIcon fontSize="inherit" color="error" />
+                                : <ThumbDownOffIcon fontSize="inherit" />}
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                      {msg.isAI && !isOwner && msg.feedback?.helpful != null && (
+                        <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                          • Patient found this {msg.feedback.helpful ? 'helpful' : 'not helpful'}
+                        </Typography>
+                      )}
                     </Box>
                   </Box>
                 ))
@@ -326,6 +577,31 @@ const TicketDetail = () => {
                   No messages yet. Start the conversation!
                 </Typography>
               )}
+              {/* AI reply being written */}
+              {(assistantTyping || partialReply) && (
+                <Box sx={{ display: 'flex', flexDirection: 'row', gap: 1, maxWidth: '80%', alignSelf: 'flex-start' }}>
+                  <Avatar sx={{ bgcolor: 'secondary.main', width: 36, height: 36 }}>
+                    AI
+                  </Avatar>
+                  <Box>
+                    {partialReply && (
+                      <Paper elevation={1} sx={{ p: 2, bgcolor: 'secondary.light', color: 'white', borderRadius: 2 }}>
+                        <Typography variant="body1">
+                          {partialReply}
+                        </Typography>
+                      </Paper>
+                    )}
+                    {assistantTyping && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 1, mt: partialReply ? 0.5 : 1 }}>
+                        <CircularProgress size={12} color="secondary" />
+                        <Typography variant="caption" color="text.secondary">
+                          Assistant is typing…
+                        </Typography>
+                      </Box>
+                    )}
+                  </Box>
+                </Box>
+              )}
               <div ref={messagesEndRef} />
             </Box>
             
@@ -352,14 +628,97 @@ const TicketDetail = () => {
               </Box>
             )}
             
+            {replyUnavailable && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                The assistant can't reply right now. Your message was saved and your care team will answer it.
+              </Alert>
+            )}
+            
             {ticket.status === 'closed' && (
               <Alert severity="info">
                 This ticket is closed. No new messages can be added.
               </Alert>
             )}
           </Paper>
+
+          {/* Ticket rating: the patient rates the assistant, staff see the result */}
+          {isOwner && hasAIReplies && (
+            <Paper sx={{ p: 3, mt: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                How helpful was the assistant?
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              <Box component="form" onSubmit={handleSubmitRating} noValidate>
+                <Rating
+                  value={rating.rating || null}
+                  onChange={(e, value) => setRatingDraft({ ...rating, rating: value })}
+                />
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={2}
+                  margin="normal"
+                  label="Comments (optional)"
+                  value={rating.comments}
+                  onChange={(e) => setRatingDraft({ ...rating, comments: e.target.value })}
+                  inputProps={{ maxLength: 1000 }}
+                />
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    disabled={!ratingDraft || !rating.rating || savingRating}
+                  >
+                    {savingRating ? <CircularProgress size={24} /> : (ticket.feedbackProvided ? 'Update Rating' : 'Submit Rating')}
+                  </Button>
+                  {ticket.feedbackAt && (
+                    <Typography variant="caption" color="text.secondary">
+                      Rated {new Date(ticket.feedbackAt).toLocaleString()}
+                    </Typography>
+                  )}
+                </Box>
+              </Box>
+            </Paper>
+          )}
+          {!isOwner && ticket.feedbackProvided && (
+            <Paper sx={{ p: 3, mt: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Patient Rating
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              <Rating value={ticket.feedbackRating} readOnly />
+              {ticket.feedbackComments && (
+                <Typography variant="body1" sx={{ mt: 1 }}>
+                  {ticket.feedbackComments}
+                </Typography>
+              )}
+            </Paper>
+          )}
         </>
       )}
+
+      {/* Reveal PHI dialog - every reveal is logged with its reason */}
+      <Dialog open={!!revealTarget} onClose={() => setRevealTarget(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Reveal protected health information</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Viewing the original message is recorded. Please enter the clinical reason for this access.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Reason"
+            value={revealReason}
+            onChange={(e) => setRevealReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevealTarget(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleReveal} disabled={!revealReason.trim()}>
+            Reveal
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
@@ -32,6 +32,7 @@ import {
 } from '@mui/material';
 import { Search as SearchIcon, Add as AddIcon } from '@mui/icons-material';
 import api from '../../utils/api';
+import { useSocketEvent, upsertTicket } from '../../utils/socket';
 
 // Helper function to get status color
 const getStatusColor = (status) => {
@@ -122,6 +123,14 @@ const TicketList = () => {
     fetchTickets();
   }, []);
 
+  // Keep the list current as tickets are created, answered and updated
+  useSocketEvent('ticket:updated', ({ ticket }) => {
+    setTickets((prev) => upsertTicket(prev, ticket));
+  });
+  useSocketEvent('ticket:deleted', ({ ticketId }) => {
+    setTickets((prev) => prev.filter((ticket) => ticket._id !== ticketId));
+  });
+
   useEffect(() => {
     // Apply filters
     let result = [...tickets];
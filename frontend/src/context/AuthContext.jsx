@@ -1,6 +1,7 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useCallback } from 'react';
 import jwt_decode from 'jwt-decode';
-import api from '../utils/api';
+import api, { setTokens, clearTokens } from '../utils/api';
+import { disconnectSocket } from '../utils/socket';
 
 const AuthContext = createContext();
 
@@ -10,34 +11,33 @@ export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Set between the password step and the second factor: { challengeToken, setupRequired }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
-  // Set auth token in localStorage
-  const setAuthToken = (token) => {
-    if (token) {
-      localStorage.setItem('token', token);
-    } else {
-      localStorage.removeItem('token');
-    }
-  };
+  // Clear all auth state (tokens are removed from localStorage as well)
+  const clearAuth = useCallback(() => {
+    clearTokens();
+    disconnectSocket();
+    setToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+  }, []);
 
-  // Load user from token
-  const loadUser = async () => {
-    if (token) {
-      setAuthToken(token);
+  // Load user from token; stable, so components can list it as an effect dependency
+  const loadUser = useCallback(async () => {
+    // Read from localStorage: the token may have just been set or refreshed
+    if (localStorage.getItem('token')) {
       try {
         const res = await api.get('/auth/me');
         setUser(res.data);
         setIsAuthenticated(true);
       } catch (err) {
         console.error('Error loading user:', err.response?.data || err.message);
-        setToken(null);
-        setUser(null);
-        setIsAuthenticated(false);
-        setAuthToken(null);
+        clearAuth();
       }
     }
     setLoading(false);
-  };
+  }, [clearAuth]);
 
   // Register user
   const register = async (formData) => {
@@ -46,9 +46,8 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       console.log('Sending registration data:', formData);
       const res = await api.post('/auth/register', formData);
-      console.log('Registration response:', res.data);
+      setTokens(res.data);
       setToken(res.data.token);
-      setAuthToken(res.data.token);
       await loadUser();
       return true;
     } catch (err) {
@@ -73,15 +72,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Login user
+  // Finish signing in once the server has issued tokens
+  const completeSignIn = async (tokens) => {
+    setTokens(tokens);
+    setToken(tokens.token);
+    setTwoFactorChallenge(null);
+    await loadUser();
+  };
+
+  // The server wants a second factor (or 2FA enrollment) before issuing tokens
+  const startTwoFactorChallenge = (data) => {
+    setTwoFactorChallenge({
+      challengeToken: data.challengeToken,
+      setupRequired: !!data.twoFactorSetupRequired
+    });
+    setLoading(false);
+  };
+
+  // Login user (step 1: email and password)
   const login = async (formData) => {
     try {
       setLoading(true);
       setError(null);
       const res = await api.post('/auth/login', formData);
-      setToken(res.data.token);
-      setAuthToken(res.data.token);
-      await loadUser();
+      if (res.data.twoFactorRequired || res.data.twoFactorSetupRequired) {
+        startTwoFactorChallenge(res.data);
+        return false;
+      }
+      await completeSignIn(res.data);
       return true;
     } catch (err) {
       console.error('Login error:', err);
@@ -97,12 +115,59 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout user
-  const logout = () => {
-    setToken(null);
-    setUser(null);
-    setIsAuthenticated(false);
-    setAuthToken(null);
+  // Login step 2: authentication code or backup code
+  const verifyTwoFactor = async ({ code, backupCode }) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await api.post('/auth/login/2fa', {
+        challengeToken: twoFactorChallenge?.challengeToken,
+        code,
+        backupCode
+      });
+      await completeSignIn(res.data);
+      return true;
+    } catch (err) {
+      if (err.response?.status === 401) {
+        // Challenge expired: start again from the password step
+        setTwoFactorChallenge(null);
+      }
+      setError(err.response?.data?.msg || 'Invalid authentication code');
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Go back to the password step
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setError(null);
+  };
+
+  // Create a staff account from an invitation link
+  const acceptInvite = async (formData) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await api.post('/auth/accept-invite', formData);
+      // Staff accounts enroll in two-factor authentication before signing in
+      startTwoFactorChallenge(res.data);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Could not create your account. Please try again.');
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Logout user (ends the session on the server too)
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (err) {
+      console.error('Error ending session:', err.response?.data || err.message);
+    }
+    clearAuth();
   };
 
   // Check if token is expired
@@ -115,17 +180,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Check a named permission from GET /api/auth/me (e.g. 'ticket.assign')
+  const hasPermission = (permission) => !!user?.permissions?.includes(permission);
+
   // Initialize auth state
   useEffect(() => {
-    if (token && !isTokenExpired(token)) {
+    // An expired access token is fine while there is a refresh token to renew it
+    if (token && (!isTokenExpired(token) || localStorage.getItem('refreshToken'))) {
       loadUser();
     } else {
-      setToken(null);
-      setUser(null);
-      setIsAuthenticated(false);
-      setAuthToken(null);
+      clearAuth();
       setLoading(false);
     }
+
+    // The API client signals when the session can no longer be refreshed
+    window.addEventListener('auth:expired', clearAuth);
+    return () => window.removeEventListener('auth:expired', clearAuth);
   }, []);
 
   return (
@@ -138,8 +208,14 @@ export const AuthProvider = ({ children }) => {
         error,
         register,
         login,
+        twoFactorChallenge,
+        verifyTwoFactor,
+        cancelTwoFactor,
+        completeSignIn,
+        acceptInvite,
         logout,
-        loadUser
+        loadUser,
+        hasPermission
       }}
     >
       {children}
@@ -3,8 +3,9 @@ import { Navigate } from 'react-router-dom';
 import AuthContext from '../context/AuthContext';
 import { CircularProgress, Box } from '@mui/material';
 
-const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useContext(AuthContext);
+// Pass a permission (e.g. permission="user.manage") to restrict a page to users who have it
+const PrivateRoute = ({ children, permission }) => {
+  const { isAuthenticated, loading, hasPermission } = useContext(AuthContext);
 
   if (loading) {
     return (
@@ -14,7 +15,15 @@ const PrivateRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" />;
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/" />;
+  }
+
+  return children;
 };
 
 export default PrivateRoute;
\ No newline at end of file
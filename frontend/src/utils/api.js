@@ -1,13 +1,74 @@
 import axios from 'axios';
 
+const API_BASE_URL = 'http://localhost:5000/api';
+
 // Create an axios instance with base URL that works with the proxy
 const api = axios.create({
-  baseURL: 'http://localhost:5000/api',
+  baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// Store the access token and refresh token returned by login, register and refresh
+export const setTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+// Remove both tokens (signed out or session ended)
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Requests that must never trigger a token refresh
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/accept-invite',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email'
+];
+
+// Only one refresh runs at a time; concurrent 401s wait for the same one
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+      .then((res) => setTokens(res.data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Refresh the tokens, signing the user out if the session is over.
+// Resolves to true when a usable access token is in localStorage afterwards.
+export const renewTokens = async () => {
+  try {
+    await refreshTokens();
+    return true;
+  } catch (refreshError) {
+    if (refreshError.response?.data?.reason === 'stale') {
+      // Lost a race with another tab that rotated the token a moment ago
+      return true;
+    }
+    if (refreshError.response?.status === 401) {
+      // The session is over; let AuthContext sign the user out
+      clearTokens();
+      window.dispatchEvent(new Event('auth:expired'));
+    }
+    return false;
+  }
+};
+
 // Add a request interceptor to set auth token
 api.interceptors.request.use(
   (config) => {
@@ -23,7 +84,30 @@ api.interceptors.request.use(
 // Add a response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Access token expired: refresh it once and retry the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+
+      // Another tab may have refreshed already; just retry with its token
+      if (localStorage.getItem('token') !== originalRequest.headers['x-auth-token']) {
+        return api(originalRequest);
+      }
+
+      if (await renewTokens()) {
+        return api(originalRequest);
+      }
+      return Promise.reject(error);
+    }
+
     if (error.response) {
       // Server responded with error
       return Promise.reject(error);
@@ -0,0 +1,68 @@
+import { renewTokens } from './api';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+// Turn one Server-Sent Events frame into { event, data }
+const parseFrame = (frame) => {
+  let event = 'message';
+  const data = [];
+  frame.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trimStart());
+    }
+    // Lines starting with ':' are keep-alive comments
+  });
+  return data.length ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+const request = (path, { method, body, signal }) => fetch(`${API_BASE_URL}${path}`, {
+  method,
+  signal,
+  headers: {
+    Accept: 'text/event-stream',
+    'Content-Type': 'application/json',
+    'x-auth-token': localStorage.getItem('token') || ''
+  },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+// Read a Server-Sent Events response from the API, calling onEvent(event, data)
+// for each event. Uses fetch rather than EventSource so the access token can
+// be sent as a header. Resolves when the server ends the stream; rejects
+// (like axios, with err.response.data.msg) if the request fails.
+export const streamEvents = async (path, { method = 'GET', body, onEvent, signal } = {}) => {
+  let res = await request(path, { method, body, signal });
+
+  // Access token expired: refresh it once and retry
+  if (res.status === 401 && localStorage.getItem('refreshToken') && (await renewTokens())) {
+    res = await request(path, { method, body, signal });
+  }
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({ msg: 'Server error' }));
+    const error = new Error(data.msg);
+    error.response = { status: res.status, data };
+    throw error;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    frames.forEach((frame) => {
+      const parsed = parseFrame(frame);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+    });
+  }
+};
@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { renewTokens } from './api';
+
+const SOCKET_URL = 'http://localhost:5000';
+
+// Stop trying to reconnect after this many token renewals in a row
+const MAX_RENEW_ATTEMPTS = 3;
+
+let socket = null;
+let renewAttempts = 0;
+
+// The server rejects expired access tokens and drops sockets when their
+// token expires: get a fresh token and connect again
+const reconnectWithFreshToken = async () => {
+  if (renewAttempts >= MAX_RENEW_ATTEMPTS || !localStorage.getItem('refreshToken')) {
+    return;
+  }
+  renewAttempts += 1;
+  if ((await renewTokens()) && socket) {
+    socket.connect();
+  }
+};
+
+// Shared connection for live ticket updates (connects on first use)
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      autoConnect: false,
+      // Read the token on every (re)connect, since it is refreshed regularly
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+
+    socket.on('connect', () => {
+      renewAttempts = 0;
+    });
+    socket.on('connect_error', (err) => {
+      if (err.message === 'unauthorized') {
+        reconnectWithFreshToken();
+      }
+    });
+    socket.on('disconnect', (reason) => {
+      if (reason === 'io server disconnect') {
+        reconnectWithFreshToken();
+      }
+    });
+  }
+
+  if (socket.disconnected) {
+    socket.connect();
+  }
+  return socket;
+};
+
+// Close the connection (on sign out, so the next user gets their own)
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+// Listen for a server event while the component is mounted
+export const useSocketEvent = (event, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    const listener = (payload) => handlerRef.current(payload);
+    const currentSocket = getSocket();
+    currentSocket.on(event, listener);
+    return () => currentSocket.off(event, listener);
+  }, [event]);
+};
+
+// Put a changed ticket at the top of a list sorted by last update
+export const upsertTicket = (tickets, ticket) => [
+  ticket,
+  ...tickets.filter((existing) => existing._id !== ticket._id)
+];